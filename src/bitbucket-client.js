@@ -0,0 +1,317 @@
+const { setTimeout: sleep } = require('timers/promises');
+const logger = require('./logger').default;
+
+const DEFAULT_API_BASE_URL = 'https://api.bitbucket.org/2.0';
+
+// Hidden in the rendered comment; identifies the bot's summary comment so it is updated in place
+const SUMMARY_MARKER = '<!-- pr-automation:summary -->';
+// Marks the summaries of incremental reviews, posted next to the full review's summary
+const INCREMENTAL_MARKER = '<!-- pr-automation:incremental -->';
+
+/**
+ * Parse a Bitbucket Cloud pull request URL
+ * @param {string} prUrl - e.g. https://bitbucket.org/team/repo/pull-requests/42
+ * @returns {{ workspace: string, repoSlug: string, prId: number }}
+ */
+function parsePrUrl(prUrl) {
+  const match = /bitbucket\.org\/([^/]+)\/([^/]+)\/pull-requests\/(\d+)/.exec(prUrl || '');
+  if (!match) {
+    throw new Error(`Not a Bitbucket pull request URL: ${prUrl}`);
+  }
+  return { workspace: match[1], repoSlug: match[2], prId: parseInt(match[3], 10) };
+}
+
+/**
+ * Minimal Bitbucket Cloud REST client for PR comments
+ */
+class BitbucketClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.user] - Username for app passwords (Basic auth); without it the token is sent as Bearer
+   * @param {string} [options.token] - App password or access token
+   * @param {string} [options.baseUrl] - API base URL
+   * @param {number} [options.maxAttempts=3] - Attempts per request for 429, 5xx and network errors
+   * @param {number} [options.backoffMs=1000] - Delay before the first retry (doubles each attempt)
+   * @param {number} [options.timeoutMs=30000] - Time limit of each attempt
+   */
+  constructor(options = {}) {
+    this.user = options.user;
+    this.token = options.token;
+    this.baseUrl = (options.baseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+    this.maxAttempts = parseInt(options.maxAttempts, 10) || 3;
+    this.backoffMs = options.backoffMs === undefined ? 1000 : options.backoffMs;
+    this.timeoutMs = parseInt(options.timeoutMs, 10) || 30000;
+  }
+
+  /**
+   * Authorization header value
+   * @returns {string}
+   * @throws {Error} config_error when no token is configured
+   */
+  getAuthorization() {
+    if (!this.token) {
+      throw configError('Bitbucket token is not configured (BITBUCKET_TOKEN)');
+    }
+    if (this.user) {
+      return `Basic ${Buffer.from(`${this.user}:${this.token}`).toString('base64')}`;
+    }
+    return `Bearer ${this.token}`;
+  }
+
+  /**
+   * Send a request, retrying rate limits (honouring Retry-After), server errors and network errors.
+   * POSTs are only retried on rate limits: a server error, timeout or dropped connection may
+   * come after Bitbucket stored the comment, and posting it again would duplicate it.
+   * Each attempt is aborted after `timeoutMs`; the whole request when `signal` aborts.
+   * @param {string} method - HTTP method
+   * @param {string} pathOrUrl - API path (e.g. /repositories/...) or absolute URL (pagination)
+   * @param {Object} [body] - JSON body
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Job signal (cancel, shutdown)
+   * @returns {Promise<Object|null>} Parsed JSON response
+   */
+  async request(method, pathOrUrl, body, { signal } = {}) {
+    const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${this.baseUrl}${pathOrUrl}`;
+    // A missing token is a configuration problem: fail before any attempt instead of retrying
+    const authorization = this.getAuthorization();
+    const retryFailures = method !== 'POST';
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      try {
+        const timeout = AbortSignal.timeout(this.timeoutMs);
+        response = await fetch(url, {
+          method,
+          headers: {
+            Authorization: authorization,
+            Accept: 'application/json',
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+          },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: signal ? AbortSignal.any([timeout, signal]) : timeout,
+        });
+      } catch (error) {
+        if (signal && signal.aborted) {
+          // The job was cancelled; its abort reason is a plain string (e.g. 'superseded')
+          const aborted = new Error(`Bitbucket ${method} ${url} aborted: ${signal.reason}`);
+          aborted.name = 'AbortError';
+          throw aborted;
+        }
+        if (!retryFailures || attempt >= this.maxAttempts) {
+          throw bitbucketError(`Bitbucket ${method} ${url} failed: ${error.message}`);
+        }
+        await this.backoff(attempt, null, `${error.message}`, signal);
+        continue;
+      }
+
+      if (response.ok) {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+      }
+
+      const retryable = response.status === 429 || (retryFailures && response.status >= 500);
+      if (!retryable || attempt >= this.maxAttempts) {
+        const text = await response.text();
+        const error = bitbucketError(
+          `Bitbucket ${method} ${url} responded with ${response.status}: ${text || 'No body'}`,
+        );
+        error.status = response.status;
+        throw error;
+      }
+      await this.backoff(
+        attempt,
+        response.headers.get('retry-after'),
+        `HTTP ${response.status}`,
+        signal,
+      );
+    }
+  }
+
+  /**
+   * Wait before the next attempt
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {string|null} retryAfter - Retry-After header (seconds)
+   * @param {string} reason - Why the attempt failed (for the log)
+   * @param {AbortSignal} [signal] - Job signal; aborts the wait
+   */
+  async backoff(attempt, retryAfter, reason, signal) {
+    const retryAfterMs = parseInt(retryAfter, 10) * 1000;
+    const delayMs = Number.isNaN(retryAfterMs) ? this.backoffMs * 2 ** (attempt - 1) : retryAfterMs;
+    logger.warn(
+      `🔁 Bitbucket request failed (${reason}), retrying in ${delayMs / 1000}s (attempt ${attempt + 1}/${this.maxAttempts})`,
+    );
+    await sleep(delayMs, undefined, { signal });
+  }
+
+  /**
+   * API path of a pull request
+   * @param {string} prUrl - Pull request URL
+   * @returns {string}
+   */
+  pullRequestPath(prUrl) {
+    const { workspace, repoSlug, prId } = parsePrUrl(prUrl);
+    return `/repositories/${encodeURIComponent(workspace)}/${encodeURIComponent(repoSlug)}/pullrequests/${prId}`;
+  }
+
+  /**
+   * All comments of a pull request (follows pagination)
+   * @param {string} prUrl - Pull request URL
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Job signal
+   * @returns {Promise<Object[]>}
+   */
+  async listComments(prUrl, { signal } = {}) {
+    const comments = [];
+    let next = `${this.pullRequestPath(prUrl)}/comments?pagelen=100`;
+    while (next) {
+      const page = await this.request('GET', next, undefined, { signal });
+      comments.push(...(page.values || []));
+      next = page.next;
+    }
+    return comments;
+  }
+
+  /**
+   * Add a comment to a pull request
+   * @param {string} prUrl - Pull request URL
+   * @param {string} markdown - Comment body
+   * @param {Object} [options]
+   * @param {Object} [options.inline] - Inline anchor ({ path, to } for a line of the new file)
+   * @param {AbortSignal} [options.signal] - Job signal
+   * @returns {Promise<Object>} Created comment
+   */
+  createComment(prUrl, markdown, { inline, signal } = {}) {
+    return this.request(
+      'POST',
+      `${this.pullRequestPath(prUrl)}/comments`,
+      { content: { raw: markdown }, ...(inline ? { inline } : {}) },
+      { signal },
+    );
+  }
+
+  /**
+   * Replace the body of a comment
+   * @param {string} prUrl - Pull request URL
+   * @param {number} commentId - Comment id
+   * @param {string} markdown - New comment body
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Job signal
+   * @returns {Promise<Object>} Updated comment
+   */
+  updateComment(prUrl, commentId, markdown, { signal } = {}) {
+    return this.request(
+      'PUT',
+      `${this.pullRequestPath(prUrl)}/comments/${commentId}`,
+      { content: { raw: markdown } },
+      { signal },
+    );
+  }
+
+  /**
+   * Post the bot's summary comment, or update the previous one (found by its marker)
+   * so a PR keeps a single summary however often it is reviewed
+   * @param {string} prUrl - Pull request URL
+   * @param {string} markdown - Summary body
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Job signal
+   * @returns {Promise<{ commentId: number, updated: boolean }>}
+   */
+  async upsertSummaryComment(prUrl, markdown, options = {}) {
+    return this.upsertMarkedComment(prUrl, markdown, SUMMARY_MARKER, options);
+  }
+
+  /**
+   * Post the summary of an incremental review as a new comment, so the summary of the full
+   * review stays on the PR
+   * @param {string} prUrl - Pull request URL
+   * @param {string} markdown - Summary body
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Job signal
+   * @returns {Promise<{ commentId: number, updated: boolean }>}
+   */
+  async postIncrementalSummaryComment(prUrl, markdown, { signal } = {}) {
+    const created = await this.createComment(prUrl, `${markdown.trim()}\n\n${INCREMENTAL_MARKER}`, {
+      signal,
+    });
+    logger.info(`💬 Posted incremental review comment #${created.id} on ${prUrl}`);
+    return { commentId: created.id, updated: false };
+  }
+
+  /**
+   * Post a general comment tagged with a hidden marker, or update the bot's previous
+   * comment with the same marker
+   * @param {string} prUrl - Pull request URL
+   * @param {string} markdown - Comment body
+   * @param {string} marker - HTML comment identifying the bot's comment
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Job signal
+   * @returns {Promise<{ commentId: number, updated: boolean }>}
+   */
+  async upsertMarkedComment(prUrl, markdown, marker, { signal } = {}) {
+    const body = `${markdown.trim()}\n\n${marker}`;
+    const comments = await this.listComments(prUrl, { signal });
+    const previous = comments.find(
+      comment =>
+        !comment.deleted &&
+        !comment.inline &&
+        comment.content &&
+        String(comment.content.raw || '').includes(marker),
+    );
+
+    if (previous) {
+      await this.updateComment(prUrl, previous.id, body, { signal });
+      logger.info(`💬 Updated comment #${previous.id} on ${prUrl}`);
+      return { commentId: previous.id, updated: true };
+    }
+
+    const created = await this.createComment(prUrl, body, { signal });
+    logger.info(`💬 Posted comment #${created.id} on ${prUrl}`);
+    return { commentId: created.id, updated: false };
+  }
+}
+
+/**
+ * Error for a failed Bitbucket API call (error type `bitbucket_error`)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function bitbucketError(message) {
+  const error = new Error(message);
+  error.errorType = 'bitbucket_error';
+  return error;
+}
+
+/**
+ * Error for a client that cannot call the API as configured (error type `config_error`)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function configError(message) {
+  const error = new Error(message);
+  error.errorType = 'config_error';
+  return error;
+}
+
+/**
+ * Client configured from `bitbucket` config and `secrets`
+ * @param {Object} config - Full config (getConfig())
+ * @returns {BitbucketClient}
+ */
+function createBitbucketClient(config) {
+  const bitbucket = config.bitbucket || {};
+  const retry = bitbucket.retry || {};
+  return new BitbucketClient({
+    user: config.secrets.bitbucketUser,
+    token: config.secrets.bitbucketToken,
+    baseUrl: bitbucket.apiBaseUrl,
+    maxAttempts: retry.maxAttempts,
+    backoffMs: retry.backoffMs,
+    timeoutMs: bitbucket.timeoutSeconds && bitbucket.timeoutSeconds * 1000,
+  });
+}
+
+module.exports = BitbucketClient;
+module.exports.SUMMARY_MARKER = SUMMARY_MARKER;
+module.exports.INCREMENTAL_MARKER = INCREMENTAL_MARKER;
+module.exports.parsePrUrl = parsePrUrl;
+module.exports.createBitbucketClient = createBitbucketClient;
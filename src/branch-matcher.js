@@ -25,14 +25,49 @@ function compilePatterns(patterns, ruleName) {
   return compiled;
 }
 
+/**
+ * Compile queue priority rules (config.queue.priority.rules). Each rule sets a priority for jobs
+ * matching all of its conditions: targetBranchPatterns, sourceBranchPatterns, jobType, triggerType.
+ * @param {Object[]} rules - Priority rules from config
+ * @returns {{ priority: number, target: RegExp[]|null, source: RegExp[]|null, jobType: string|null, triggerType: string|null }[]}
+ */
+function compilePriorityRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  const compiled = [];
+  rules.forEach((rule, i) => {
+    const priority = parseInt(rule.priority, 10);
+    if (Number.isNaN(priority)) {
+      logger.warn(
+        `Branch matcher: queue.priority.rules[${i}] has no numeric priority. Rule ignored.`,
+      );
+      return;
+    }
+    const name = `queue.priority.rules[${i}]`;
+    const target = compilePatterns(rule.targetBranchPatterns, `${name}.targetBranchPatterns`);
+    const source = compilePatterns(rule.sourceBranchPatterns, `${name}.sourceBranchPatterns`);
+    // An invalid pattern disables the rule rather than widening it to match every branch
+    if ((rule.targetBranchPatterns || []).length > 0 && !target) return;
+    if ((rule.sourceBranchPatterns || []).length > 0 && !source) return;
+    compiled.push({
+      priority,
+      target,
+      source,
+      jobType: rule.jobType || null,
+      triggerType: rule.triggerType || null,
+    });
+  });
+  return compiled;
+}
+
 /**
  * Load and compile branch rules from config.
- * @returns {{ prReview: { target: RegExp[]|null, source: RegExp[]|null, enabled: boolean }, releaseNote: { target: RegExp[]|null, source: RegExp[]|null, enabled: boolean } }}
+ * @returns {{ prReview: { target: RegExp[]|null, source: RegExp[]|null, enabled: boolean }, releaseNote: { target: RegExp[]|null, source: RegExp[]|null, enabled: boolean }, priority: { default: number, rules: Object[] } }}
  */
 function loadRules() {
   const config = getConfig();
   const prReview = config.prReview || {};
   const releaseNote = config.releaseNote || {};
+  const priority = (config.queue && config.queue.priority) || {};
 
   const prReviewTarget = compilePatterns(
     prReview.targetBranchPatterns,
@@ -62,6 +97,10 @@ function loadRules() {
       target: releaseNoteTarget,
       source: releaseNoteSource,
     },
+    priority: {
+      default: parseInt(priority.default, 10) || 0,
+      rules: compilePriorityRules(priority.rules),
+    },
   };
 }
 
@@ -129,6 +168,27 @@ function shouldCreateReleaseNote(prData) {
   return ruleMatches(rules.releaseNote, prData, false);
 }
 
+/**
+ * Queue priority of a job: the highest priority among matching queue.priority.rules,
+ * or queue.priority.default when none match.
+ * @param {Object} prData - Pull request data with sourceBranch, destinationBranch, triggerType
+ * @param {string} jobType - Job type ('review' | 'create-release-note')
+ * @returns {number}
+ */
+function getJobPriority(prData, jobType) {
+  const { priority } = getRules();
+  const triggerType = prData.triggerType || 'automatic-webhook';
+  const matching = priority.rules.filter(
+    rule =>
+      (!rule.jobType || rule.jobType === jobType) &&
+      (!rule.triggerType || rule.triggerType === triggerType) &&
+      (!rule.target || matchesAny(rule.target, prData.destinationBranch || '')) &&
+      (!rule.source || matchesAny(rule.source, prData.sourceBranch || '')),
+  );
+  if (matching.length === 0) return priority.default;
+  return Math.max(...matching.map(rule => rule.priority));
+}
+
 /**
  * Reset cached rules (for tests or config reload).
  */
@@ -139,6 +199,7 @@ function clearCache() {
 module.exports = {
   shouldRunReview,
   shouldCreateReleaseNote,
+  getJobPriority,
   getRules,
   clearCache,
 };
@@ -1,39 +1,127 @@
-class CircuitBreaker {
-  constructor(failureThreshold = 5, resetTimeout = 10000) {
+const EventEmitter = require('events');
+const logger = require('./logger').default;
+
+/**
+ * Circuit breaker for one failure domain (e.g. the Claude CLI or the git remote).
+ *
+ * CLOSED: calls go through; `failureThreshold` consecutive failures open the breaker.
+ * OPEN: calls are rejected until `resetTimeout` ms have passed since the last failure.
+ * HALF_OPEN: up to `halfOpenMaxProbes` calls are let through at once; a success closes
+ * the breaker, a failure opens it again.
+ *
+ * Emits `stateChange` with `{ name, from, to }` on every transition.
+ */
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {string} name - Breaker name used in logs and metrics (e.g. claude, git, bitbucket)
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the breaker
+   * @param {number} [options.resetTimeout=10000] - Ms an open breaker waits before probing
+   * @param {number} [options.halfOpenMaxProbes=1] - Concurrent calls allowed while half-open
+   */
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 10000;
+    this.halfOpenMaxProbes = options.halfOpenMaxProbes || 1;
     this.failureCount = 0;
-    this.failureThreshold = failureThreshold;
-    this.resetTimeout = resetTimeout;
     this.state = 'CLOSED';
     this.lastFailureTime = null;
+    this.probesInFlight = 0;
   }
 
+  /**
+   * Whether a call would be let through right now (does not reserve a probe)
+   * @returns {boolean}
+   */
   canAttempt() {
     if (this.state === 'OPEN') {
-      const now = Date.now();
-      if (now - this.lastFailureTime > this.resetTimeout) {
-        this.state = 'HALF_OPEN';
-        return true;
+      if (Date.now() - this.lastFailureTime < this.resetTimeout) {
+        return false;
       }
+      this.transition('HALF_OPEN');
+    }
+    if (this.state === 'HALF_OPEN') {
+      return this.probesInFlight < this.halfOpenMaxProbes;
+    }
+    return true;
+  }
+
+  /**
+   * Reserve a call. While half-open this takes one of the probe slots, which is given back by
+   * recordSuccess(), recordFailure() or release().
+   * @returns {boolean} - False if the call must not be made
+   */
+  tryAcquire() {
+    if (!this.canAttempt()) {
       return false;
     }
+    if (this.state === 'HALF_OPEN') {
+      this.probesInFlight++;
+      logger.info(
+        `🔌 [${this.name}] Half-open probe ${this.probesInFlight}/${this.halfOpenMaxProbes}`,
+      );
+    }
     return true;
   }
 
+  /**
+   * Give back a reserved call that ended without telling anything about the dependency
+   * (e.g. it was cancelled or failed for another reason)
+   */
+  release() {
+    if (this.probesInFlight > 0) {
+      this.probesInFlight--;
+    }
+  }
+
+  /**
+   * When an open breaker lets the next attempt through
+   * @returns {number|null} Epoch ms, or null if the breaker is not open
+   */
+  getRetryAt() {
+    return this.state === 'OPEN' ? this.lastFailureTime + this.resetTimeout : null;
+  }
+
   recordSuccess() {
     this.failureCount = 0;
-    this.state = 'CLOSED';
+    this.probesInFlight = 0;
+    if (this.state !== 'CLOSED') {
+      this.transition('CLOSED');
+    }
   }
 
   recordFailure() {
     this.failureCount++;
-    if (this.failureCount >= this.failureThreshold) {
-      this.state = 'OPEN';
+    this.release();
+
+    if (this.state === 'HALF_OPEN' || this.failureCount >= this.failureThreshold) {
       this.lastFailureTime = Date.now();
-      console.warn(`🔌 Circuit breaker tripped after ${this.failureCount} failures`);
+      this.probesInFlight = 0;
+      if (this.state !== 'OPEN') {
+        logger.warn(
+          `🔌 [${this.name}] Circuit breaker tripped after ${this.failureCount} failures`,
+        );
+        this.transition('OPEN');
+      }
     } else {
-      console.warn(`🔌 Failure recorded (${this.failureCount}/${this.failureThreshold})`);
+      logger.warn(
+        `🔌 [${this.name}] Failure recorded (${this.failureCount}/${this.failureThreshold})`,
+      );
     }
   }
+
+  /**
+   * Change state and notify listeners
+   * @param {string} to - CLOSED, OPEN or HALF_OPEN
+   */
+  transition(to) {
+    const from = this.state;
+    this.state = to;
+    logger.info(`🔌 [${this.name}] Circuit breaker ${from} -> ${to}`);
+    this.emit('stateChange', { name: this.name, from, to });
+  }
 }
 
 module.exports = CircuitBreaker;
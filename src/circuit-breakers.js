@@ -0,0 +1,46 @@
+const CircuitBreaker = require('./circuit-breaker');
+const { getConfig } = require('./config/loader');
+
+// One breaker per failure domain, so a broken git remote does not stop Claude reviews
+// (and the other way round)
+const BREAKER_NAMES = ['claude', 'git', 'bitbucket'];
+
+const breakers = new Map();
+
+/**
+ * Get the named circuit breaker, creating it from config on first use.
+ * `circuitBreaker.breakers.<name>` overrides the shared settings for one breaker.
+ * @param {string} name - claude (Claude CLI), git (git remote) or bitbucket (Bitbucket MCP)
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    const config = getConfig().circuitBreaker || {};
+    const overrides = (config.breakers && config.breakers[name]) || {};
+    const settings = { ...config, ...overrides };
+
+    breakers.set(
+      name,
+      new CircuitBreaker(name, {
+        failureThreshold: parseInt(settings.failureThreshold, 10) || undefined,
+        resetTimeout: parseInt(settings.resetTimeoutMs, 10) || undefined,
+        halfOpenMaxProbes: parseInt(settings.halfOpenMaxProbes, 10) || undefined,
+      }),
+    );
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Get all named circuit breakers
+ * @returns {CircuitBreaker[]}
+ */
+function getCircuitBreakers() {
+  return BREAKER_NAMES.map(getCircuitBreaker);
+}
+
+module.exports = {
+  BREAKER_NAMES,
+  getCircuitBreaker,
+  getCircuitBreakers,
+};
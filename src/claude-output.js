@@ -0,0 +1,185 @@
+const { z } = require('zod');
+
+// Final message printed by `claude --output-format json` (last line of `stream-json`)
+const ClaudeCliResultSchema = z
+  .object({
+    type: z.literal('result'),
+    subtype: z.string(),
+    is_error: z.boolean(),
+    result: z.string().optional(),
+    session_id: z.string().optional(),
+    num_turns: z.number().optional(),
+    duration_ms: z.number().optional(),
+    total_cost_usd: z.number().optional(),
+    usage: z.record(z.string(), z.unknown()).optional(),
+  })
+  .passthrough();
+
+// One issue of a review, as listed in the metrics block in `service` comment mode
+// (`path` and `line` anchor inline comments)
+const ReviewFindingSchema = z.object({
+  title: z.string(),
+  severity: z.string().optional(),
+  path: z.string().optional(),
+  line: z.number().int().positive().optional(),
+  description: z.string().optional(),
+});
+
+// Metrics block Claude is asked to end every review with (see the "Final Step" in the templates)
+const ReviewMetricsSchema = z.object({
+  isLgtm: z.boolean(),
+  issueCount: z.number().int().nonnegative(),
+  isReviewFailed: z.boolean().optional().default(false),
+  failedReviewReason: z.string().nullable().optional().default(null),
+  findings: z.array(ReviewFindingSchema).optional().default([]),
+});
+
+const METRICS_BLOCK_PATTERN = /```json\s*\n\s*({[\s\S]*?})\s*\n\s*```/g;
+
+/**
+ * Error for Claude output that cannot be used. `parseFailure` says what was wrong:
+ * invalid_json, invalid_result, error_result (CLI envelope), missing_metrics,
+ * invalid_metrics_json, invalid_metrics (review metrics block), missing_review (no review
+ * before the metrics block)
+ * @param {string} parseFailure - Failure reason (metric label)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function outputError(parseFailure, message) {
+  const error = new Error(message);
+  error.errorType = 'output_parse_error';
+  error.parseFailure = parseFailure;
+  return error;
+}
+
+/**
+ * Describe zod issues in one line
+ * @param {import('zod').ZodError} zodError
+ * @returns {string}
+ */
+function formatIssues(zodError) {
+  return zodError.issues
+    .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    .join('; ');
+}
+
+/**
+ * Parse the output of `claude --output-format json`
+ * @param {string} stdout - CLI stdout
+ * @returns {Object} Validated result message (`result` holds the final text)
+ * @throws {Error} output_parse_error when the output is not a successful result message
+ */
+function parseCliJsonOutput(stdout) {
+  let message;
+  try {
+    message = JSON.parse(stdout);
+  } catch (error) {
+    throw outputError('invalid_json', `Claude CLI output is not valid JSON: ${error.message}`);
+  }
+  return parseCliResult(message);
+}
+
+/**
+ * Validate the result message of the Claude CLI
+ * @param {Object|null} message - Parsed result message (null when the CLI printed none)
+ * @returns {Object} Validated result message
+ * @throws {Error} output_parse_error when it is not a successful result message
+ */
+function parseCliResult(message) {
+  const parsed = ClaudeCliResultSchema.safeParse(message);
+  if (!parsed.success) {
+    throw outputError(
+      'invalid_result',
+      `Unexpected Claude CLI result: ${formatIssues(parsed.error)}`,
+    );
+  }
+  if (parsed.data.is_error) {
+    throw outputError(
+      'error_result',
+      `Claude CLI reported an error (${parsed.data.subtype}): ${parsed.data.result || 'No details'}`,
+    );
+  }
+  return parsed.data;
+}
+
+/**
+ * Extract and validate the review metrics block (the last ```json fence) of a review
+ * @param {string} text - Review text
+ * @returns {{ isLgtm: boolean, issueCount: number, isReviewFailed: boolean, failedReviewReason: string|null, findings: Object[] }}
+ * @throws {Error} output_parse_error when the block is missing or invalid
+ */
+function parseReviewMetrics(text) {
+  const blocks = [...String(text).matchAll(METRICS_BLOCK_PATTERN)];
+  if (blocks.length === 0) {
+    throw outputError('missing_metrics', 'No JSON metrics found in Claude response');
+  }
+
+  let reviewMetrics;
+  try {
+    reviewMetrics = JSON.parse(blocks[blocks.length - 1][1]);
+  } catch (error) {
+    throw outputError('invalid_metrics_json', `Failed to parse metrics JSON: ${error.message}`);
+  }
+
+  const parsed = ReviewMetricsSchema.safeParse(reviewMetrics);
+  if (!parsed.success) {
+    throw outputError('invalid_metrics', `Invalid metrics JSON: ${formatIssues(parsed.error)}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * Read the metrics block the way the service always did for `text` output: fields with a
+ * wrong type fall back to their defaults and an unreadable block to no metrics at all
+ * (`isLgtm=false, issueCount=0`). Findings that do not match the schema are dropped.
+ * @param {string} text - Review text
+ * @returns {{ isLgtm: boolean, issueCount: number, isReviewFailed: boolean, failedReviewReason: string|null, findings: Object[] }}
+ */
+function parseReviewMetricsLenient(text) {
+  const blocks = [...String(text).matchAll(METRICS_BLOCK_PATTERN)];
+  let reviewMetrics = {};
+  if (blocks.length > 0) {
+    try {
+      reviewMetrics = JSON.parse(blocks[blocks.length - 1][1]) || {};
+    } catch {
+      reviewMetrics = {};
+    }
+  }
+  return {
+    isLgtm: reviewMetrics.isLgtm === true,
+    issueCount: typeof reviewMetrics.issueCount === 'number' ? reviewMetrics.issueCount : 0,
+    isReviewFailed: reviewMetrics.isReviewFailed === true,
+    failedReviewReason: reviewMetrics.failedReviewReason || null,
+    findings: Array.isArray(reviewMetrics.findings)
+      ? reviewMetrics.findings.filter(finding => ReviewFindingSchema.safeParse(finding).success)
+      : [],
+  };
+}
+
+/**
+ * The review itself: the text before the metrics block, which the service posts as the
+ * PR summary comment in `service` comment mode
+ * @param {string} text - Review text
+ * @returns {string}
+ * @throws {Error} output_parse_error (missing_review) when there is no text before the block
+ */
+function extractReviewBody(text) {
+  const blocks = [...String(text).matchAll(METRICS_BLOCK_PATTERN)];
+  const end = blocks.length > 0 ? blocks[blocks.length - 1].index : String(text).length;
+  const body = String(text).slice(0, end).trim();
+  if (!body) {
+    throw outputError('missing_review', 'Claude response contains no review before the metrics');
+  }
+  return body;
+}
+
+module.exports = {
+  ClaudeCliResultSchema,
+  ReviewFindingSchema,
+  ReviewMetricsSchema,
+  parseCliJsonOutput,
+  parseCliResult,
+  parseReviewMetrics,
+  parseReviewMetricsLenient,
+  extractReviewBody,
+};
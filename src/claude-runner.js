@@ -0,0 +1,429 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const logger = require('./logger').default;
+const { parseCliJsonOutput, parseCliResult } = require('./claude-output');
+const { StreamJsonParser, toTokenUsage } = require('./claude-stream');
+const { getRunUsage } = require('./claude-usage');
+
+const DEFAULT_MODEL = 'sonnet';
+const DEFAULT_TIMEOUT_MINUTES = 10;
+const OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Environment of the Claude CLI inside the container
+const BASE_ENV = {
+  SHELL: '/bin/bash',
+  HOME: '/home/node',
+  PATH: '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin',
+};
+
+/**
+ * Attach the Claude process output to an error, so a dead-lettered job keeps it
+ * @param {Error} error - Error to annotate
+ * @param {string} stdout - Process stdout so far
+ * @param {string} stderr - Process stderr so far
+ * @returns {Error} The same error
+ */
+function withProcessOutput(error, stdout, stderr) {
+  error.stdout = stdout;
+  error.stderr = stderr;
+  return error;
+}
+
+/**
+ * Result message a failed CLI run printed (json and stream-json output), if any
+ * @param {string} outputFormat - Output format of the run
+ * @param {string} stdout - Process stdout
+ * @param {StreamJsonParser|null} parser - Parser of stream-json output
+ * @returns {Object|null}
+ */
+function readCliResult(outputFormat, stdout, parser) {
+  if (outputFormat === 'stream-json') return parser ? parser.result : null;
+  if (outputFormat !== 'json') return null;
+  try {
+    const message = JSON.parse(stdout);
+    return message && message.type === 'result' ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Attach the API error of a CLI result message (`api_error_status`, `error`) to an error,
+ * so getFallbackReason() can tell rate limits and overload from other failures
+ * @param {Error} error - Error to annotate
+ * @param {Object|null} message - CLI result message
+ * @returns {Error} The same error
+ */
+function withCliResult(error, message) {
+  if (!message) return error;
+  error.cliResult = message;
+  if (typeof message.api_error_status === 'number') {
+    error.apiErrorStatus = message.api_error_status;
+  }
+  const errorType =
+    message.error && typeof message.error === 'object' ? message.error.type : message.error;
+  if (typeof errorType === 'string') error.apiErrorType = errorType;
+  return error;
+}
+
+/**
+ * Runs the `claude` CLI (or any executable speaking the same protocol): the prompt is sent
+ * on stdin and the review is read from stdout.
+ */
+class CliBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='cli'] - Backend name used in logs
+   * @param {string} [options.command='claude'] - Executable to spawn
+   * @param {string[]} [options.args] - Arguments placed before the Claude CLI flags
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'cli';
+    this.command = options.command || 'claude';
+    this.args = options.args || [];
+  }
+
+  /**
+   * @param {Object} request - See ClaudeRunner.run()
+   * @returns {Promise<{ stdout: string, stderr: string, text: string, result: Object|null }>}
+   */
+  async run(request) {
+    const parser =
+      request.outputFormat === 'stream-json' ? new StreamJsonParser(request.onProgress) : null;
+    let output;
+    try {
+      output = await this.spawn(request, parser);
+    } catch (error) {
+      throw withCliResult(error, readCliResult(request.outputFormat, error.stdout, parser));
+    }
+    const { stdout, stderr } = output;
+    if (request.outputFormat === 'text') {
+      return { stdout, stderr, text: stdout, result: null };
+    }
+    try {
+      const result = parser ? parseCliResult(parser.result) : parseCliJsonOutput(stdout);
+      return { stdout, stderr, text: result.result || '', result };
+    } catch (error) {
+      withCliResult(error, readCliResult(request.outputFormat, stdout, parser));
+      throw withProcessOutput(error, stdout, stderr);
+    }
+  }
+
+  /**
+   * Spawn the executable, send the prompt on stdin and collect its output
+   * @param {Object} request - See ClaudeRunner.run()
+   * @param {StreamJsonParser|null} [parser] - Receives stdout instead of the console (stream-json)
+   * @returns {Promise<{ stdout: string, stderr: string }>}
+   */
+  spawn({ prompt, cwd, model, env, signal, outputFormat = 'text' }, parser = null) {
+    return new Promise((resolve, reject) => {
+      let stdout = '';
+      let stderr = '';
+
+      const claudeProcess = spawn(
+        this.command,
+        [
+          ...this.args,
+          '--dangerously-skip-permissions',
+          '--model',
+          model,
+          '--output-format',
+          outputFormat,
+          // The CLI only streams events with --verbose
+          ...(outputFormat === 'stream-json' ? ['--verbose'] : []),
+        ],
+        // The signal kills the process (SIGTERM) when the job is cancelled or times out
+        { cwd, env, shell: false, signal },
+      );
+
+      claudeProcess.stdout.on('data', data => {
+        const chunk = data.toString();
+        stdout += chunk;
+        if (parser) {
+          parser.push(chunk);
+        } else {
+          process.stdout.write(chunk);
+        }
+      });
+
+      claudeProcess.stderr.on('data', data => {
+        const chunk = data.toString();
+        stderr += chunk;
+        process.stderr.write(chunk);
+      });
+
+      claudeProcess.on('close', code => {
+        if (parser) parser.end();
+        if (code === 0) {
+          resolve({ stdout, stderr });
+          return;
+        }
+        logger.error(`Claude CLI failed with code: ${code}`);
+        if (stderr) logger.error(`STDERR: ${stderr}`);
+        if (stdout) logger.error(`STDOUT: ${stdout}`);
+        reject(
+          withProcessOutput(
+            new Error(
+              `Claude CLI exited with code ${code}: ${stderr || stdout || 'No error output'}`,
+            ),
+            stdout,
+            stderr,
+          ),
+        );
+      });
+
+      claudeProcess.on('error', error => {
+        reject(withProcessOutput(error, stdout, stderr));
+      });
+
+      claudeProcess.stdin.write(prompt);
+      claudeProcess.stdin.end();
+    });
+  }
+}
+
+/**
+ * Calls an Anthropic-compatible Messages API directly (no local CLI and no MCP tools:
+ * Claude only sees the prompt, so the prompt must contain the diff)
+ */
+class HttpBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl='https://api.anthropic.com'] - API base URL
+   * @param {string} [options.apiKey] - API key (sent as x-api-key)
+   * @param {number} [options.maxTokens=8192] - Maximum tokens of the response
+   */
+  constructor(options = {}) {
+    this.name = 'http';
+    this.baseUrl = (options.baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '');
+    this.apiKey = options.apiKey;
+    this.maxTokens = parseInt(options.maxTokens, 10) || 8192;
+  }
+
+  /**
+   * @param {Object} request - See ClaudeRunner.run()
+   * @returns {Promise<{ stdout: string, stderr: string, text: string, result: Object }>}
+   */
+  async run({ prompt, model, signal, onProgress }) {
+    if (!this.apiKey) {
+      throw new Error('Claude API key is not configured (ANTHROPIC_API_KEY)');
+    }
+
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: this.maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+      }),
+      signal,
+    });
+
+    const body = await response.text();
+    if (!response.ok) {
+      const error = new Error(
+        `Claude API responded with ${response.status}: ${body || 'No error output'}`,
+      );
+      error.apiErrorStatus = response.status;
+      try {
+        const errorType = (JSON.parse(body).error || {}).type;
+        if (typeof errorType === 'string') error.apiErrorType = errorType;
+      } catch {
+        // Not a JSON error body; the status is enough
+      }
+      throw withProcessOutput(error, '', body);
+    }
+
+    const message = JSON.parse(body);
+    const text = (message.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+    if (onProgress && message.usage) {
+      onProgress({ type: 'tokens', ...toTokenUsage(message.usage) });
+    }
+    return { stdout: text, stderr: '', text, result: message };
+  }
+}
+
+/**
+ * Create the backend selected by `claude.backend`
+ * @param {Object} claudeConfig - `claude` section of the config
+ * @param {Object} [secrets] - `secrets` section of the config
+ * @returns {CliBackend|HttpBackend}
+ */
+function createBackend(claudeConfig = {}, secrets = {}) {
+  const backend = claudeConfig.backend || 'cli';
+
+  if (backend === 'cli') {
+    return new CliBackend({ command: (claudeConfig.cli || {}).command });
+  }
+  if (backend === 'http') {
+    const httpConfig = claudeConfig.http || {};
+    return new HttpBackend({
+      baseUrl: httpConfig.baseUrl,
+      apiKey: secrets.anthropicApiKey,
+      maxTokens: httpConfig.maxTokens,
+    });
+  }
+  if (backend === 'stub') {
+    const stubPath = (claudeConfig.stub || {}).path || 'src/examples/claude-stub.js';
+    return new CliBackend({
+      name: 'stub',
+      command: process.execPath,
+      args: [path.resolve(stubPath)],
+    });
+  }
+  throw new Error(`Unknown Claude backend: ${backend}`);
+}
+
+/**
+ * Why a failed run is worth repeating with another model: the run timed out, hit a rate limit
+ * (HTTP 429, `rate_limit_error`) or the API was overloaded (HTTP 529, `overloaded_error`).
+ * Only structured data counts: the runner's timeout, the API status and error type of the http
+ * backend or of the CLI result message, and the API error type on the CLI's stderr. The output
+ * on stdout is Claude's own text and never looked at. Cancelled jobs and other failures (bad
+ * output, CLI crashes) are not worth a fallback.
+ * @param {Error} error - Error of ClaudeRunner.run()
+ * @returns {'timeout'|'rate_limit'|'overloaded'|null}
+ */
+function getFallbackReason(error) {
+  if (!error || error.name === 'AbortError') return null;
+  if (error.errorType === 'timeout') return 'timeout';
+
+  const status = error.apiErrorStatus;
+  const apiErrorType = error.apiErrorType || '';
+  if (status === 429 || apiErrorType === 'rate_limit_error') return 'rate_limit';
+  if (status === 529 || apiErrorType === 'overloaded_error') return 'overloaded';
+  if (error.errorType) return null;
+
+  const stderr = error.stderr || '';
+  if (/\brate_limit_error\b/.test(stderr)) return 'rate_limit';
+  if (/\boverloaded_error\b/.test(stderr)) return 'overloaded';
+  return null;
+}
+
+/**
+ * Runs prompts through the configured backend. Used by every job type, so model, timeout,
+ * environment, cancellation and process output are handled the same way everywhere.
+ */
+class ClaudeRunner {
+  /**
+   * @param {Object} [claudeConfig] - `claude` section of the config
+   * @param {Object} [options]
+   * @param {Object} [options.secrets] - `secrets` section of the config
+   * @param {Object} [options.backend] - Backend instance (defaults to `claude.backend`)
+   */
+  constructor(claudeConfig = {}, options = {}) {
+    this.config = claudeConfig;
+    this.backend = options.backend || createBackend(claudeConfig, options.secrets);
+  }
+
+  /**
+   * Resolve model, timeout, output format and environment for a job: explicit overrides win over
+   * `claude.jobs.<type>`, which wins over the `claude` defaults.
+   * @param {Object} job
+   * @param {string} job.type - Job type ('review' | 'create-release-note')
+   * @param {string} [job.model] - Model override
+   * @param {number} [job.timeoutMinutes] - Timeout override
+   * @param {Object} [job.env] - Extra environment variables
+   * @returns {{ model: string, timeoutMinutes: number, outputFormat: string, env: Object }}
+   */
+  resolveOptions({ type, model, timeoutMinutes, env }) {
+    const jobConfig = (this.config.jobs && this.config.jobs[type]) || {};
+
+    let resolvedTimeout = parseInt(
+      timeoutMinutes || jobConfig.timeoutMinutes || this.config.timeoutMinutes,
+      10,
+    );
+    if (Number.isNaN(resolvedTimeout) || resolvedTimeout <= 0) {
+      resolvedTimeout = DEFAULT_TIMEOUT_MINUTES;
+    }
+
+    const outputFormat = jobConfig.outputFormat || this.config.outputFormat;
+
+    return {
+      model: model || jobConfig.model || this.config.model || DEFAULT_MODEL,
+      timeoutMinutes: resolvedTimeout,
+      outputFormat: OUTPUT_FORMATS.includes(outputFormat) ? outputFormat : 'text',
+      env: { ...process.env, ...BASE_ENV, ...this.config.env, ...jobConfig.env, ...env },
+    };
+  }
+
+  /**
+   * Run a prompt. Rejects with an AbortError when the job is cancelled, with a
+   * "timed out after N minutes" error on timeout and with an output_parse_error when the
+   * JSON output cannot be used; errors carry the output so far (`stdout`, `stderr`) and,
+   * when the CLI printed a result message, the `model`, `usage` and `costUsd` of the run.
+   * @param {Object} request
+   * @param {string} request.prompt - Prompt text
+   * @param {string} request.type - Job type ('review' | 'create-release-note')
+   * @param {string} [request.cwd] - Working directory (job worktree)
+   * @param {AbortSignal} [request.signal] - Aborted when the job is cancelled
+   * @param {string} [request.model] - Model override
+   * @param {number} [request.timeoutMinutes] - Timeout override
+   * @param {Object} [request.env] - Extra environment variables
+   * @param {(event: Object) => void} [request.onProgress] - Progress events (see StreamJsonParser); the
+   *   cli and stub backends emit them with the `stream-json` output format, the http backend emits its token usage
+   * @returns {Promise<{ stdout: string, stderr: string, text: string, result: Object|null, model: string, outputFormat: string, duration: string, usage: Object|null, costUsd: number|null }>}
+   *   `text` is the final answer; `result` the structured result message (json output and http backend);
+   *   `usage` and `costUsd` the token usage and cost of the run (null in text output, see getRunUsage)
+   */
+  async run(request) {
+    const { model, timeoutMinutes, outputFormat, env } = this.resolveOptions(request);
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(), timeoutMinutes * 60 * 1000);
+    const signal = request.signal
+      ? AbortSignal.any([request.signal, timeout.signal])
+      : timeout.signal;
+    const startTime = Date.now();
+
+    logger.info(
+      `Starting Claude ${request.type} with ${model} model via ${this.backend.name} backend (timeout: ${timeoutMinutes} minutes)...`,
+    );
+
+    try {
+      const output = await this.backend.run({
+        prompt: request.prompt,
+        cwd: request.cwd,
+        model,
+        outputFormat,
+        env,
+        signal,
+        onProgress: request.onProgress,
+      });
+      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      const { usage, costUsd } = getRunUsage(output.result, model, this.config.prices);
+      return { ...output, model, outputFormat, duration, usage, costUsd };
+    } catch (error) {
+      if (timeout.signal.aborted && !(request.signal && request.signal.aborted)) {
+        logger.error(`❌ Claude timed out after ${timeoutMinutes} minutes`);
+        const timeoutError = new Error(
+          `Claude ${request.type} timed out after ${timeoutMinutes} minutes`,
+        );
+        timeoutError.errorType = 'timeout';
+        throw withProcessOutput(timeoutError, error.stdout, error.stderr);
+      }
+      // A failed run can still have used tokens (e.g. an error result of the CLI)
+      if (error.cliResult) {
+        Object.assign(error, { model }, getRunUsage(error.cliResult, model, this.config.prices));
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = ClaudeRunner;
+module.exports.CliBackend = CliBackend;
+module.exports.HttpBackend = HttpBackend;
+module.exports.createBackend = createBackend;
+module.exports.withProcessOutput = withProcessOutput;
+module.exports.getFallbackReason = getFallbackReason;
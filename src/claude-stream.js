@@ -0,0 +1,127 @@
+// Tools whose input names the file Claude reads
+const FILE_READ_TOOLS = { Read: 'file_path', NotebookRead: 'notebook_path' };
+
+/**
+ * Short description of a tool call input for progress events (paths, commands, patterns)
+ * @param {Object} input - Tool input
+ * @returns {string|null}
+ */
+function describeToolInput(input = {}) {
+  const value =
+    input.file_path || input.notebook_path || input.path || input.command || input.pattern;
+  if (typeof value !== 'string') return null;
+  return value.length > 200 ? `${value.slice(0, 200)}…` : value;
+}
+
+/**
+ * Token usage of an API message in progress event form
+ * @param {Object} usage - `usage` of an assistant or result message
+ * @returns {{ inputTokens: number, outputTokens: number, cacheReadTokens: number, cacheCreationTokens: number }}
+ */
+function toTokenUsage(usage = {}) {
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+  };
+}
+
+/**
+ * Parses `claude --output-format stream-json` output (one JSON message per line) into
+ * progress events:
+ * - `{ type: 'started', model, sessionId }`
+ * - `{ type: 'tool_call', tool, target }`
+ * - `{ type: 'file_read', path }`
+ * - `{ type: 'tokens', inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens }` (totals so far)
+ * - `{ type: 'result', durationMs, numTurns, costUsd, ...tokens }`
+ * The final `result` message is kept in `result`.
+ */
+class StreamJsonParser {
+  /**
+   * @param {(event: Object) => void} [onEvent] - Called for every progress event
+   */
+  constructor(onEvent = () => {}) {
+    this.onEvent = onEvent;
+    this.buffer = '';
+    this.result = null;
+    this.tokens = toTokenUsage();
+    this.countedMessageIds = new Set();
+  }
+
+  /**
+   * Feed a chunk of stdout
+   * @param {string} chunk
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    lines.forEach(line => this.parseLine(line));
+  }
+
+  /**
+   * Flush the last line (output without a trailing newline)
+   */
+  end() {
+    this.parseLine(this.buffer);
+    this.buffer = '';
+  }
+
+  /**
+   * @param {string} line - One line of stream-json output
+   */
+  parseLine(line) {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return; // Not a stream message (e.g. a warning printed by the CLI)
+    }
+
+    if (message.type === 'system' && message.subtype === 'init') {
+      this.onEvent({ type: 'started', model: message.model, sessionId: message.session_id });
+    } else if (message.type === 'assistant' && message.message) {
+      this.parseAssistantMessage(message.message);
+    } else if (message.type === 'result') {
+      this.result = message;
+      this.onEvent({
+        type: 'result',
+        durationMs: message.duration_ms,
+        numTurns: message.num_turns,
+        costUsd: message.total_cost_usd,
+        ...toTokenUsage(message.usage),
+      });
+    }
+  }
+
+  /**
+   * Emit tool calls, file reads and token totals of an assistant message
+   * @param {Object} message - API message (`content`, `usage`, `id`)
+   */
+  parseAssistantMessage(message) {
+    for (const block of message.content || []) {
+      if (block.type !== 'tool_use') continue;
+      const input = block.input || {};
+      this.onEvent({ type: 'tool_call', tool: block.name, target: describeToolInput(input) });
+      if (FILE_READ_TOOLS[block.name] && input[FILE_READ_TOOLS[block.name]]) {
+        this.onEvent({ type: 'file_read', path: input[FILE_READ_TOOLS[block.name]] });
+      }
+    }
+
+    // The CLI repeats an API message (same id and usage) for each of its content blocks
+    if (!message.usage || (message.id && this.countedMessageIds.has(message.id))) return;
+    if (message.id) this.countedMessageIds.add(message.id);
+    const usage = toTokenUsage(message.usage);
+    for (const key of Object.keys(this.tokens)) {
+      this.tokens[key] += usage[key];
+    }
+    this.onEvent({ type: 'tokens', ...this.tokens });
+  }
+}
+
+module.exports = {
+  StreamJsonParser,
+  toTokenUsage,
+};
@@ -0,0 +1,66 @@
+const { toTokenUsage } = require('./claude-stream');
+
+// token_type label of claude_tokens_total for each usage field
+const TOKEN_TYPES = {
+  inputTokens: 'input',
+  outputTokens: 'output',
+  cacheReadTokens: 'cache_read',
+  cacheCreationTokens: 'cache_creation',
+};
+
+/**
+ * Price entry of a model in `claude.prices`: an exact key, otherwise the longest key the
+ * model id contains (so `sonnet` also prices `claude-sonnet-4-5-20250929`)
+ * @param {string} model - Model alias or id
+ * @param {Object} [prices] - `claude.prices` ({ [model]: { inputPerMTok, outputPerMTok, cacheReadPerMTok, cacheWritePerMTok } })
+ * @returns {Object|null}
+ */
+function findModelPrice(model, prices = {}) {
+  if (!model || !prices) return null;
+  if (prices[model]) return prices[model];
+  const key = Object.keys(prices)
+    .filter(name => model.includes(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+/**
+ * Estimated cost of a run from the price table (USD per million tokens)
+ * @param {Object} usage - Token usage (see toTokenUsage)
+ * @param {Object|null} price - Price entry of the model
+ * @returns {number|null} Cost in USD, or null without a price entry
+ */
+function estimateCost(usage, price) {
+  if (!usage || !price) return null;
+  const perToken = key => (Number(price[key]) || 0) / 1e6;
+  return (
+    usage.inputTokens * perToken('inputPerMTok') +
+    usage.outputTokens * perToken('outputPerMTok') +
+    usage.cacheReadTokens * perToken('cacheReadPerMTok') +
+    usage.cacheCreationTokens * perToken('cacheWritePerMTok')
+  );
+}
+
+/**
+ * Token usage and cost of a Claude run. Usage comes from the structured result (json and
+ * stream-json output, http backend); text output has none. The cost is estimated from
+ * `claude.prices` when the model has an entry, otherwise it is the cost the CLI reports.
+ * @param {Object|null} result - Structured result of the run (CLI result message or API message)
+ * @param {string} model - Model the run used
+ * @param {Object} [prices] - `claude.prices`
+ * @returns {{ usage: Object|null, costUsd: number|null }}
+ */
+function getRunUsage(result, model, prices) {
+  if (!result || !result.usage) return { usage: null, costUsd: null };
+  const usage = toTokenUsage(result.usage);
+  const estimated = estimateCost(usage, findModelPrice(model, prices));
+  const reported = typeof result.total_cost_usd === 'number' ? result.total_cost_usd : null;
+  return { usage, costUsd: estimated !== null ? estimated : reported };
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  findModelPrice,
+  estimateCost,
+  getRunUsage,
+};
@@ -1,29 +1,270 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { ensureProjectExists, getDiffFromMergeBase } = require('./git');
+const {
+  ensureProjectExists,
+  releaseProject,
+  getDiffFromMergeBase,
+  getDiffBetweenCommits,
+} = require('./git');
 const { metrics } = require('./metrics');
 const TemplateManager = require('./template-manager');
+const ClaudeRunner = require('./claude-runner');
+const { withProcessOutput, getFallbackReason } = require('./claude-runner');
+const {
+  parseReviewMetrics,
+  parseReviewMetricsLenient,
+  extractReviewBody,
+} = require('./claude-output');
+const { createBitbucketClient } = require('./bitbucket-client');
+const { postReview } = require('./review-comments');
+const { getRepositoryConfig } = require('./repository-config');
+const { TOKEN_TYPES } = require('./claude-usage');
+const { getPrCharacteristics, selectModel } = require('./model-router');
 const logger = require('./logger').default;
 const { getConfig } = require('./config/loader');
 
 /**
- * Normalize queue item or legacy prData to { prData, type }.
- * @param {Object} queueItemOrPrData - Either { prData, type } or plain prData (legacy)
- * @returns {{ prData: Object, type: string }}
+ * Normalize queue item or legacy prData to { prData, type, id, signal, previousReview, onProgress, onUsage, onModelSelected, onModelAttempt }.
+ * @param {Object} queueItemOrPrData - Either { id, prData, type, signal, previousReview, onProgress, onUsage, onModelSelected, onModelAttempt } or plain prData (legacy)
+ * @returns {{ prData: Object, type: string, id: number|null, signal: AbortSignal|undefined, previousReview: Object|null, onProgress: Function|undefined, onUsage: Function|undefined, onModelSelected: Function|undefined, onModelAttempt: Function|undefined }}
  */
 function normalizeQueueItem(queueItemOrPrData) {
   if (queueItemOrPrData && queueItemOrPrData.type && queueItemOrPrData.prData) {
-    return { prData: queueItemOrPrData.prData, type: queueItemOrPrData.type };
+    return {
+      prData: queueItemOrPrData.prData,
+      type: queueItemOrPrData.type,
+      id: queueItemOrPrData.id || null,
+      signal: queueItemOrPrData.signal,
+      previousReview: queueItemOrPrData.previousReview || null,
+      onProgress: queueItemOrPrData.onProgress,
+      onUsage: queueItemOrPrData.onUsage,
+      onModelSelected: queueItemOrPrData.onModelSelected,
+      onModelAttempt: queueItemOrPrData.onModelAttempt,
+    };
+  }
+  return {
+    prData: queueItemOrPrData,
+    type: 'review',
+    id: null,
+    signal: undefined,
+    previousReview: null,
+    onProgress: undefined,
+    onUsage: undefined,
+    onModelSelected: undefined,
+    onModelAttempt: undefined,
+  };
+}
+
+/**
+ * Classify a failed job into the error_type used by metrics and the retry policy
+ * @param {Error} error - Error thrown while processing a job
+ * @returns {string} cancelled, timeout, rate_limit, overloaded, git_error, unknown, or the error's own errorType (e.g. output_parse_error, bitbucket_error, config_error, fallback_exhausted)
+ */
+function classifyError(error) {
+  if (error.errorType) return error.errorType;
+  if (error.name === 'AbortError') return 'cancelled';
+  const fallbackReason = getFallbackReason(error);
+  if (fallbackReason) return fallbackReason;
+  if (/timed out|timeout/i.test(error.message)) return 'timeout';
+  if (/clone|fetch|worktree|ensure project exists/i.test(error.message)) return 'git_error';
+  return 'unknown';
+}
+
+/**
+ * Count unusable Claude output in claude_output_parse_failures_total
+ * @param {string} repository - Repository name
+ * @param {Error} error - output_parse_error (has `parseFailure`)
+ */
+function recordParseFailure(repository, error) {
+  if (!error.parseFailure) return;
+  metrics.claudeOutputParseFailuresCounter.inc({ repository, reason: error.parseFailure });
+  logger.error(`❌ Unusable Claude output (${error.parseFailure}): ${error.message}`);
+}
+
+/**
+ * Count the tokens and cost of a Claude run in claude_tokens_total and claude_cost_usd_total
+ * and pass them to the job's `onUsage` callback (spend budgets)
+ * @param {string} repository - Repository name
+ * @param {string} jobType - Job type ('review' | 'create-release-note')
+ * @param {Object} run - Result of ClaudeRunner.run() ({ model, usage, costUsd })
+ * @param {(usage: { model: string, usage: Object, costUsd: number|null }) => void} [onUsage] - Called with the usage of the run
+ */
+function recordUsage(repository, jobType, { model, usage, costUsd }, onUsage) {
+  if (!usage) return;
+  if (onUsage) onUsage({ model, usage, costUsd });
+  const labels = { repository, model, job_type: jobType };
+  for (const [key, tokenType] of Object.entries(TOKEN_TYPES)) {
+    metrics.claudeTokensCounter.inc({ ...labels, token_type: tokenType }, usage[key]);
+  }
+  if (costUsd !== null) {
+    metrics.claudeCostCounter.inc(labels, costUsd);
+  }
+  logger.info(
+    `🪙 Claude ${jobType} used ${usage.inputTokens} input, ${usage.outputTokens} output, ${usage.cacheReadTokens} cache read and ${usage.cacheCreationTokens} cache write tokens (${costUsd !== null ? `~$${costUsd.toFixed(4)}` : 'cost unknown'})`,
+  );
+}
+
+/**
+ * Runner for the configured Claude backend (config is cached, so this is cheap per job)
+ * @returns {ClaudeRunner}
+ */
+function getClaudeRunner() {
+  const config = getConfig();
+  return new ClaudeRunner(config.claude || {}, { secrets: config.secrets });
+}
+
+/**
+ * Run a prompt, moving down `claude.fallbackModels` when the model times out, is rate limited
+ * or overloaded: the same request is repeated with the next model of the chain (the requested
+ * model first, then the fallback models it is not already). Every attempt is passed to
+ * `onModelAttempt`, the usage of every attempt that reports one (failed ones included) is
+ * recorded, and each switch is counted in model_fallback_total. Other errors, and the error
+ * of the last model, are thrown; when the chain fell back at least once, the last error gets
+ * `errorType: 'fallback_exhausted'` (not retried by the default retry policy) and its
+ * `fallbackReason`.
+ * @param {ClaudeRunner} runner - Claude runner
+ * @param {Object} request - Request for ClaudeRunner.run()
+ * @param {Object} context
+ * @param {string} context.repository - Repository name
+ * @param {(usage: Object) => void} [context.onUsage] - Receives the token usage and cost of each attempt
+ * @param {(attempt: Object) => void} [context.onModelAttempt] - Receives each attempt
+ *   ({ model, outcome: 'success'|'timeout'|'rate_limit'|'overloaded'|'error', durationSeconds, error })
+ * @returns {Promise<Object>} Result of ClaudeRunner.run() (`model` is the model that answered)
+ */
+async function runWithFallback(runner, request, { repository, onUsage, onModelAttempt }) {
+  const primary = runner.resolveOptions(request).model;
+  const fallbackModels = (getConfig().claude || {}).fallbackModels || [];
+  const chain = [...new Set([primary, ...fallbackModels.filter(Boolean)])];
+
+  for (const [i, model] of chain.entries()) {
+    const startTime = Date.now();
+    const attempt = { model, outcome: 'success', durationSeconds: null, error: null };
+    try {
+      const result = await runner.run({ ...request, model });
+      recordUsage(repository, request.type, result, onUsage);
+      return result;
+    } catch (error) {
+      if (error.usage) recordUsage(repository, request.type, error, onUsage);
+      const reason = getFallbackReason(error);
+      const next = chain[i + 1];
+      attempt.outcome = reason || 'error';
+      attempt.error = error.message;
+      if (reason && !next && i > 0) {
+        // Every model of the chain failed; a queue retry would run (and pay for) it all again
+        error.errorType = 'fallback_exhausted';
+        error.fallbackReason = reason;
+      }
+      if (!reason || !next) throw error;
+
+      metrics.modelFallbackCounter.inc({
+        repository,
+        job_type: request.type,
+        from_model: model,
+        to_model: next,
+        reason,
+      });
+      logger.warn(
+        `🔀 Claude ${request.type} with ${model} failed (${reason}), retrying with ${next}`,
+      );
+    } finally {
+      attempt.durationSeconds = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+      if (onModelAttempt) onModelAttempt(attempt);
+    }
   }
-  return { prData: queueItemOrPrData, type: 'review' };
+}
+
+/**
+ * Post the review from the service (`service` comment mode): the bot's PR summary comment,
+ * updated in place on re-reviews, plus inline comments in `inline` comment style.
+ * @param {Object} prData - Pull request data
+ * @param {string} text - Claude's response (review followed by the metrics block)
+ * @param {Object} options
+ * @param {Object[]} options.findings - Structured findings of the review
+ * @param {string} options.commentStyle - 'summary' | 'inline'
+ * @param {string|null} options.diff - PR diff the findings are anchored to
+ * @param {boolean} options.incremental - Incremental review (posted as a new summary comment)
+ * @param {AbortSignal} [options.signal] - Job signal; aborts the Bitbucket calls
+ * @returns {Promise<{ commentId: number, updated: boolean, inlineCount: number, summaryFindingCount: number }>}
+ */
+async function postReviewComment(
+  prData,
+  text,
+  { findings, commentStyle, diff, incremental, signal },
+) {
+  const body = extractReviewBody(text);
+  return postReview(createBitbucketClient(getConfig()), prData.prUrl, {
+    body,
+    findings,
+    commentStyle,
+    diff,
+    incremental,
+    signal,
+  });
+}
+
+/**
+ * Get the diff of the commits pushed since the previous review, if it fits in the prompt.
+ * @param {string} projectPath - Job worktree path
+ * @param {Object} previousReview - Last review of the PR ({ commitHash, ... })
+ * @param {number} maxDiffSizeKb - Largest diff included in the prompt
+ * @returns {Promise<Object|null>} Incremental diff result, or null to fall back to a full review
+ */
+async function getIncrementalDiff(projectPath, previousReview, maxDiffSizeKb) {
+  try {
+    const diffResult = await getDiffBetweenCommits(projectPath, previousReview.commitHash);
+    if (!diffResult.success) {
+      logger.info(`Incremental diff unavailable (${diffResult.message}), doing a full review`);
+      return null;
+    }
+    if (diffResult.size === 0) {
+      logger.info('No file changes since the previous review, doing a full review');
+      return null;
+    }
+
+    if (diffResult.size > maxDiffSizeKb * 1024) {
+      logger.info(`Incremental diff exceeds ${maxDiffSizeKb}KB, doing a full review`);
+      return null;
+    }
+    return diffResult;
+  } catch (error) {
+    logger.warn(`Failed to get incremental diff: ${error.message}. Doing a full review.`);
+    return null;
+  }
+}
+
+/**
+ * Write the prompt of a job to a file (kept when prompt logs are enabled, temporary otherwise).
+ * The job id keeps the names of concurrent jobs apart; jobs without one get a random suffix.
+ * @param {string} kind - File name prefix ('pr-review' | 'release-note')
+ * @param {number|null} jobId - Queue job id
+ * @param {string} prompt - Prompt text
+ * @returns {{ promptFile: string, promptLogs: Object }}
+ */
+function writePromptFile(kind, jobId, prompt) {
+  const promptLogs = getConfig().promptLogs || {};
+  const promptDir = promptLogs.enabled && promptLogs.path ? promptLogs.path : '/tmp';
+  if (promptLogs.enabled && promptLogs.path) {
+    fs.mkdirSync(promptDir, { recursive: true });
+  }
+  const suffix = jobId ? `job-${jobId}` : crypto.randomUUID();
+  const promptFile = path.join(promptDir, `${kind}-${Date.now()}-${suffix}.txt`);
+  fs.writeFileSync(promptFile, prompt);
+  return { promptFile, promptLogs };
 }
 
 /**
  * Run only the release-note flow: ensure repo, build prompt, run Claude, post comment via MCP.
  * @param {Object} prData - Pull request data
- * @returns {Promise<{ success: boolean }>}
+ * @param {Object} job - Queue job context
+ * @param {number|null} job.jobId - Queue job id (names the job worktree)
+ * @param {AbortSignal} [job.signal] - Aborts the Claude process when the job is cancelled
+ * @param {(event: Object) => void} [job.onProgress] - Receives Claude progress events
+ * @param {(usage: Object) => void} [job.onUsage] - Receives the token usage and cost of the run
+ * @param {(attempt: Object) => void} [job.onModelAttempt] - Receives each model attempt (see runWithFallback)
+ * @returns {Promise<{ success: boolean, response: string, duration: string, model: string, usage: Object|null, costUsd: number|null }>}
  */
-async function runReleaseNoteFlow(prData) {
+async function runReleaseNoteFlow(prData, { jobId, signal, onProgress, onUsage, onModelAttempt }) {
   logger.info('Running release note flow...');
   logger.info(`PR Title: ${prData.title}`);
 
@@ -31,77 +272,59 @@ async function runReleaseNoteFlow(prData) {
     name: prData.repository,
     cloneUrl: prData.repoCloneUrl,
     sourceBranch: prData.sourceBranch,
+    sourceCommit: prData.sourceCommit,
+    jobId,
   };
   const projectResult = await ensureProjectExists(repoData);
   if (!projectResult.success) {
-    throw new Error('Failed to ensure project exists');
+    throw new Error(`Failed to ensure project exists: ${projectResult.message}`);
   }
 
+  // Repository and branch settings win over claude.jobs.create-release-note
+  const { model, timeoutMinutes } = getRepositoryConfig(prData.repository, getConfig(), {
+    destinationBranch: prData.destinationBranch,
+  });
+  logger.info(
+    `Repository settings: model=${model || 'default'}, timeout=${timeoutMinutes || 'default'}`,
+  );
+
   const templateManager = new TemplateManager();
   const prompt = templateManager.getReleaseNotePrompt(prData);
-  const promptLogs = getConfig().promptLogs || {};
-  const promptDir = promptLogs.enabled && promptLogs.path ? promptLogs.path : '/tmp';
-  if (promptLogs.enabled && promptLogs.path) {
-    fs.mkdirSync(promptDir, { recursive: true });
-  }
-  const promptFile = path.join(promptDir, `release-note-${Date.now()}.txt`);
-  fs.writeFileSync(promptFile, prompt);
-
-  const claudeConfig = getConfig().claude || {};
-  const model = claudeConfig.model || 'sonnet';
-
-  logger.info(`Running claude process with model selected: ${model}`);
-
-  let timeoutMinutes = parseInt(claudeConfig.timeoutMinutes, 10);
-  if (Number.isNaN(timeoutMinutes) || timeoutMinutes <= 0) timeoutMinutes = 10;
-
-  const env = {
-    ...process.env,
-    SHELL: '/bin/bash',
-    HOME: '/home/node',
-    PATH: '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin',
-  };
-
-  const { spawn } = require('child_process');
-  const claudeProcess = spawn(
-    'claude',
-    ['--dangerously-skip-permissions', '--model', model, '--output-format', 'text'],
-    { cwd: projectResult.path, env, shell: false },
-  );
+  const { promptFile, promptLogs } = writePromptFile('release-note', jobId, prompt);
 
   try {
-    const result = await new Promise((resolve, reject) => {
-      let stdout = '';
-      let stderr = '';
-      const timeoutMs = timeoutMinutes * 60 * 1000;
-      const timeout = setTimeout(() => {
-        claudeProcess.kill('SIGTERM');
-        reject(new Error(`Release note generation timed out after ${timeoutMinutes} minutes`));
-      }, timeoutMs);
-      claudeProcess.stdout.on('data', d => {
-        stdout += d.toString();
-        process.stdout.write(d);
-      });
-      claudeProcess.stderr.on('data', d => {
-        stderr += d.toString();
-        process.stderr.write(d);
-      });
-      claudeProcess.on('close', code => {
-        clearTimeout(timeout);
-        if (code === 0) resolve({ stdout, stderr });
-        else
-          reject(new Error(`Claude exited with code ${code}: ${stderr || stdout || 'No output'}`));
-      });
-      claudeProcess.on('error', reject);
-      claudeProcess.stdin.write(fs.readFileSync(promptFile, 'utf8'));
-      claudeProcess.stdin.end();
-    });
+    const result = await runWithFallback(
+      getClaudeRunner(),
+      {
+        prompt,
+        type: 'create-release-note',
+        cwd: projectResult.path,
+        signal,
+        model,
+        timeoutMinutes,
+        onProgress,
+      },
+      { repository: prData.repository, onUsage, onModelAttempt },
+    );
     logger.info('✓ Release note Claude run completed');
-    return { success: true, response: result.stdout };
+    return {
+      success: true,
+      response: result.text,
+      duration: result.duration,
+      model: result.model,
+      usage: result.usage,
+      costUsd: result.costUsd,
+    };
+  } catch (error) {
+    // Only a persisted prompt log outlives the job; the dead letter keeps the prompt itself
+    error.promptFile = promptLogs.enabled ? promptFile : null;
+    error.prompt = prompt;
+    throw error;
   } finally {
     if (!promptLogs.enabled && fs.existsSync(promptFile)) {
       fs.unlinkSync(promptFile);
     }
+    await releaseProject(projectResult);
   }
 }
 
@@ -110,16 +333,35 @@ async function runReleaseNoteFlow(prData) {
  * @param {Object} queueItemOrPrData - Either { prData, type: 'review'|'create-release-note' } or legacy prData
  */
 async function processPullRequest(queueItemOrPrData) {
-  const { prData, type } = normalizeQueueItem(queueItemOrPrData);
+  const {
+    prData,
+    type,
+    id,
+    signal,
+    previousReview,
+    onProgress,
+    onUsage,
+    onModelSelected,
+    onModelAttempt,
+  } = normalizeQueueItem(queueItemOrPrData);
   const repository = prData.repository;
   const startTime = Date.now();
+  let projectResult = null;
 
   if (type === 'create-release-note') {
     try {
-      await runReleaseNoteFlow(prData);
-      return { success: true };
+      const { duration, model, usage, costUsd } = await runReleaseNoteFlow(prData, {
+        jobId: id,
+        signal,
+        onProgress,
+        onUsage,
+        onModelAttempt,
+      });
+      return { success: true, duration, model, usage, costUsd };
     } catch (error) {
       logger.error(`Release note flow failed: ${error.message}`);
+      recordParseFailure(repository, error);
+      error.errorType = classifyError(error);
       throw error;
     }
   }
@@ -136,32 +378,53 @@ async function processPullRequest(queueItemOrPrData) {
       name: prData.repository,
       cloneUrl: prData.repoCloneUrl,
       sourceBranch: prData.sourceBranch,
+      sourceCommit: prData.sourceCommit,
+      jobId: id,
     };
 
-    const projectResult = await ensureProjectExists(repoData);
+    projectResult = await ensureProjectExists(repoData);
     logger.debug(`Project validation result: ${JSON.stringify(projectResult)}`);
 
     if (!projectResult.success) {
-      throw new Error('Failed to ensure project exists');
+      throw new Error(`Failed to ensure project exists: ${projectResult.message}`);
     }
 
     logger.info(`Project path: ${projectResult.path}`);
     logger.info(`Was cloned: ${projectResult.wasCloned ? 'Yes' : 'No (already existed)'}`);
 
-    // STEP 2: Get diff from merge-base (only PR author's changes)
-    logger.info('=== Step 2: Getting PR Diff from Merge-Base ===');
+    // Per-repository (and destination branch) template, comment and model settings
+    const { template, commentMode, commentStyle, model, timeoutMinutes, maxDiffSizeKb } =
+      getRepositoryConfig(repository, getConfig(), {
+        destinationBranch: prData.destinationBranch,
+      });
+    logger.info(
+      `Repository settings: template=${template}, model=${model || 'default'}, timeout=${timeoutMinutes || 'default'}, maxDiffSizeKb=${maxDiffSizeKb}`,
+    );
+
+    // STEP 2: Get diff from merge-base (only PR author's changes), or only the new commits
+    // when the PR was reviewed before and incremental review is enabled
     let diffResult = null;
     let diffTooLarge = false;
+    let incrementalDiff = null;
+
+    if (previousReview) {
+      logger.info(`=== Step 2: Getting Incremental Diff since ${previousReview.commitHash} ===`);
+      incrementalDiff = await getIncrementalDiff(projectResult.path, previousReview, maxDiffSizeKb);
+    }
+    if (!incrementalDiff) {
+      logger.info('=== Step 2: Getting PR Diff from Merge-Base ===');
+    }
 
     try {
-      diffResult = await getDiffFromMergeBase(
-        projectResult.path,
-        prData.sourceBranch,
-        prData.destinationBranch,
-      );
+      diffResult =
+        incrementalDiff ||
+        (await getDiffFromMergeBase(
+          projectResult.path,
+          prData.sourceBranch,
+          prData.destinationBranch,
+        ));
 
       if (diffResult.success) {
-        const maxDiffSizeKb = getConfig().claude.maxDiffSizeKb || 200;
         const maxDiffSizeBytes = maxDiffSizeKb * 1024;
         diffTooLarge = diffResult.size > maxDiffSizeBytes;
         const diffSizeKB = (diffResult.size / 1024).toFixed(2);
@@ -179,6 +442,25 @@ async function processPullRequest(queueItemOrPrData) {
       // Continue without diff - Claude will use MCP tools
     }
 
+    // Pick the model from the PR's diff size, files and trigger (repository settings win)
+    const runner = getClaudeRunner();
+    const selection = selectModel(
+      {
+        repositoryModel: model,
+        pr: getPrCharacteristics({
+          diffResult,
+          triggerType: prData.triggerType || 'automatic-webhook',
+        }),
+      },
+      getConfig().claude.routing,
+    );
+    const modelSelection = {
+      model: selection.model || runner.resolveOptions({ type: 'review' }).model,
+      reason: selection.reason,
+    };
+    logger.info(`🧭 Review model: ${modelSelection.model} (${modelSelection.reason})`);
+    if (onModelSelected) onModelSelected(modelSelection);
+
     // STEP 3: Process with Claude CLI
     logger.info('=== Step 3: Processing with Claude CLI ===');
 
@@ -188,116 +470,31 @@ async function processPullRequest(queueItemOrPrData) {
       diffTooLarge: diffTooLarge,
       sourceBranch: prData.sourceBranch,
       destinationBranch: prData.destinationBranch,
+      previousReview: incrementalDiff ? previousReview : null,
+      commentMode,
+      commentStyle,
     });
 
     // Write prompt to file (persisted or temp per config)
-    const promptLogs = getConfig().promptLogs || {};
-    const promptDir = promptLogs.enabled && promptLogs.path ? promptLogs.path : '/tmp';
-    if (promptLogs.enabled && promptLogs.path) {
-      fs.mkdirSync(promptDir, { recursive: true });
-    }
-    const promptFile = path.join(promptDir, `pr-review-${Date.now()}.txt`);
-    fs.writeFileSync(promptFile, prompt);
+    const { promptFile, promptLogs } = writePromptFile('pr-review', id, prompt);
 
     try {
-      logger.info('Executing Claude CLI...');
-      const startTime = Date.now();
-
-      const claudeConfig = getConfig().claude || {};
-      const model = claudeConfig.model || 'sonnet';
-
-      logger.info(`Running claude process with model selected: ${model}`);
-
-      let timeoutMinutes = parseInt(claudeConfig.timeoutMinutes, 10);
-      if (Number.isNaN(timeoutMinutes) || timeoutMinutes <= 0) {
-        timeoutMinutes = 10;
-      }
-
-      logger.info(
-        `Starting Claude analysis with ${model} model (timeout: ${timeoutMinutes} minutes)...`,
-      );
-
-      // Set environment variables for the child process
-      const env = {
-        ...process.env,
-        SHELL: '/bin/bash',
-        HOME: '/home/node',
-        PATH: '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin',
-      };
-
-      // Use stdin instead of command substitution to avoid shell issues
-      const { spawn } = require('child_process');
-
-      const claudeProcess = spawn(
-        'claude',
-        ['--dangerously-skip-permissions', '--model', model, '--output-format', 'text'],
+      logger.info('Executing Claude...');
+      const result = await runWithFallback(
+        runner,
         {
+          prompt,
+          type: 'review',
           cwd: projectResult.path,
-          env: env,
-          shell: false,
+          signal,
+          model: modelSelection.model,
+          timeoutMinutes,
+          onProgress,
         },
+        { repository, onUsage, onModelAttempt },
       );
 
-      // Create a promise to handle the process
-      const result = await new Promise((resolve, reject) => {
-        let stdout = '';
-        let stderr = '';
-
-        // Set timeout
-        const timeoutMs = timeoutMinutes * 60 * 1000;
-        const timeout = setTimeout(() => {
-          claudeProcess.kill('SIGTERM');
-          reject(
-            new Error(
-              `Claude analysis timed out after ${timeoutMinutes} minutes. The PR might be too large or complex.`,
-            ),
-          );
-        }, timeoutMs);
-
-        claudeProcess.stdout.on('data', data => {
-          const chunk = data.toString();
-          stdout += chunk;
-          // Log progress (optional, can be removed if too verbose)
-          process.stdout.write(chunk);
-        });
-
-        claudeProcess.stderr.on('data', data => {
-          const chunk = data.toString();
-          stderr += chunk;
-          process.stderr.write(chunk);
-        });
-
-        claudeProcess.on('close', code => {
-          clearTimeout(timeout);
-          if (code === 0) {
-            resolve({ stdout, stderr });
-          } else {
-            // Log both stdout and stderr to help debug
-            logger.error(`Claude CLI failed with code: ${code}`);
-            if (stderr) logger.error(`STDERR: ${stderr}`);
-            if (stdout) logger.error(`STDOUT: ${stdout}`);
-            reject(
-              new Error(
-                `Claude CLI exited with code ${code}: ${stderr || stdout || 'No error output'}`,
-              ),
-            );
-          }
-        });
-
-        claudeProcess.on('error', error => {
-          clearTimeout(timeout);
-          reject(error);
-        });
-
-        // Send the prompt via stdin
-        const promptContent = fs.readFileSync(promptFile, 'utf8');
-        claudeProcess.stdin.write(promptContent);
-        claudeProcess.stdin.end();
-      });
-
-      const { stdout, stderr } = result;
-
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+      const { text, stderr, duration } = result;
       logger.info(`✓ Claude analysis completed in ${duration}s`);
 
       if (stderr) {
@@ -308,36 +505,37 @@ async function processPullRequest(queueItemOrPrData) {
         fs.unlinkSync(promptFile);
       }
 
-      // Extract metrics from JSON output
-      let isLgtm = false;
-      let issueCount = 0;
-      let isReviewFailed = false;
-      let failedReviewReason = null;
-
-      // Look for JSON block in the response (should be at the end)
-      const jsonMatch = stdout.match(/```json\s*\n\s*({[\s\S]*?})\s*\n\s*```/);
+      // Extract metrics from the JSON block at the end of the review. With JSON (or stream-json)
+      // output the run fails when the block is missing or invalid; in text mode the failure is
+      // only counted and the block is read leniently, as before.
+      let reviewMetrics;
+      try {
+        reviewMetrics = parseReviewMetrics(text);
+      } catch (parseError) {
+        if (result.outputFormat !== 'text') {
+          throw withProcessOutput(parseError, result.stdout, stderr);
+        }
+        recordParseFailure(repository, parseError);
+        reviewMetrics = parseReviewMetricsLenient(text);
+      }
+      const { isLgtm, issueCount, isReviewFailed, failedReviewReason, findings } = reviewMetrics;
+      logger.info(
+        `✓ Parsed metrics from JSON: isLgtm=${isLgtm}, issueCount=${issueCount}, isReviewFailed=${isReviewFailed}, failedReviewReason=${failedReviewReason}`,
+      );
 
-      if (jsonMatch && jsonMatch[1]) {
+      // In service comment mode Claude only wrote the review; post it ourselves
+      if (commentMode === 'service' && !isReviewFailed) {
         try {
-          const reviewMetrics = JSON.parse(jsonMatch[1]);
-          isLgtm = reviewMetrics.isLgtm === true;
-          issueCount = typeof reviewMetrics.issueCount === 'number' ? reviewMetrics.issueCount : 0;
-          isReviewFailed = reviewMetrics.isReviewFailed === true;
-          failedReviewReason = reviewMetrics.failedReviewReason || null;
-          logger.info(
-            `✓ Parsed metrics from JSON: isLgtm=${isLgtm}, issueCount=${issueCount}, isReviewFailed=${isReviewFailed}, failedReviewReason=${failedReviewReason}`,
-          );
-        } catch (parseError) {
-          logger.error(`Error parsing metrics JSON: ${parseError.message}`);
-          throw new Error(`Failed to parse metrics JSON: ${parseError.message}`);
+          await postReviewComment(prData, text, {
+            findings,
+            commentStyle,
+            diff: diffResult && diffResult.success ? diffResult.diff : null,
+            incremental: Boolean(incrementalDiff),
+            signal,
+          });
+        } catch (postError) {
+          throw withProcessOutput(postError, result.stdout, stderr);
         }
-      } else {
-        logger.error('❌ No JSON metrics found in Claude response');
-        // Default to conservative metrics
-        isLgtm = false;
-        issueCount = 0;
-        isReviewFailed = false;
-        failedReviewReason = null;
       }
 
       // Track review failure if indicated by Claude
@@ -375,45 +573,41 @@ async function processPullRequest(queueItemOrPrData) {
 
       return {
         success: true,
-        response: stdout,
+        response: text,
         duration: duration,
+        isLgtm,
+        issueCount,
+        isReviewFailed,
+        failedReviewReason,
+        findings,
+        commitHash: projectResult.headCommit || null,
+        model: result.model,
+        usage: result.usage,
+        costUsd: result.costUsd,
       };
     } catch (error) {
       // Clean up prompt file on error (only if not persisting)
       if (!promptLogs.enabled && fs.existsSync(promptFile)) {
         fs.unlinkSync(promptFile);
       }
-
-      // Checking if it's a timeout error
-      if (
-        error.killed ||
-        error.signal === 'SIGTERM' ||
-        /timed out after \d+ minutes/.test(error.message)
-      ) {
-        const claudeCfg = getConfig().claude || {};
-        let timeoutMinutes = parseInt(claudeCfg.timeoutMinutes, 10);
-        if (Number.isNaN(timeoutMinutes) || timeoutMinutes <= 0) {
-          timeoutMinutes = 10;
-        }
-        logger.error(`❌ Claude CLI timed out after ${timeoutMinutes} minutes`);
-        throw new Error(
-          `Claude analysis timed out after ${timeoutMinutes} minutes. The PR might be too large or complex.`,
-        );
-      }
-
+      error.promptFile = promptLogs.enabled ? promptFile : null;
+      error.prompt = prompt;
       throw error;
     }
   } catch (error) {
+    const errorType = classifyError(error);
+    error.errorType = errorType;
+    if (errorType === 'cancelled') {
+      // Superseded, cancelled by an admin or checkpointed at shutdown: not a failed review
+      logger.info(`Review of ${repository} cancelled: ${error.message}`);
+      throw error;
+    }
+
     logger.error(`Error executing Claude CLI: ${error.message}`);
+    recordParseFailure(repository, error);
 
     // Track failed review
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    const errorType = error.message.includes('timeout')
-      ? 'timeout'
-      : error.message.includes('clone')
-        ? 'git_error'
-        : 'unknown';
-
     metrics.claudeReviewFailureCounter.inc({ repository, error_type: errorType });
     metrics.claudeReviewDurationHistogram.observe(
       { repository, status: 'failure' },
@@ -424,6 +618,9 @@ async function processPullRequest(queueItemOrPrData) {
     );
 
     throw error;
+  } finally {
+    // Each job gets its own worktree; remove it whether the review succeeded or not
+    await releaseProject(projectResult);
   }
 }
 
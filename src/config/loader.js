@@ -14,16 +14,44 @@ const DEFAULT_CONFIG = {
     enabled: true,
     targetBranchPatterns: [],
     sourceBranchPatterns: [],
+    incremental: { enabled: false },
+    commentMode: 'mcp',
+    commentStyle: 'summary',
   },
   releaseNote: {
     enabled: false,
     targetBranchPatterns: ['^release-'],
     sourceBranchPatterns: [],
   },
-  server: { port: 3000 },
-  claude: { model: 'sonnet', timeoutMinutes: 10, maxDiffSizeKb: 200 },
-  bitbucket: { allowedWorkspace: 'yourworkspace', nonAllowedUsers: '' },
-  eventFilter: { processOnlyCreated: false },
+  server: { port: 3000, shutdownGraceSeconds: 60 },
+  claude: {
+    model: 'sonnet',
+    timeoutMinutes: 10,
+    maxDiffSizeKb: 200,
+    backend: 'cli',
+    outputFormat: 'text',
+    http: { baseUrl: 'https://api.anthropic.com', maxTokens: 8192 },
+    prices: {
+      opus: { inputPerMTok: 5, outputPerMTok: 25, cacheReadPerMTok: 0.5, cacheWritePerMTok: 6.25 },
+      sonnet: {
+        inputPerMTok: 3,
+        outputPerMTok: 15,
+        cacheReadPerMTok: 0.3,
+        cacheWritePerMTok: 3.75,
+      },
+      haiku: { inputPerMTok: 1, outputPerMTok: 5, cacheReadPerMTok: 0.1, cacheWritePerMTok: 1.25 },
+    },
+    routing: { enabled: false, rules: [] },
+    fallbackModels: [],
+  },
+  bitbucket: {
+    allowedWorkspace: 'yourworkspace',
+    nonAllowedUsers: '',
+    apiBaseUrl: 'https://api.bitbucket.org/2.0',
+    retry: { maxAttempts: 3, backoffMs: 1000 },
+    timeoutSeconds: 30,
+  },
+  eventFilter: { processOnlyCreated: false, updateDebounceSeconds: 0 },
   manualTrigger: {
     enabled: true,
     prefixCommand: '/review',
@@ -45,8 +73,36 @@ const DEFAULT_CONFIG = {
     enableConsole: true,
     enableFile: true,
   },
-  circuitBreaker: { failureThreshold: 3, resetTimeoutMs: 30000 },
+  circuitBreaker: { failureThreshold: 3, resetTimeoutMs: 30000, halfOpenMaxProbes: 1 },
+  git: { worktreeMaxAgeMinutes: 120, janitorIntervalMinutes: 30 },
+  queue: {
+    concurrency: 2,
+    coalesce: { enabled: true, cancelRunning: false },
+    retry: {
+      maxAttempts: 3,
+      backoffSeconds: 30,
+      maxBackoffSeconds: 600,
+      retryableErrorTypes: ['timeout', 'git_error', 'claude_reported'],
+    },
+    priority: {
+      default: 0,
+      rules: [{ priority: 10, triggerType: 'manual-comment' }],
+    },
+    persistence: {
+      enabled: true,
+      path: '/app/queue-storage',
+      retentionDays: 14,
+    },
+  },
   promptLogs: { enabled: false, path: '/app/prompt-logs' },
+  budgets: {
+    enabled: false,
+    global: { softUsd: null, hardUsd: null },
+    repositories: {},
+    authors: {},
+    overrideRole: 'anyone',
+    overrideUsers: [],
+  },
 };
 
 let cachedConfig = null;
@@ -107,10 +163,34 @@ function applyEnvOverrides(config) {
     merged.server = merged.server || {};
     merged.server.port = parseInt(e.PORT, 10) || config.server?.port || 3000;
   }
+  if (e.SHUTDOWN_GRACE_SECONDS !== undefined && e.SHUTDOWN_GRACE_SECONDS !== '') {
+    merged.server = merged.server || {};
+    merged.server.shutdownGraceSeconds =
+      parseInt(e.SHUTDOWN_GRACE_SECONDS, 10) || config.server?.shutdownGraceSeconds || 60;
+  }
   if (e.CLAUDE_MODEL !== undefined && e.CLAUDE_MODEL !== '') {
     merged.claude = merged.claude || {};
     merged.claude.model = e.CLAUDE_MODEL;
   }
+  if (e.CLAUDE_BACKEND !== undefined && e.CLAUDE_BACKEND !== '') {
+    merged.claude = merged.claude || {};
+    merged.claude.backend = e.CLAUDE_BACKEND;
+  }
+  if (e.CLAUDE_OUTPUT_FORMAT !== undefined && e.CLAUDE_OUTPUT_FORMAT !== '') {
+    merged.claude = merged.claude || {};
+    merged.claude.outputFormat = e.CLAUDE_OUTPUT_FORMAT;
+  }
+  if (e.CLAUDE_ROUTING_ENABLED !== undefined && e.CLAUDE_ROUTING_ENABLED !== '') {
+    merged.claude = merged.claude || {};
+    merged.claude.routing = merged.claude.routing || {};
+    merged.claude.routing.enabled = e.CLAUDE_ROUTING_ENABLED === 'true';
+  }
+  if (e.CLAUDE_FALLBACK_MODELS !== undefined && e.CLAUDE_FALLBACK_MODELS !== '') {
+    merged.claude = merged.claude || {};
+    merged.claude.fallbackModels = e.CLAUDE_FALLBACK_MODELS.split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+  }
   if (e.CLAUDE_TIMEOUT_CONFIG !== undefined && e.CLAUDE_TIMEOUT_CONFIG !== '') {
     merged.claude = merged.claude || {};
     merged.claude.timeoutMinutes =
@@ -133,6 +213,41 @@ function applyEnvOverrides(config) {
     merged.eventFilter = merged.eventFilter || {};
     merged.eventFilter.processOnlyCreated = e.PROCESS_ONLY_CREATED === 'true';
   }
+  if (e.INCREMENTAL_REVIEW_ENABLED !== undefined && e.INCREMENTAL_REVIEW_ENABLED !== '') {
+    merged.prReview = merged.prReview || {};
+    merged.prReview.incremental = merged.prReview.incremental || {};
+    merged.prReview.incremental.enabled = e.INCREMENTAL_REVIEW_ENABLED === 'true';
+  }
+  if (e.REVIEW_COMMENT_MODE !== undefined && e.REVIEW_COMMENT_MODE !== '') {
+    merged.prReview = merged.prReview || {};
+    merged.prReview.commentMode = e.REVIEW_COMMENT_MODE;
+  }
+  if (e.REVIEW_COMMENT_STYLE !== undefined && e.REVIEW_COMMENT_STYLE !== '') {
+    merged.prReview = merged.prReview || {};
+    merged.prReview.commentStyle = e.REVIEW_COMMENT_STYLE;
+  }
+  if (e.BUDGETS_ENABLED !== undefined && e.BUDGETS_ENABLED !== '') {
+    merged.budgets = merged.budgets || {};
+    merged.budgets.enabled = e.BUDGETS_ENABLED === 'true';
+  }
+  if (e.BUDGET_GLOBAL_SOFT_USD !== undefined && e.BUDGET_GLOBAL_SOFT_USD !== '') {
+    merged.budgets = merged.budgets || {};
+    merged.budgets.global = merged.budgets.global || {};
+    merged.budgets.global.softUsd = parseFloat(e.BUDGET_GLOBAL_SOFT_USD);
+  }
+  if (e.BUDGET_GLOBAL_HARD_USD !== undefined && e.BUDGET_GLOBAL_HARD_USD !== '') {
+    merged.budgets = merged.budgets || {};
+    merged.budgets.global = merged.budgets.global || {};
+    merged.budgets.global.hardUsd = parseFloat(e.BUDGET_GLOBAL_HARD_USD);
+  }
+  if (e.BUDGET_OVERRIDE_ROLE !== undefined && e.BUDGET_OVERRIDE_ROLE !== '') {
+    merged.budgets = merged.budgets || {};
+    merged.budgets.overrideRole = e.BUDGET_OVERRIDE_ROLE;
+  }
+  if (e.UPDATE_DEBOUNCE_SECONDS !== undefined && e.UPDATE_DEBOUNCE_SECONDS !== '') {
+    merged.eventFilter = merged.eventFilter || {};
+    merged.eventFilter.updateDebounceSeconds = parseInt(e.UPDATE_DEBOUNCE_SECONDS, 10) || 0;
+  }
   if (e.METRICS_PERSISTENCE_ENABLED !== undefined && e.METRICS_PERSISTENCE_ENABLED !== '') {
     merged.metrics = merged.metrics || {};
     merged.metrics.persistence = merged.metrics.persistence || {};
@@ -189,6 +304,31 @@ function applyEnvOverrides(config) {
     merged.circuitBreaker.resetTimeoutMs =
       parseInt(e.CB_RESET_TIMEOUT_MS, 10) || config.circuitBreaker?.resetTimeoutMs || 30000;
   }
+  if (e.CB_HALF_OPEN_MAX_PROBES !== undefined && e.CB_HALF_OPEN_MAX_PROBES !== '') {
+    merged.circuitBreaker = merged.circuitBreaker || {};
+    merged.circuitBreaker.halfOpenMaxProbes =
+      parseInt(e.CB_HALF_OPEN_MAX_PROBES, 10) || config.circuitBreaker?.halfOpenMaxProbes || 1;
+  }
+  if (e.QUEUE_CONCURRENCY !== undefined && e.QUEUE_CONCURRENCY !== '') {
+    merged.queue = merged.queue || {};
+    merged.queue.concurrency = parseInt(e.QUEUE_CONCURRENCY, 10) || config.queue?.concurrency || 2;
+  }
+  if (e.QUEUE_RETRY_MAX_ATTEMPTS !== undefined && e.QUEUE_RETRY_MAX_ATTEMPTS !== '') {
+    merged.queue = merged.queue || {};
+    merged.queue.retry = merged.queue.retry || {};
+    merged.queue.retry.maxAttempts =
+      parseInt(e.QUEUE_RETRY_MAX_ATTEMPTS, 10) || config.queue?.retry?.maxAttempts || 3;
+  }
+  if (e.QUEUE_PERSISTENCE_ENABLED !== undefined && e.QUEUE_PERSISTENCE_ENABLED !== '') {
+    merged.queue = merged.queue || {};
+    merged.queue.persistence = merged.queue.persistence || {};
+    merged.queue.persistence.enabled = e.QUEUE_PERSISTENCE_ENABLED === 'true';
+  }
+  if (e.QUEUE_PERSISTENCE_PATH !== undefined && e.QUEUE_PERSISTENCE_PATH !== '') {
+    merged.queue = merged.queue || {};
+    merged.queue.persistence = merged.queue.persistence || {};
+    merged.queue.persistence.path = e.QUEUE_PERSISTENCE_PATH;
+  }
   if (e.PROMPT_LOGS_ENABLED !== undefined && e.PROMPT_LOGS_ENABLED !== '') {
     merged.promptLogs = merged.promptLogs || {};
     merged.promptLogs.enabled = e.PROMPT_LOGS_ENABLED === 'true';
@@ -204,7 +344,7 @@ function applyEnvOverrides(config) {
 /**
  * Get merged configuration (config.json + env overrides). Cached after first call.
  * Secrets are read from env and attached under config.secrets (never from config.json).
- * @returns {Object} Full config with server, claude, bitbucket, eventFilter, metrics, logging, circuitBreaker, promptLogs, prReview, releaseNote, defaultTemplate, repositories, secrets
+ * @returns {Object} Full config with server, claude, bitbucket, eventFilter, metrics, logging, circuitBreaker, git, queue, promptLogs, budgets, prReview, releaseNote, defaultTemplate, repositories, secrets
  */
 function getConfig() {
   if (cachedConfig !== null) {
@@ -216,6 +356,8 @@ function getConfig() {
     bitbucketToken: process.env.BITBUCKET_TOKEN,
     bitbucketUser: process.env.BITBUCKET_USER,
     webhookSecret: process.env.BITBUCKET_WEBHOOK_SECRET,
+    adminToken: process.env.ADMIN_API_TOKEN,
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
   };
   merged.manualTrigger = merged.manualTrigger || {};
   if (!merged.manualTrigger.prefixCommand) {
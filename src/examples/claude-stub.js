@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for the `claude` CLI used by the `stub` backend (claude.backend = "stub").
+ * Reads the prompt from stdin and prints a canned review with the metrics block, so the
+ * whole pipeline can run locally and in tests without calling Claude. Honours
+ * `--output-format text|json|stream-json` like the real CLI.
+ *
+ * Environment:
+ * - CLAUDE_STUB_EXIT_CODE: exit with this code instead of reviewing
+ * - CLAUDE_STUB_DELAY_MS: wait before answering (e.g. to test timeouts)
+ * - CLAUDE_STUB_RESPONSE: print this instead of the canned review
+ */
+
+const chunks = [];
+const formatIndex = process.argv.indexOf('--output-format');
+const outputFormat = formatIndex > -1 ? process.argv[formatIndex + 1] : 'text';
+const usage = { input_tokens: 1200, output_tokens: 80, cache_read_input_tokens: 0 };
+
+/**
+ * Result message of `--output-format json` (and the last line of stream-json)
+ * @param {string} text - Final answer
+ * @returns {Object}
+ */
+function resultMessage(text) {
+  return {
+    type: 'result',
+    subtype: 'success',
+    is_error: false,
+    result: text,
+    session_id: 'stub-session',
+    num_turns: 2,
+    duration_ms: 10,
+    total_cost_usd: 0,
+    usage,
+  };
+}
+
+process.stdin.on('data', chunk => chunks.push(chunk));
+process.stdin.on('end', () => {
+  const prompt = Buffer.concat(chunks).toString();
+  const delayMs = parseInt(process.env.CLAUDE_STUB_DELAY_MS, 10) || 0;
+
+  setTimeout(() => {
+    const exitCode = parseInt(process.env.CLAUDE_STUB_EXIT_CODE, 10);
+    if (exitCode) {
+      process.stderr.write(`claude-stub: failing with exit code ${exitCode}\n`);
+      process.exit(exitCode);
+    }
+
+    const response =
+      process.env.CLAUDE_STUB_RESPONSE ||
+      [
+        '## Review (stub)',
+        '',
+        `Received a prompt of ${prompt.length} characters. No issues found.`,
+        '',
+        '```json',
+        '{ "isLgtm": true, "issueCount": 0, "isReviewFailed": false, "failedReviewReason": null }',
+        '```',
+        '',
+      ].join('\n');
+
+    if (outputFormat === 'json') {
+      process.stdout.write(JSON.stringify(resultMessage(response)));
+    } else if (outputFormat === 'stream-json') {
+      const messages = [
+        { type: 'system', subtype: 'init', model: 'stub', session_id: 'stub-session' },
+        {
+          type: 'assistant',
+          message: {
+            id: 'msg_stub_1',
+            content: [{ type: 'tool_use', name: 'Read', input: { file_path: 'README.md' } }],
+            usage,
+          },
+        },
+        {
+          type: 'assistant',
+          message: { id: 'msg_stub_2', content: [{ type: 'text', text: response }], usage },
+        },
+        resultMessage(response),
+      ];
+      process.stdout.write(messages.map(message => `${JSON.stringify(message)}\n`).join(''));
+    } else {
+      process.stdout.write(response);
+    }
+  }, delayMs);
+});
@@ -3,155 +3,291 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const logger = require('./logger').default;
+const { getCircuitBreaker } = require('./circuit-breakers');
 
 const execAsync = promisify(exec);
 
 const PROJECTS_DIR = '/app/projects';
+// Bare repositories shared by all jobs of a repository, and one disposable worktree per job
+const MIRRORS_DIR = path.join(PROJECTS_DIR, '.mirrors');
+const WORKTREES_DIR = path.join(PROJECTS_DIR, '.worktrees');
+// Full or abbreviated commit hash (webhooks send 12 characters)
+const COMMIT_HASH = /^[0-9a-f]{7,40}$/i;
 
 /**
- * Check if a project directory exists
- * @param {string} projectName - Name of the project/repository
- * @returns {boolean} - True if project exists
- */
-function projectExists(projectName) {
-  const projectPath = path.join(PROJECTS_DIR, projectName);
-  return fs.existsSync(projectPath);
-}
-
-/**
- * Clone a Bitbucket repository
- * @param {string} cloneUrl - Repository clone URL
- * @param {string} projectName - Name of the project/repository
- * @returns {Promise<Object>} - Result with success status and path
+ * Get diff between source and destination branch using merge-base
+ * This ensures we only get changes from the PR author, not changes merged into destination.
+ * Uses the refs ensureMirror() already fetched (no fetch of its own, so it stays behind the
+ * git circuit breaker); the source side is the worktree's HEAD, i.e. the PR head commit.
+ * @param {string} projectPath - Path to the job worktree (checked out at the PR head)
+ * @param {string} sourceBranch - Source branch name
+ * @param {string} destinationBranch - Destination branch name
+ * @returns {Promise<Object>} - Result with diff content and size in bytes
  */
-async function cloneRepository(cloneUrl, projectName) {
+async function getDiffFromMergeBase(projectPath, sourceBranch, destinationBranch) {
   try {
-    logger.info(`Cloning repository: ${projectName}`);
+    logger.info(`Getting diff from merge-base for ${sourceBranch} -> ${destinationBranch}`);
 
-    // Ensure projects directory exists
-    if (!fs.existsSync(PROJECTS_DIR)) {
-      fs.mkdirSync(PROJECTS_DIR, { recursive: true });
-      logger.info(`Created projects directory: ${PROJECTS_DIR}`);
+    // Find the merge base (common ancestor)
+    let mergeBase;
+    try {
+      const { stdout } = await execAsync(
+        `git -C "${projectPath}" merge-base origin/${destinationBranch} HEAD`,
+      );
+      mergeBase = stdout.trim();
+      logger.debug(`Merge base found: ${mergeBase}`);
+    } catch (error) {
+      // If merge-base fails (e.g., branches have no common ancestor), fall back to destination branch
+      logger.warn(`Could not find merge-base, using destination branch as base: ${error.message}`);
+      mergeBase = `origin/${destinationBranch}`;
     }
 
-    const projectPath = path.join(PROJECTS_DIR, projectName);
-
-    // Clone the repository (credentials are handled by Git's credential helper)
-    const { stderr } = await execAsync(
-      `git clone "${cloneUrl}" "${projectPath}"`,
-      { maxBuffer: 1024 * 1024 * 10 }, // 10MB buffer
+    // Get diff from merge-base to the PR head (only PR author's changes)
+    const { stdout: diff } = await execAsync(
+      `git -C "${projectPath}" diff ${mergeBase}..HEAD`,
+      { maxBuffer: 1024 * 1024 * 50 }, // 50MB buffer for large diffs
     );
 
-    if (stderr && !stderr.includes('Cloning into')) {
-      logger.warn(`Git clone warning: ${stderr}`);
-    }
-
-    logger.info(`Successfully cloned ${projectName} to ${projectPath}`);
+    const diffSize = Buffer.byteLength(diff, 'utf8');
+    logger.info(`Diff size: ${(diffSize / 1024).toFixed(2)} KB`);
 
     return {
       success: true,
-      path: projectPath,
-      message: 'Repository cloned successfully',
+      diff,
+      size: diffSize,
+      mergeBase,
     };
   } catch (error) {
-    logger.error(`Error cloning repository ${projectName}: ${error.message}`);
-    throw new Error(`Failed to clone repository: ${error.message}`);
+    logger.error(`Error getting diff from merge-base: ${error.message}`);
+    throw new Error(`Failed to get diff from merge-base: ${error.message}`);
   }
 }
 
 /**
- * Update an existing repository (git pull)
- * @param {string} projectName - Name of the project/repository
- * @param {string} branch - Branch to checkout and pull (optional)
- * @returns {Promise<Object>} - Result with success status
+ * Get the diff of the commits added on top of a previously reviewed commit (incremental review).
+ * Returns `success: false` when the previous commit is unknown or no longer an ancestor of
+ * the head (e.g. the branch was rebased or force-pushed), or when the new commits contain a
+ * merge (e.g. the destination branch merged into the PR branch, whose changes a plain diff
+ * would attribute to the author), so callers can fall back to the full merge-base diff.
+ * @param {string} projectPath - Path to the job worktree (checked out at the PR head)
+ * @param {string} fromCommit - Previously reviewed commit hash
+ * @param {string} [toRef='HEAD'] - Ref to diff up to
+ * @returns {Promise<Object>} - Result with diff content, size in bytes and the base commit
  */
-async function updateRepository(projectName, branch) {
+async function getDiffBetweenCommits(projectPath, fromCommit, toRef = 'HEAD') {
   try {
-    const projectPath = path.join(PROJECTS_DIR, projectName);
+    await execAsync(`git -C "${projectPath}" merge-base --is-ancestor ${fromCommit} ${toRef}`);
+  } catch (error) {
+    logger.warn(
+      `Previously reviewed commit ${fromCommit} is not an ancestor of ${toRef}, cannot compute incremental diff`,
+    );
+    logger.debug(`merge-base --is-ancestor: ${error.message}`);
+    return { success: false, message: 'Previous commit is not an ancestor of the PR head' };
+  }
 
-    if (!fs.existsSync(projectPath)) {
-      throw new Error(`Project ${projectName} does not exist at ${projectPath}`);
+  try {
+    const { stdout: merges } = await execAsync(
+      `git -C "${projectPath}" rev-list --merges ${fromCommit}..${toRef}`,
+    );
+    if (merges.trim()) {
+      logger.info(`Commits since ${fromCommit} include a merge, cannot compute incremental diff`);
+      return { success: false, message: 'New commits include a merge' };
     }
 
-    logger.info(`Updating repository: ${projectName}`);
-
-    // Fetch latest changes (credentials are handled by Git's credential helper)
-    await execAsync(`git -C "${projectPath}" fetch --all`);
-
-    logger.debug(`Branch: ${branch}`);
+    const { stdout: diff } = await execAsync(
+      `git -C "${projectPath}" diff ${fromCommit}..${toRef}`,
+      { maxBuffer: 1024 * 1024 * 50 }, // 50MB buffer for large diffs
+    );
 
-    // Reset to match remote branch exactly (avoids divergent branches issues)
-    const branchName = branch || 'main';
-    const { stdout } = await execAsync(`git -C "${projectPath}" reset --hard origin/${branchName}`);
-    logger.debug(`Reset output: ${stdout}`);
+    const diffSize = Buffer.byteLength(diff, 'utf8');
+    logger.info(`Incremental diff since ${fromCommit}: ${(diffSize / 1024).toFixed(2)} KB`);
 
     return {
       success: true,
-      path: projectPath,
-      message: 'Repository updated successfully',
+      diff,
+      size: diffSize,
+      baseCommit: fromCommit,
     };
   } catch (error) {
-    logger.error(`Issue when updating repository ${projectName}: ${error.message}`);
-    throw new Error(`Failed to update repository: ${error.message}`);
+    logger.error(`Error getting incremental diff: ${error.message}`);
+    throw new Error(`Failed to get incremental diff: ${error.message}`);
   }
 }
 
 /**
- * Get diff between source and destination branch using merge-base
- * This ensures we only get changes from the PR author, not changes merged into destination
- * @param {string} projectPath - Path to the project repository
- * @param {string} sourceBranch - Source branch name
- * @param {string} destinationBranch - Destination branch name
- * @returns {Promise<Object>} - Result with diff content and size in bytes
+ * Get the path of the bare mirror for a project
+ * @param {string} projectName - Name of the project/repository
+ * @returns {string}
  */
-async function getDiffFromMergeBase(projectPath, sourceBranch, destinationBranch) {
-  try {
-    logger.info(`Getting diff from merge-base for ${sourceBranch} -> ${destinationBranch}`);
+function getMirrorPath(projectName) {
+  return path.join(MIRRORS_DIR, `${projectName}.git`);
+}
 
-    // Ensure we have latest refs for both branches
-    await execAsync(`git -C "${projectPath}" fetch origin ${sourceBranch} ${destinationBranch}`, {
-      maxBuffer: 1024 * 1024 * 10, // 10MB buffer
-    });
+/**
+ * Ensure a bare mirror of the repository exists and has the latest refs.
+ * Remote branches are fetched into refs/remotes/origin/* so `origin/<branch>` resolves
+ * the same way as in a regular clone.
+ * While the git circuit breaker is open the remote is not contacted: existing mirrors are used
+ * with their cached refs and new ones cannot be cloned.
+ * @param {string} cloneUrl - Repository clone URL
+ * @param {string} projectName - Name of the project/repository
+ * @returns {Promise<Object>} - Result with mirror path, whether it was cloned, and whether the fetch failed
+ */
+async function ensureMirror(cloneUrl, projectName) {
+  const mirrorPath = getMirrorPath(projectName);
+  const gitBreaker = getCircuitBreaker('git');
+
+  if (!fs.existsSync(mirrorPath)) {
+    if (!gitBreaker.tryAcquire()) {
+      throw new Error('Failed to clone repository: git circuit breaker is open');
+    }
+    logger.info(`Creating bare mirror for ${projectName}`);
+    fs.mkdirSync(MIRRORS_DIR, { recursive: true });
 
-    // Find the merge base (common ancestor)
-    let mergeBase;
     try {
-      const { stdout } = await execAsync(
-        `git -C "${projectPath}" merge-base origin/${destinationBranch} origin/${sourceBranch}`,
-      );
-      mergeBase = stdout.trim();
-      logger.debug(`Merge base found: ${mergeBase}`);
+      // Credentials are handled by Git's credential helper
+      await execAsync(`git init --bare "${mirrorPath}"`);
+      await execAsync(`git --git-dir="${mirrorPath}" remote add origin "${cloneUrl}"`);
+      await execAsync(`git --git-dir="${mirrorPath}" fetch --prune origin`, {
+        maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+      });
     } catch (error) {
-      // If merge-base fails (e.g., branches have no common ancestor), fall back to destination branch
-      logger.warn(`Could not find merge-base, using destination branch as base: ${error.message}`);
-      mergeBase = `origin/${destinationBranch}`;
+      fs.rmSync(mirrorPath, { recursive: true, force: true });
+      gitBreaker.recordFailure();
+      logger.error(`Error cloning repository ${projectName}: ${error.message}`);
+      throw new Error(`Failed to clone repository: ${error.message}`);
     }
 
-    // Get diff from merge-base to source branch (only PR author's changes)
-    const { stdout: diff } = await execAsync(
-      `git -C "${projectPath}" diff ${mergeBase}..origin/${sourceBranch}`,
-      { maxBuffer: 1024 * 1024 * 50 }, // 50MB buffer for large diffs
-    );
+    gitBreaker.recordSuccess();
+    logger.info(`Successfully mirrored ${projectName} to ${mirrorPath}`);
+    return { path: mirrorPath, wasCloned: true, fetchFailed: false };
+  }
 
-    const diffSize = Buffer.byteLength(diff, 'utf8');
-    logger.info(`Diff size: ${(diffSize / 1024).toFixed(2)} KB`);
+  if (!gitBreaker.tryAcquire()) {
+    logger.warn(`🔌 Git circuit breaker is open, using cached refs of ${projectName}`);
+    return { path: mirrorPath, wasCloned: false, fetchFailed: true };
+  }
 
-    return {
-      success: true,
-      diff,
-      size: diffSize,
-      mergeBase,
-    };
+  try {
+    await execAsync(`git --git-dir="${mirrorPath}" fetch --prune origin`, {
+      maxBuffer: 1024 * 1024 * 10, // 10MB buffer
+    });
+    gitBreaker.recordSuccess();
+    return { path: mirrorPath, wasCloned: false, fetchFailed: false };
   } catch (error) {
-    logger.error(`Error getting diff from merge-base: ${error.message}`);
-    throw new Error(`Failed to get diff from merge-base: ${error.message}`);
+    gitBreaker.recordFailure();
+    logger.warn(`Could not fetch ${projectName}, continuing with existing refs: ${error.message}`);
+    return { path: mirrorPath, wasCloned: false, fetchFailed: true };
   }
 }
 
 /**
- * Ensure project exists, clone if necessary
- * @param {Object} repoData - Repository data from webhook
- * @returns {Promise<Object>} - Result with success status and path
+ * Check whether a commit is present in the mirror
+ * @param {string} mirrorPath - Path of the bare mirror
+ * @param {string} commit - Commit hash
+ * @returns {Promise<boolean>}
+ */
+async function hasCommit(mirrorPath, commit) {
+  if (!COMMIT_HASH.test(commit)) return false;
+  try {
+    await execAsync(`git --git-dir="${mirrorPath}" cat-file -e ${commit}^{commit}`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a detached worktree for a job
+ * @param {string} projectName - Name of the project/repository
+ * @param {string} ref - Commit or ref to check out (e.g. origin/feature-x)
+ * @param {string} worktreeName - Unique directory name for the worktree (e.g. job-42)
+ * @returns {Promise<string>} - Path of the worktree
+ */
+async function createWorktree(projectName, ref, worktreeName) {
+  const mirrorPath = getMirrorPath(projectName);
+  const worktreePath = path.join(WORKTREES_DIR, projectName, worktreeName);
+
+  if (fs.existsSync(worktreePath)) {
+    // Left over from a job that was interrupted before cleanup
+    await removeWorktree(projectName, worktreePath);
+  }
+
+  fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+  await execAsync(`git --git-dir="${mirrorPath}" worktree add --detach "${worktreePath}" ${ref}`);
+  logger.info(`Created worktree for ${projectName} at ${worktreePath} (${ref})`);
+
+  return worktreePath;
+}
+
+/**
+ * Remove a job worktree. Falls back to deleting the directory and pruning if git refuses.
+ * @param {string} projectName - Name of the project/repository
+ * @param {string} worktreePath - Path of the worktree
+ * @returns {Promise<void>}
+ */
+async function removeWorktree(projectName, worktreePath) {
+  const mirrorPath = getMirrorPath(projectName);
+
+  try {
+    await execAsync(`git --git-dir="${mirrorPath}" worktree remove --force "${worktreePath}"`);
+  } catch (error) {
+    logger.warn(`git worktree remove failed for ${worktreePath}: ${error.message}`);
+    fs.rmSync(worktreePath, { recursive: true, force: true });
+    await execAsync(`git --git-dir="${mirrorPath}" worktree prune`).catch(pruneError => {
+      logger.warn(`git worktree prune failed for ${projectName}: ${pruneError.message}`);
+    });
+  }
+  logger.debug(`Removed worktree ${worktreePath}`);
+}
+
+/**
+ * Janitor: remove worktrees older than maxAgeMs that do not belong to a running job
+ * @param {Object} options
+ * @param {number} options.maxAgeMs - Worktrees last modified before now - maxAgeMs are removed (0 removes all)
+ * @param {string[]} [options.exclude] - Worktree names to keep (e.g. running jobs)
+ * @returns {Promise<number>} - Number of removed worktrees
+ */
+async function cleanupStaleWorktrees({ maxAgeMs, exclude = [] }) {
+  if (!fs.existsSync(WORKTREES_DIR)) {
+    return 0;
+  }
+
+  const keep = new Set(exclude);
+  const cutoff = Date.now() - maxAgeMs;
+  let removed = 0;
+
+  for (const projectName of fs.readdirSync(WORKTREES_DIR)) {
+    const projectDir = path.join(WORKTREES_DIR, projectName);
+    for (const worktreeName of fs.readdirSync(projectDir)) {
+      if (keep.has(worktreeName)) continue;
+
+      const worktreePath = path.join(projectDir, worktreeName);
+      if (fs.statSync(worktreePath).mtimeMs > cutoff) continue;
+
+      try {
+        await removeWorktree(projectName, worktreePath);
+        removed++;
+      } catch (error) {
+        logger.warn(`Could not remove stale worktree ${worktreePath}: ${error.message}`);
+      }
+    }
+  }
+
+  if (removed > 0) {
+    logger.info(`🧹 Removed ${removed} stale worktree(s)`);
+  }
+  return removed;
+}
+
+/**
+ * Ensure the repository mirror exists and create a dedicated worktree for this job
+ * at the PR head commit. Fails when that commit is not in the mirror (e.g. the fetch failed
+ * or the branch was force-pushed) instead of reviewing whatever the branch points at; only
+ * jobs without a source commit check out the branch tip. Call releaseProject() with the
+ * result when the job is done.
+ * @param {Object} repoData - Repository data from webhook ({ name, cloneUrl, sourceBranch, sourceCommit, jobId })
+ * @returns {Promise<Object>} - Result with success status, worktree path and the commit it is checked out at (`headCommit`)
  */
 async function ensureProjectExists(repoData) {
   const projectName = repoData.name;
@@ -166,46 +302,78 @@ async function ensureProjectExists(repoData) {
     };
   }
 
-  if (projectExists(projectName)) {
-    logger.info(`Project ${projectName} already exists`);
+  const mirror = await ensureMirror(cloneUrl, projectName);
+  const worktreeName = repoData.jobId ? `job-${repoData.jobId}` : `run-${Date.now()}`;
 
-    try {
-      // Fetch all branches to ensure we have latest refs
-      const projectPath = path.join(PROJECTS_DIR, projectName);
-      await execAsync(`git -C "${projectPath}" fetch --all`);
-
-      // Reset to source branch
-      await execAsync(`git -C "${projectPath}" reset --hard origin/${repoData.sourceBranch}`);
-
-      return {
-        success: true,
-        path: projectPath,
-        wasCloned: false,
-        message: 'Project exists and updated',
-      };
-    } catch (error) {
-      logger.warn(`Could not update repository, continuing with existing: ${error.message}`);
+  let ref = `origin/${repoData.sourceBranch}`;
+  if (repoData.sourceCommit) {
+    if (!(await hasCommit(mirror.path, repoData.sourceCommit))) {
+      const message = `PR head commit ${repoData.sourceCommit} is not in the mirror${mirror.fetchFailed ? ' (fetch failed or skipped)' : ''}`;
+      logger.error(`${message}, not reviewing ${projectName}`);
       return {
         success: false,
-        path: path.join(PROJECTS_DIR, projectName),
-        wasCloned: false,
-        message: 'Project exists (update failed but continuing)',
+        mirrorPath: mirror.path,
+        wasCloned: mirror.wasCloned,
+        message,
       };
     }
+    ref = repoData.sourceCommit;
   } else {
-    logger.info(`Project ${projectName} does not exist, cloning...`);
-    const result = await cloneRepository(cloneUrl, projectName);
+    logger.warn(`No PR head commit for ${projectName}, checking out the tip of ${ref}`);
+  }
+
+  try {
+    const worktreePath = await createWorktree(projectName, ref, worktreeName);
+    const { stdout: head } = await execAsync(`git -C "${worktreePath}" rev-parse HEAD`);
+
     return {
-      ...result,
-      wasCloned: true,
+      success: true,
+      path: worktreePath,
+      headCommit: head.trim() || null,
+      mirrorPath: mirror.path,
+      projectName,
+      wasCloned: mirror.wasCloned,
+      message: mirror.fetchFailed
+        ? 'Project exists (update failed but continuing)'
+        : mirror.wasCloned
+          ? 'Repository cloned successfully'
+          : 'Project exists and updated',
     };
+  } catch (error) {
+    logger.error(`Could not create worktree for ${projectName}: ${error.message}`);
+    return {
+      success: false,
+      mirrorPath: mirror.path,
+      wasCloned: mirror.wasCloned,
+      message: `Failed to create worktree: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Remove the worktree created by ensureProjectExists()
+ * @param {Object} projectResult - Result returned by ensureProjectExists()
+ * @returns {Promise<void>}
+ */
+async function releaseProject(projectResult) {
+  if (!projectResult || !projectResult.success || !projectResult.path) {
+    return;
+  }
+  try {
+    await removeWorktree(projectResult.projectName, projectResult.path);
+  } catch (error) {
+    logger.warn(`Could not remove worktree ${projectResult.path}: ${error.message}`);
   }
 }
 
 module.exports = {
-  projectExists,
-  cloneRepository,
-  updateRepository,
   ensureProjectExists,
+  releaseProject,
+  ensureMirror,
+  createWorktree,
+  removeWorktree,
+  cleanupStaleWorktrees,
+  getMirrorPath,
   getDiffFromMergeBase,
+  getDiffBetweenCommits,
 };
@@ -10,10 +10,18 @@ const logger = require('./logger').default;
 const express = require('express');
 const crypto = require('crypto');
 const { processPullRequest } = require('./claude');
-const { register, metrics } = require('./metrics');
+const { register, metrics, flushMetrics } = require('./metrics');
 const { BitbucketPayloadSchema, BitbucketCommentPayloadSchema } = require('./schemas');
-const CircuitBreaker = require('./circuit-breaker');
-const { shouldRunReview, shouldCreateReleaseNote } = require('./branch-matcher');
+const { getCircuitBreaker, getCircuitBreakers } = require('./circuit-breakers');
+const JobStore = require('./job-store');
+const { JOB_STATES } = require('./job-store');
+const JobQueue = require('./job-queue');
+const JobProgress = require('./job-progress');
+const SpendBudget = require('./spend-budget');
+const { BUDGET_MARKER } = require('./spend-budget');
+const { createBitbucketClient } = require('./bitbucket-client');
+const { shouldRunReview, shouldCreateReleaseNote, getJobPriority } = require('./branch-matcher');
+const { cleanupStaleWorktrees } = require('./git');
 const {
   parseManualReviewTrigger,
   getCommentText,
@@ -23,20 +31,59 @@ const {
 
 const app = express();
 const PORT = config.server.port;
-const claudeCircuitBreaker = new CircuitBreaker(
-  config.circuitBreaker.failureThreshold,
-  config.circuitBreaker.resetTimeoutMs,
-);
+const claudeCircuitBreaker = getCircuitBreaker('claude');
+const bitbucketCircuitBreaker = getCircuitBreaker('bitbucket');
+
+const CIRCUIT_BREAKER_STATE_VALUES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+getCircuitBreakers().forEach(breaker => {
+  breaker.on('stateChange', ({ name, from, to }) => {
+    metrics.circuitBreakerStateGauge.set({ breaker: name }, CIRCUIT_BREAKER_STATE_VALUES[to]);
+    metrics.circuitBreakerTransitionsCounter.inc({ breaker: name, from, to });
+  });
+});
 
 const BITBUCKET_WEBHOOK_SECRET = config.secrets.webhookSecret;
+const ADMIN_API_TOKEN = config.secrets.adminToken;
 const ALLOWED_WORKSPACE = config.bitbucket.allowedWorkspace;
 const NON_ALLOWED_USERS = config.bitbucket.nonAllowedUsers;
 const PROCESS_ONLY_CREATED = config.eventFilter.processOnlyCreated;
+const UPDATE_DEBOUNCE_SECONDS = parseInt(config.eventFilter.updateDebounceSeconds, 10) || 0;
 const MANUAL_TRIGGER = config.manualTrigger || {};
+const QUEUE_CONFIG = config.queue || {};
+const QUEUE_PERSISTENCE = QUEUE_CONFIG.persistence || {};
+const QUEUE_RETRY = QUEUE_CONFIG.retry || {};
+const GIT_CONFIG = config.git || {};
+const INCREMENTAL_REVIEW = (config.prReview && config.prReview.incremental) || {};
+const SHUTDOWN_GRACE_SECONDS = parseInt(config.server.shutdownGraceSeconds, 10) || 60;
 
-// Queue System for Processing PRs (prevents branch conflicts)
-const reviewQueue = [];
-let isProcessing = false;
+let shuttingDown = false;
+let janitorTimer = null;
+
+// Queue System for Processing PRs. Jobs for the same repository run one at a time
+// (they fetch into the same bare mirror); different repositories run in parallel.
+// jobStore is the durable copy used to resume after restarts.
+const jobStore = new JobStore({
+  enabled: QUEUE_PERSISTENCE.enabled === true,
+  storagePath: QUEUE_PERSISTENCE.path,
+});
+const jobProgress = new JobProgress({ store: jobStore });
+const spendBudget = new SpendBudget({ store: jobStore, config: config.budgets });
+const jobQueue = new JobQueue({
+  store: jobStore,
+  handler: runQueuedJob,
+  concurrency: QUEUE_CONFIG.concurrency,
+  coalesce: QUEUE_CONFIG.coalesce,
+  getPriority: getJobPriority,
+  gate: circuitBreakerGate,
+  onSettled: job => jobProgress.finish(job.id),
+  retry: {
+    maxAttempts: QUEUE_RETRY.maxAttempts,
+    backoffMs: (parseInt(QUEUE_RETRY.backoffSeconds, 10) || 0) * 1000,
+    maxBackoffMs: (parseInt(QUEUE_RETRY.maxBackoffSeconds, 10) || 0) * 1000 || undefined,
+    retryableErrorTypes: QUEUE_RETRY.retryableErrorTypes,
+  },
+});
+const reviewQueue = jobQueue.pending;
 const processedCommentTriggerIds = new Set();
 
 function getNonAllowedUsersList() {
@@ -59,6 +106,7 @@ function buildPrData(payload, extra = {}) {
     description: payload.pullrequest.description || 'No description',
     author: payload.pullrequest.author.display_name,
     sourceBranch: payload.pullrequest.source.branch.name,
+    sourceCommit: payload.pullrequest.source.commit?.hash || null,
     destinationBranch: payload.pullrequest.destination.branch.name,
     prUrl: payload.pullrequest.links.html.href,
     repository: payload.repository.name,
@@ -72,56 +120,357 @@ function shouldSkipUser(displayName) {
   return nonAllowedUsersList.length > 0 && nonAllowedUsersList.includes(displayName);
 }
 
-function enqueueAutoJobs(prData) {
+/**
+ * Whether two commit hashes name the same commit. Webhooks send abbreviated hashes, reviewed
+ * commits are stored with the full hash of the worktree HEAD.
+ * @param {string|null} a - Commit hash
+ * @param {string|null} b - Commit hash
+ * @returns {boolean}
+ */
+function isSameCommit(a, b) {
+  if (!a || !b) return false;
+  return a.length < b.length ? b.startsWith(a) : a.startsWith(b);
+}
+
+/**
+ * Whether the PR head commit was already reviewed, or a queued/running review covers it.
+ * pullrequest:updated also fires for title, description and reviewer edits.
+ * @param {Object} prData - Pull request data
+ * @returns {boolean}
+ */
+function isHeadCommitReviewed(prData) {
+  if (!prData.sourceCommit) return false;
+
+  const lastReviewed = jobStore.getLastReviewedCommit(prData.prUrl);
+  if (lastReviewed && isSameCommit(lastReviewed.commitHash, prData.sourceCommit)) return true;
+
+  return jobQueue
+    .findActive(prData.prUrl, 'review')
+    .some(job => job.prData.sourceCommit === prData.sourceCommit);
+}
+
+/**
+ * Explain on the PR why it was not reviewed (one budget comment per PR, updated in place).
+ * Skipped automatic jobs post it once per PR and budget period; a refused manual /review
+ * always updates it. Posting happens in the background; a failure is only logged and the
+ * next event tries again.
+ * @param {Object} prData - Pull request data
+ * @param {Object} budget - Exhausted budget (see SpendBudget.getBudgets)
+ * @param {Object} [options] - See SpendBudget.formatComment
+ */
+function notifyBudgetExhausted(prData, budget, options = {}) {
+  if (!options.manual && !spendBudget.needsNotice(prData.prUrl)) return;
+
+  createBitbucketClient(config)
+    .upsertMarkedComment(prData.prUrl, spendBudget.formatComment(budget, options), BUDGET_MARKER)
+    .then(() => spendBudget.recordNotice(prData.prUrl))
+    .catch(error => {
+      logger.warn(`Failed to post the budget comment on ${prData.prUrl}: ${error.message}`);
+    });
+}
+
+/**
+ * Enqueue the automatic jobs matching the PR's branch rules. Nothing is enqueued while a
+ * hard spend budget of the PR is exhausted.
+ * @param {Object} prData - Pull request data
+ * @param {Object} [options]
+ * @param {number|null} [options.scheduledAt] - Epoch ms before which the jobs must not start (debounce)
+ * @returns {{ enqueued: string[], skipped: { type: string, reason: string, message?: string }[] }} Enqueued and skipped job types
+ */
+function enqueueAutoJobs(prData, { scheduledAt = null } = {}) {
   const enqueued = [];
+  const skipped = [];
+  const types = [];
   if (shouldRunReview(prData)) {
-    reviewQueue.push({ prData, type: 'review' });
-    enqueued.push('review');
+    if (isHeadCommitReviewed(prData)) {
+      logger.info(
+        `⏭️  Skipping review: head commit ${prData.sourceCommit} of ${prData.prUrl} was already reviewed`,
+      );
+      skipped.push({ type: 'review', reason: 'head-commit-unchanged' });
+    } else {
+      types.push('review');
+    }
   }
   if (shouldCreateReleaseNote(prData)) {
-    reviewQueue.push({ prData, type: 'create-release-note' });
-    enqueued.push('create-release-note');
+    types.push('create-release-note');
   }
-  return enqueued;
+  if (types.length === 0) return { enqueued, skipped };
+
+  const { exhausted } = spendBudget.check(prData);
+  if (exhausted) {
+    const message = spendBudget.describeExhausted(exhausted);
+    logger.info(`⏭️  Skipping ${types.join(', ')} for ${prData.prUrl}: ${message}`);
+    types.forEach(type => skipped.push({ type, reason: 'budget-exhausted', message }));
+    notifyBudgetExhausted(prData, exhausted);
+    return { enqueued, skipped };
+  }
+
+  for (const type of types) {
+    jobQueue.enqueue(prData, type, { scheduledAt });
+    enqueued.push(type);
+  }
+  return { enqueued, skipped };
+}
+
+/**
+ * When to start automatic jobs for an event. pullrequest:updated is debounced so a burst
+ * of pushes only reviews once the PR settles (each newer event replaces the pending job).
+ * @param {string} eventKey - Bitbucket event key
+ * @returns {number|null} Epoch ms, or null to start as soon as possible
+ */
+function getAutoJobScheduledAt(eventKey) {
+  if (eventKey !== 'pullrequest:updated' || UPDATE_DEBOUNCE_SECONDS <= 0) {
+    return null;
+  }
+  return Date.now() + UPDATE_DEBOUNCE_SECONDS * 1000;
 }
 
 function enqueueManualReview(prData) {
-  reviewQueue.push({ prData, type: 'review' });
+  jobQueue.enqueue(prData, 'review');
   return ['review'];
 }
 
 /**
- * Process PR review queue sequentially to prevent branch conflicts
+ * Reload pending jobs from the job store on boot. Jobs that were running when the
+ * process died are moved back to pending so they are reviewed again.
  */
-async function processQueue() {
-  if (isProcessing || reviewQueue.length === 0) {
-    return; // Already processing or queue is empty
+function resumeQueue() {
+  const pruned = jobStore.pruneFinished(QUEUE_PERSISTENCE.retentionDays);
+  if (pruned > 0) {
+    logger.debug(`Pruned ${pruned} finished jobs from the job store`);
   }
 
-  isProcessing = true;
-  const queueItem = reviewQueue.shift(); // { prData, type: 'review' | 'create-release-note' }
+  const requeued = jobStore.requeueInterrupted();
+  if (requeued > 0) {
+    logger.warn(`🔁 Re-queued ${requeued} job(s) interrupted by the previous shutdown`);
+  }
 
-  logger.info(
-    `📋 Processing queue item: ${queueItem.prData.title} [${queueItem.type}] (${reviewQueue.length} remaining)`,
-  );
+  const pending = jobQueue.restore();
 
-  try {
-    if (!claudeCircuitBreaker.canAttempt()) {
-      logger.error('🚫 Circuit breaker is OPEN. Skipping to avoid system overload.');
-      return;
+  if (pending.length > 0) {
+    logger.info(`📋 Resuming ${pending.length} pending job(s) from the job store`);
+  }
+
+  processQueue();
+}
+
+/**
+ * Periodically remove job worktrees left behind by crashed or killed jobs.
+ * Worktrees of running jobs are never removed.
+ */
+function startWorktreeJanitor() {
+  const maxAgeMs = (parseInt(GIT_CONFIG.worktreeMaxAgeMinutes, 10) || 120) * 60 * 1000;
+  const intervalMs = (parseInt(GIT_CONFIG.janitorIntervalMinutes, 10) || 30) * 60 * 1000;
+
+  janitorTimer = setInterval(() => {
+    const exclude = [...jobQueue.running.keys()].map(id => `job-${id}`);
+    cleanupStaleWorktrees({ maxAgeMs, exclude }).catch(error => {
+      logger.error(`Worktree janitor failed: ${error.message}`);
+    });
+  }, intervalMs);
+}
+
+/**
+ * Previous review of the PR to build an incremental review on. Only automatic reviews are
+ * incremental; a manual /review always reviews the whole PR.
+ * @param {Object} queueItem - Queue job
+ * @returns {Object|null} Last reviewed commit ({ commitHash, reviewedAt, isLgtm, issueCount }) or null
+ */
+function getPreviousReview(queueItem) {
+  const { prData } = queueItem;
+  if (INCREMENTAL_REVIEW.enabled !== true || queueItem.type !== 'review') return null;
+  if (prData.triggerType === 'manual-comment' || !prData.sourceCommit) return null;
+
+  const lastReviewed = jobStore.getLastReviewedCommit(prData.prUrl);
+  if (!lastReviewed || isSameCommit(lastReviewed.commitHash, prData.sourceCommit)) return null;
+  return lastReviewed;
+}
+
+/**
+ * Queue gate: a job starts only if the Claude and Bitbucket MCP breakers let it through
+ * (while half-open, only a limited number of probe jobs run). Pending jobs stay queued and
+ * the queue wakes up when the reset timeout expires. The git breaker is not part of the gate:
+ * repositories that are already mirrored are still reviewed from their cached refs.
+ * @returns {number|null} Epoch ms until which the queue is paused, or null
+ */
+function circuitBreakerGate() {
+  const acquired = [];
+  for (const breaker of [claudeCircuitBreaker, bitbucketCircuitBreaker]) {
+    if (!breaker.tryAcquire()) {
+      acquired.forEach(other => other.release());
+      // Half-open with all probes in flight: re-check when they settle, at the latest after the timeout
+      return breaker.getRetryAt() || Date.now() + breaker.resetTimeout;
     }
+    acquired.push(breaker);
+  }
+  return null;
+}
 
-    await processPullRequest(queueItem);
+/**
+ * Run a single queue item with Claude (the circuit breakers are checked by the queue gate)
+ * @param {Object} queueItem - { id, prData, type: 'review' | 'create-release-note' }
+ * @param {{ signal: AbortSignal }} context - Aborted when the job is cancelled
+ * @returns {Promise<Object>} Result stored on the job
+ */
+async function runQueuedJob(queueItem, { signal }) {
+  let result;
+  try {
+    const previousReview = getPreviousReview(queueItem);
+    jobProgress.start(queueItem.id);
+    result = await processPullRequest({
+      ...queueItem,
+      signal,
+      previousReview,
+      onProgress: event => jobProgress.record(queueItem.id, event),
+      onUsage: usage => spendBudget.record(queueItem, usage),
+      onModelSelected: selection => jobStore.updateModelSelection(queueItem.id, selection),
+      onModelAttempt: attempt => jobStore.addModelAttempt(queueItem.id, attempt),
+    });
 
     logger.info(`✅ Claude ${queueItem.type} succeeded`);
     claudeCircuitBreaker.recordSuccess();
   } catch (error) {
+    if (error.errorType === 'bitbucket_error') {
+      // Claude finished the review; posting it to Bitbucket failed (service comment mode)
+      claudeCircuitBreaker.recordSuccess();
+      bitbucketCircuitBreaker.recordFailure();
+      throw error;
+    }
+    if (error.errorType === 'config_error') {
+      // Claude finished the review; the Bitbucket client is misconfigured (e.g. no token),
+      // which neither service caused
+      claudeCircuitBreaker.recordSuccess();
+      bitbucketCircuitBreaker.release();
+      throw error;
+    }
+    bitbucketCircuitBreaker.release();
+    if (signal.aborted || error.errorType === 'git_error') {
+      // Cancelled on purpose (e.g. superseded), or a git failure (the git breaker counts
+      // those); not a Claude failure
+      claudeCircuitBreaker.release();
+      throw error;
+    }
     logger.error(`Error processing PR with Claude: ${error.message}`);
     claudeCircuitBreaker.recordFailure();
+    throw error;
+  }
+
+  if (result && result.isReviewFailed) {
+    // Reported failures are mostly Bitbucket MCP connection problems
+    bitbucketCircuitBreaker.recordFailure();
+  } else {
+    bitbucketCircuitBreaker.recordSuccess();
+  }
+
+  // Token usage and cost are stored for every job type
+  const runResult = {
+    duration: result && result.duration,
+    model: (result && result.model) || null,
+    usage: (result && result.usage) || null,
+    costUsd: result && typeof result.costUsd === 'number' ? result.costUsd : null,
+  };
+  if (queueItem.type !== 'review' || !result) {
+    return runResult;
+  }
+
+  const reviewResult = {
+    ...runResult,
+    isLgtm: result.isLgtm,
+    issueCount: result.issueCount,
+    isReviewFailed: result.isReviewFailed,
+    failedReviewReason: result.failedReviewReason,
+  };
+
+  if (result.isReviewFailed) {
+    // Claude ran but could not finish the review (e.g. an MCP connection hiccup);
+    // fail the job so the retry policy applies
+    const error = new Error(
+      `Claude reported review failure: ${result.failedReviewReason || 'No reason provided'}`,
+    );
+    error.errorType = 'claude_reported';
+    error.result = reviewResult;
+    error.stdout = result.response;
+    throw error;
   }
 
-  isProcessing = false;
-  processQueue(); // Process next item in queue (if any)
+  // The commit the worktree was checked out at, which is what Claude actually reviewed
+  if (result.commitHash) {
+    jobStore.recordReviewedCommit(queueItem.prData.prUrl, result.commitHash, queueItem.id, {
+      isLgtm: result.isLgtm,
+      issueCount: result.issueCount,
+    });
+  }
+  return reviewResult;
+}
+
+/**
+ * Start queued jobs up to the concurrency limit (one at a time per repository)
+ */
+function processQueue() {
+  jobQueue.process();
+}
+
+/**
+ * Convert epoch ms to an ISO timestamp
+ * @param {number|null} ms - Epoch ms
+ * @returns {string|null}
+ */
+function toIsoTime(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Page size from a `?limit=` query param: 50 by default, between 1 and 500
+ * @param {string|undefined} value - Query param
+ * @returns {number}
+ */
+function parseLimit(value) {
+  return Math.min(Math.max(parseInt(value, 10) || 50, 1), 500);
+}
+
+/**
+ * Public status of a job for the /jobs endpoints
+ * @param {Object} job - Stored job
+ * @returns {Object}
+ */
+function toJobStatus(job) {
+  const result = job.result || {};
+  const runEnd = job.finishedAt || (job.startedAt ? Date.now() : null);
+
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    priority: job.priority,
+    queuePosition: jobQueue.position(job.id),
+    prUrl: job.prData.prUrl,
+    prTitle: job.prData.title,
+    repository: job.prData.repository,
+    sourceCommit: job.prData.sourceCommit || null,
+    triggerType: job.prData.triggerType || 'automatic-webhook',
+    triggeredBy: job.prData.triggeredBy || null,
+    timings: {
+      createdAt: toIsoTime(job.createdAt),
+      scheduledAt: toIsoTime(job.scheduledAt),
+      startedAt: toIsoTime(job.startedAt),
+      finishedAt: toIsoTime(job.finishedAt),
+      waitSeconds: job.startedAt ? (job.startedAt - job.createdAt) / 1000 : null,
+      runSeconds: job.startedAt ? (runEnd - job.startedAt) / 1000 : null,
+    },
+    isLgtm: typeof result.isLgtm === 'boolean' ? result.isLgtm : null,
+    issueCount: typeof result.issueCount === 'number' ? result.issueCount : null,
+    failedReviewReason: result.failedReviewReason || null,
+    attempts: job.attempts,
+    maxAttempts: jobQueue.retry.maxAttempts,
+    errorType: job.errorType || null,
+    error: job.error || null,
+    model: result.model || null,
+    modelSelection: job.modelSelection || null,
+    modelAttempts: job.modelAttempts || [],
+    usage: result.usage || null,
+    costUsd: typeof result.costUsd === 'number' ? result.costUsd : null,
+    progress: job.progress || null,
+  };
 }
 
 // Middleware to parse JSON (but keep raw body for signature verification)
@@ -199,9 +548,62 @@ function validateBitbucketWebhook(req, res, next) {
   next();
 }
 
+/**
+ * Require `Authorization: Bearer <ADMIN_API_TOKEN>` on admin routes.
+ * Admin routes are disabled when no token is configured.
+ */
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin API is disabled (ADMIN_API_TOKEN is not set)',
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  // Compare fixed-length digests so the comparison is timing-safe regardless of token length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(ADMIN_API_TOKEN))) {
+    logger.warn(`⚠️  Admin request rejected: invalid token (${req.method} ${req.path})`);
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid admin token' });
+  }
+  next();
+}
+
+/**
+ * Load the job named by the :id route param or respond 404
+ */
+function loadJob(req, res, next) {
+  const job = jobStore.get(parseInt(req.params.id, 10));
+  if (!job) {
+    return res.status(404).json({ error: 'Not Found', message: `Job ${req.params.id} not found` });
+  }
+  req.job = job;
+  next();
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'PR Automation service is running' });
+  res.json({
+    status: 'ok',
+    message: 'PR Automation service is running',
+    circuitBreakers: Object.fromEntries(
+      getCircuitBreakers().map(breaker => [
+        breaker.name,
+        {
+          state: breaker.state,
+          failureCount: breaker.failureCount,
+          retryAt: toIsoTime(breaker.getRetryAt()),
+        },
+      ]),
+    ),
+    queue: {
+      pending: jobQueue.pending.length,
+      running: jobQueue.running.size,
+      pausedUntil: toIsoTime(jobQueue.pausedUntil),
+    },
+  });
 });
 
 // Prometheus metrics endpoint
@@ -216,7 +618,202 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
+// Job status: GET /jobs (optionally ?pr=<url>, ?state=<state>, ?limit=<n>), newest first.
+// Job details include PR data, errors and Claude output, so they need the admin token too
+app.get('/jobs', requireAdminToken, (req, res) => {
+  const { pr, state } = req.query;
+  if (state && !Object.values(JOB_STATES).includes(state)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `Unknown state "${state}" (expected one of: ${Object.values(JOB_STATES).join(', ')})`,
+    });
+  }
+
+  const limit = parseLimit(req.query.limit);
+  const jobs = jobStore.list({ prUrl: pr, state, limit }).map(toJobStatus);
+  res.json({
+    pending: jobQueue.pending.length,
+    running: jobQueue.running.size,
+    concurrency: jobQueue.concurrency,
+    jobs,
+  });
+});
+
+app.get('/jobs/:id', requireAdminToken, loadJob, (req, res) => {
+  res.json(toJobStatus(req.job));
+});
+
+// Follow a job as server-sent events: `status` on connect and whenever an attempt settles,
+// `progress` for every Claude progress event, and `end` (final status) once it is finished
+app.get('/jobs/:id/stream', requireAdminToken, loadJob, (req, res) => {
+  const jobId = req.job.id;
+  const isActive = job => job.state === JOB_STATES.PENDING || job.state === JOB_STATES.RUNNING;
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  if (!isActive(req.job)) {
+    send('end', toJobStatus(req.job));
+    return res.end();
+  }
+  send('status', toJobStatus(req.job));
+
+  const onProgress = (id, event) => {
+    if (id === jobId) send('progress', event);
+  };
+  const onEnd = id => {
+    if (id !== jobId) return;
+    const job = jobStore.get(jobId);
+    if (isActive(job)) {
+      send('status', toJobStatus(job)); // Back to pending for a retry
+      return;
+    }
+    send('end', toJobStatus(job));
+    res.end();
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  keepAlive.unref();
+
+  jobProgress.on('progress', onProgress);
+  jobProgress.on('end', onEnd);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    jobProgress.off('progress', onProgress);
+    jobProgress.off('end', onEnd);
+  });
+});
+
+// Admin: remove a pending job from the queue or kill a running Claude process
+app.post('/jobs/:id/cancel', requireAdminToken, loadJob, (req, res) => {
+  const { job } = req;
+  if (!jobQueue.cancel(job.id, 'Cancelled by admin')) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Job ${job.id} is ${job.state} and cannot be cancelled`,
+    });
+  }
+
+  logger.info(`🛑 Admin cancelled job #${job.id} (${job.state})`);
+  // A running job is marked cancelled once its process exits
+  res.json({ message: `Job ${job.id} cancelled`, previousState: job.state });
+});
+
+// Admin: re-run a finished job as a new job with the same PR data and type
+app.post('/jobs/:id/retry', requireAdminToken, loadJob, (req, res) => {
+  const { job } = req;
+  if (job.state === JOB_STATES.PENDING || job.state === JOB_STATES.RUNNING) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Job ${job.id} is still ${job.state}`,
+    });
+  }
+
+  const retry = jobQueue.enqueue(job.prData, job.type);
+  logger.info(`🔁 Admin retried job #${job.id} as #${retry.id}`);
+  processQueue();
+  res.status(201).json({
+    message: `Job ${job.id} re-queued as job ${retry.id}`,
+    job: toJobStatus(jobStore.get(retry.id)),
+  });
+});
+
+// Admin: change the priority of a pending job (body: { "priority": 20 }).
+// Without a priority the job is bumped to the front of the queue.
+app.post('/jobs/:id/priority', requireAdminToken, loadJob, (req, res) => {
+  const { job } = req;
+  const requested = req.body ? req.body.priority : undefined;
+  if (requested !== undefined && !Number.isInteger(requested)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'priority must be an integer',
+    });
+  }
+
+  const priority = requested !== undefined ? requested : (jobQueue.topPriority() || 0) + 1;
+  if (!jobQueue.setPriority(job.id, priority)) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Job ${job.id} is ${job.state}; only pending jobs can be reprioritized`,
+    });
+  }
+
+  logger.info(
+    `⏫ Admin set priority of job #${job.id} to ${priority} (queue position ${jobQueue.position(job.id)})`,
+  );
+  processQueue();
+  res.json(toJobStatus(jobStore.get(job.id)));
+});
+
+/**
+ * Dead letter as returned by the admin endpoints
+ * @param {Object} deadLetter - Stored dead letter
+ * @returns {Object}
+ */
+function toDeadLetterStatus(deadLetter) {
+  return {
+    ...deadLetter,
+    createdAt: toIsoTime(deadLetter.createdAt),
+    replayedAt: toIsoTime(deadLetter.replayedAt),
+  };
+}
+
+// Admin: permanently failed jobs (optionally ?pr=<url>, ?includeReplayed=true, ?limit=<n>)
+app.get('/dead-letters', requireAdminToken, (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const deadLetters = jobStore.listDeadLetters({
+    prUrl: req.query.pr,
+    includeReplayed: req.query.includeReplayed === 'true',
+    limit,
+  });
+  res.json({ deadLetters: deadLetters.map(toDeadLetterStatus) });
+});
+
+// Admin: re-queue a dead-lettered job as a new job with the same PR data and type
+app.post('/dead-letters/:id/replay', requireAdminToken, (req, res) => {
+  const deadLetter = jobStore.getDeadLetter(parseInt(req.params.id, 10));
+  if (!deadLetter) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Dead letter ${req.params.id} not found`,
+    });
+  }
+  if (deadLetter.replayedAt) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Dead letter ${deadLetter.id} was already replayed as job ${deadLetter.replayJobId}`,
+    });
+  }
+
+  const job = jobQueue.enqueue(deadLetter.prData, deadLetter.type);
+  jobStore.markDeadLetterReplayed(deadLetter.id, job.id);
+  logger.info(
+    `🔁 Admin replayed dead letter #${deadLetter.id} (job #${deadLetter.jobId}) as #${job.id}`,
+  );
+  processQueue();
+  res.status(201).json({
+    message: `Dead letter ${deadLetter.id} re-queued as job ${job.id}`,
+    job: toJobStatus(jobStore.get(job.id)),
+  });
+});
+
+/**
+ * Reject webhooks while shutting down so Bitbucket retries them against the next instance
+ */
+function rejectWhileShuttingDown(req, res, next) {
+  if (shuttingDown) {
+    return res.status(503).json({ error: 'Service is shutting down' });
+  }
+  next();
+}
+
 // Bitbucket webhook endpoint for PR creation (with security validation)
+app.use('/webhook/bitbucket/pr', rejectWhileShuttingDown);
 app.post('/webhook/bitbucket/pr', validateBitbucketWebhook, async (req, res) => {
   let payload;
   const eventKey = req.headers['x-event-key'];
@@ -247,6 +844,8 @@ app.post('/webhook/bitbucket/pr', validateBitbucketWebhook, async (req, res) =>
     const repository = payload.repository.name;
     let prData = buildPrData(payload);
     let enqueued = [];
+    let skipped = [];
+    let scheduledAt = null;
 
     if (eventKey === 'pullrequest:comment_created') {
       if (MANUAL_TRIGGER.enabled === false) {
@@ -300,9 +899,24 @@ app.post('/webhook/bitbucket/pr', validateBitbucketWebhook, async (req, res) =>
         triggerComment: commentText,
       });
 
+      const { exhausted } = spendBudget.check(prData);
+      if (exhausted) {
+        const message = spendBudget.describeExhausted(exhausted);
+        if (!spendBudget.canOverride(commentAuthor)) {
+          logger.info(`⏭️  Manual review refused: ${message}`);
+          notifyBudgetExhausted(prData, exhausted, { manual: true });
+          return res.status(200).json({
+            message: 'Manual review refused (spend budget exhausted)',
+            reason: message,
+            author: commentAuthor,
+          });
+        }
+        logger.info(`💸 ${commentAuthor} overrides the exhausted budget: ${message}`);
+      }
+
       enqueued = enqueueManualReview(prData);
       logger.info(
-        `✅ Manual review triggered for PR: ${prData.title} (queue size: ${reviewQueue.length})`,
+        `✅ Manual review triggered for PR: ${prData.title} (queue size: ${jobQueue.size()})`,
       );
     } else {
       // User filtering for automatic PR events
@@ -333,7 +947,13 @@ app.post('/webhook/bitbucket/pr', validateBitbucketWebhook, async (req, res) =>
         logger.debug(`Metrics: Incremented PR updated counter for ${repository}`);
       }
 
-      enqueued = enqueueAutoJobs(prData);
+      scheduledAt = getAutoJobScheduledAt(eventKey);
+      ({ enqueued, skipped } = enqueueAutoJobs(prData, { scheduledAt }));
+      if (scheduledAt && enqueued.length > 0) {
+        logger.info(
+          `⏳ Debouncing ${eventKey} for ${UPDATE_DEBOUNCE_SECONDS}s (scheduled at ${new Date(scheduledAt).toISOString()})`,
+        );
+      }
     }
 
     if (!prData.repoCloneUrl) {
@@ -346,13 +966,13 @@ app.post('/webhook/bitbucket/pr', validateBitbucketWebhook, async (req, res) =>
 
     logger.debug(`PR Data: ${JSON.stringify(prData)}`);
 
-    if (enqueued.length === 0) {
+    if (enqueued.length === 0 && skipped.length === 0) {
       logger.info(
         `⏭️  PR did not match any branch rules: ${prData.title} (source: ${prData.sourceBranch}, target: ${prData.destinationBranch})`,
       );
-    } else {
+    } else if (enqueued.length > 0) {
       logger.info(
-        `✅ PR enqueued: ${prData.title} [${enqueued.join(', ')}] (queue size: ${reviewQueue.length})`,
+        `✅ PR enqueued: ${prData.title} [${enqueued.join(', ')}] (queue size: ${jobQueue.size()})`,
       );
     }
 
@@ -361,6 +981,10 @@ app.post('/webhook/bitbucket/pr', validateBitbucketWebhook, async (req, res) =>
       prTitle: prData.title,
       enqueued,
       queuePosition: reviewQueue.length,
+      ...(skipped.length > 0 ? { skipped } : {}),
+      ...(scheduledAt && enqueued.length > 0
+        ? { scheduledAt: new Date(scheduledAt).toISOString() }
+        : {}),
     });
 
     processQueue();
@@ -373,14 +997,133 @@ app.post('/webhook/bitbucket/pr', validateBitbucketWebhook, async (req, res) =>
   }
 });
 
+/**
+ * Graceful shutdown: stop accepting webhooks, give running jobs up to the grace period,
+ * checkpoint the ones still running back to pending, flush metrics, stop the HTTP server and
+ * close the job store last (no request can reach the store once it is closed).
+ * @param {string} signal - Received signal (SIGTERM, SIGINT)
+ * @param {import('http').Server} [server] - HTTP server to close
+ * @returns {Promise<void>}
+ */
+async function shutdown(signal, server) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`🛑 Received ${signal}, shutting down`);
+
+  if (janitorTimer) {
+    clearInterval(janitorTimer);
+    janitorTimer = null;
+  }
+
+  const checkpointed = await jobQueue.shutdown(SHUTDOWN_GRACE_SECONDS * 1000);
+  if (checkpointed > 0) {
+    logger.warn(`💾 Checkpointed ${checkpointed} running job(s); they resume after the restart`);
+  }
+
+  await flushMetrics();
+  if (server) {
+    // Open job event streams would keep the server from closing
+    await new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  }
+  jobStore.close();
+  logger.info('👋 Shutdown complete');
+}
+
+/**
+ * Settings that leave the review comment mode at `mcp` (the global default, repository
+ * entries and their branch rules; getRepositoryConfig() treats anything but `service` as mcp)
+ * @param {Object} cfg - Full config
+ * @returns {string[]} Config paths, e.g. `repositories.docs-site.commentMode`
+ */
+function getMcpCommentModeSettings(cfg) {
+  const isMcp = commentMode => commentMode !== undefined && commentMode !== 'service';
+  const settings = [];
+  if ((cfg.prReview || {}).commentMode !== 'service') settings.push('prReview.commentMode');
+
+  for (const [name, entry] of Object.entries(cfg.repositories || {})) {
+    if (!entry || typeof entry !== 'object') continue;
+    if (isMcp(entry.commentMode)) settings.push(`repositories.${name}.commentMode`);
+    for (const [pattern, rule] of Object.entries(entry.branches || {})) {
+      if (rule && isMcp(rule.commentMode)) {
+        settings.push(`repositories.${name}.branches["${pattern}"].commentMode`);
+      }
+    }
+  }
+  return settings;
+}
+
+/**
+ * Configuration combinations that start fine but do not work as intended
+ * @param {Object} cfg - Full config
+ * @returns {string[]} Warning messages
+ */
+function getConfigWarnings(cfg) {
+  const warnings = [];
+  const claudeConfig = cfg.claude || {};
+  const jobs = claudeConfig.jobs || {};
+
+  if ((cfg.budgets || {}).enabled === true && claudeConfig.backend !== 'http') {
+    const textJobs = ['review', 'create-release-note'].filter(
+      type => ((jobs[type] || {}).outputFormat || claudeConfig.outputFormat || 'text') === 'text',
+    );
+    if (textJobs.length > 0) {
+      warnings.push(
+        `Spend budgets are enabled, but ${textJobs.join(' and ')} jobs use the text output format, which reports no cost; set claude.outputFormat to json or stream-json`,
+      );
+    }
+  }
+
+  // The http backend has no MCP tools: whatever Claude was asked to post is never posted
+  if (claudeConfig.backend === 'http') {
+    const mcpSettings = getMcpCommentModeSettings(cfg);
+    if (mcpSettings.length > 0) {
+      warnings.push(
+        `The http backend cannot post through the Bitbucket MCP, so reviews in mcp comment mode are not posted (${mcpSettings.join(', ')}); set the comment mode to service`,
+      );
+    }
+    if ((cfg.releaseNote || {}).enabled === true) {
+      warnings.push(
+        'Release notes are enabled, but they are posted through the Bitbucket MCP, which the http backend cannot use',
+      );
+    }
+  }
+  return warnings;
+}
+
 // Start server
 if (require.main === module) {
-  app.listen(PORT, '0.0.0.0', () => {
+  getConfigWarnings(config).forEach(warning => logger.warn(`⚠️  ${warning}`));
+
+  const server = app.listen(PORT, '0.0.0.0', () => {
     logger.info(`PR Automation server listening on port ${PORT}`);
     logger.info(`Webhook endpoint: http://localhost:${PORT}/webhook/bitbucket/pr`);
     logger.info(
       `Event filtering: ${PROCESS_ONLY_CREATED ? 'Only PR creation events' : 'All PR events (created + updated)'}`,
     );
+
+    // Nothing is running yet, so every existing worktree is left over from the previous run
+    cleanupStaleWorktrees({ maxAgeMs: 0 })
+      .catch(error => logger.error(`Failed to clean up worktrees on boot: ${error.message}`))
+      .finally(() => {
+        resumeQueue();
+        startWorktreeJanitor();
+      });
+  });
+
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+      // Last resort if a Claude process ignores SIGTERM
+      setTimeout(() => process.exit(1), (SHUTDOWN_GRACE_SECONDS + 30) * 1000).unref();
+      shutdown(signal, server)
+        .then(() => process.exit(0))
+        .catch(error => {
+          logger.error(`Shutdown failed: ${error.message}`);
+          process.exit(1);
+        });
+    });
   });
 }
 
@@ -388,10 +1131,17 @@ module.exports = {
   app,
   verifyBitbucketSignature,
   processQueue,
+  resumeQueue,
+  shutdown,
   _internal: {
     buildPrData,
+    getConfigWarnings,
     enqueueAutoJobs,
     enqueueManualReview,
+    reviewQueue,
+    jobQueue,
+    jobStore,
+    spendBudget,
     shouldSkipUser,
     processedCommentTriggerIds,
   },
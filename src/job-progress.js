@@ -0,0 +1,98 @@
+const EventEmitter = require('events');
+const logger = require('./logger').default;
+
+// Files listed in a job's progress summary (the count keeps going)
+const MAX_FILES_LISTED = 100;
+
+/**
+ * Live progress of running jobs, built from Claude progress events (see StreamJsonParser).
+ * Logs every event with its job id, keeps a summary in the job store and emits
+ * `progress` (jobId, event, summary) and `end` (jobId) for live subscribers such as
+ * `GET /jobs/:id/stream`.
+ */
+class JobProgress extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {import('./job-store')} [options.store] - Job store the summary is written to
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || null;
+    this.summaries = new Map();
+    // One listener per open event stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Start a fresh summary for a job attempt
+   * @param {number} jobId - Job id
+   */
+  start(jobId) {
+    this.summaries.set(jobId, {
+      toolCalls: 0,
+      filesRead: [],
+      filesReadCount: 0,
+      tokens: { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0 },
+      lastEvent: null,
+      updatedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Record a progress event of a running job
+   * @param {number} jobId - Job id
+   * @param {Object} event - Progress event ({ type, ... })
+   */
+  record(jobId, event) {
+    if (!this.summaries.has(jobId)) this.start(jobId);
+    const summary = this.summaries.get(jobId);
+
+    if (event.type === 'tool_call') {
+      summary.toolCalls++;
+      logger.info(`🔧 Job #${jobId}: ${event.tool}${event.target ? ` ${event.target}` : ''}`, {
+        jobId,
+        progress: event,
+      });
+    } else if (event.type === 'file_read') {
+      summary.filesReadCount++;
+      if (summary.filesRead.length < MAX_FILES_LISTED && !summary.filesRead.includes(event.path)) {
+        summary.filesRead.push(event.path);
+      }
+      logger.debug(`📄 Job #${jobId} read ${event.path}`, { jobId, progress: event });
+    } else if (event.type === 'tokens' || event.type === 'result') {
+      const { inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens } = event;
+      summary.tokens = { inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens };
+      logger.debug(
+        `🪙 Job #${jobId} tokens: ${inputTokens} in, ${outputTokens} out, ${cacheReadTokens} cache read`,
+        { jobId, progress: event },
+      );
+    } else {
+      logger.info(`📡 Job #${jobId}: ${event.type}`, { jobId, progress: event });
+    }
+
+    summary.lastEvent = event;
+    summary.updatedAt = Date.now();
+    if (this.store) this.store.updateProgress(jobId, summary);
+    this.emit('progress', jobId, event, summary);
+  }
+
+  /**
+   * Current summary of a running job
+   * @param {number} jobId - Job id
+   * @returns {Object|null}
+   */
+  get(jobId) {
+    return this.summaries.get(jobId) || null;
+  }
+
+  /**
+   * A job attempt settled (done, failed, retrying, cancelled or checkpointed)
+   * @param {number} jobId - Job id
+   */
+  finish(jobId) {
+    this.summaries.delete(jobId);
+    this.emit('end', jobId);
+  }
+}
+
+module.exports = JobProgress;
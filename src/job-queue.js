@@ -0,0 +1,485 @@
+const logger = require('./logger').default;
+const { metrics } = require('./metrics');
+
+/**
+ * Default lock key: jobs for the same repository fetch into the same bare mirror,
+ * so they run one at a time (each still gets its own worktree).
+ * @param {Object} job - Queue job
+ * @returns {string}
+ */
+function repositoryLockKey(job) {
+  return job.prData.repository;
+}
+
+/**
+ * Coalescing key: one pending job per PR and job type
+ * @param {Object} job - Queue job (or { prData, type })
+ * @returns {string|null}
+ */
+function coalesceKey(job) {
+  return job.prData.prUrl ? `${job.prData.prUrl}::${job.type}` : null;
+}
+
+/**
+ * Whether two jobs are for the same known source commit (a running job for the
+ * same commit is not outdated, so it is never cancelled)
+ * @param {Object} a - Queue job
+ * @param {Object} b - Queue job
+ * @returns {boolean}
+ */
+function isSameCommit(a, b) {
+  return Boolean(a.prData.sourceCommit) && a.prData.sourceCommit === b.prData.sourceCommit;
+}
+
+/**
+ * Default error classifier: the `errorType` attached by processPullRequest()
+ * @param {Error} error - Error thrown by the job handler
+ * @returns {string}
+ */
+function errorTypeOf(error) {
+  return error.errorType || 'unknown';
+}
+
+/**
+ * Worker pool for queued jobs. Runs up to `concurrency` jobs at once while
+ * serializing jobs that share a lock key (by default the repository).
+ * Pending jobs are ordered by priority (highest first), FIFO within a priority.
+ */
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {import('./job-store')} options.store - Durable job store
+   * @param {(job: Object, context: { signal: AbortSignal }) => Promise<Object|undefined>} options.handler - Runs one job, resolves with the result to store
+   * @param {number} [options.concurrency] - Global limit of jobs running at once
+   * @param {(job: Object) => string} [options.getLockKey] - Jobs with the same key never run in parallel
+   * @param {{ enabled?: boolean, cancelRunning?: boolean }} [options.coalesce] - Replace pending jobs for the same PR + type, optionally cancel running ones
+   * @param {(prData: Object, type: string) => number} [options.getPriority] - Priority of a new job (higher runs first)
+   * @param {Object} [options.retry] - Retry policy for failed jobs (no retries by default)
+   * @param {number} [options.retry.maxAttempts] - Attempts per job, including the first run
+   * @param {number} [options.retry.backoffMs] - Delay before the first retry; doubles on every further attempt
+   * @param {number} [options.retry.maxBackoffMs] - Upper bound of the retry delay
+   * @param {string[]} [options.retry.retryableErrorTypes] - Error types worth retrying (e.g. timeout, git_error)
+   * @param {(error: Error) => string} [options.classifyError] - Maps a handler error to its error type
+   * @param {(job: Object) => number|null} [options.gate] - Called before a job starts; epoch ms until which no job may start (e.g. an open circuit breaker), or null to start it
+   * @param {(job: Object) => void} [options.onSettled] - Called after a job attempt settled and its new state is stored
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.handler = options.handler;
+    this.getLockKey = options.getLockKey || repositoryLockKey;
+    this.getPriority = options.getPriority || (() => 0);
+
+    const coalesce = options.coalesce || {};
+    this.coalesceEnabled = coalesce.enabled !== false;
+    this.cancelRunning = coalesce.cancelRunning === true;
+
+    const retry = options.retry || {};
+    this.retry = {
+      maxAttempts: Math.max(parseInt(retry.maxAttempts, 10) || 1, 1),
+      backoffMs: parseInt(retry.backoffMs, 10) || 0,
+      maxBackoffMs: parseInt(retry.maxBackoffMs, 10) || Infinity,
+      retryableErrorTypes: retry.retryableErrorTypes || [],
+    };
+    this.classifyError = options.classifyError || errorTypeOf;
+    this.gate = options.gate || (() => null);
+    this.onSettled = options.onSettled || null;
+    this.pausedUntil = null;
+
+    const concurrency = parseInt(options.concurrency, 10);
+    this.concurrency = Number.isNaN(concurrency) || concurrency <= 0 ? 1 : concurrency;
+
+    this.pending = [];
+    this.running = new Map();
+    this.activeKeys = new Set();
+    this.controllers = new Map();
+    this.runs = new Map();
+    this.checkpointing = new Set();
+    this.wakeUpTimer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Persist a job and add it to the pending list behind jobs of the same or higher priority.
+   * A pending job for the same PR and job type is replaced in place (keeping its queue
+   * position and the higher of both priorities); a running one is cancelled when
+   * `coalesce.cancelRunning` is enabled.
+   * @param {Object} prData - Pull request data
+   * @param {string} type - Job type ('review' | 'create-release-note')
+   * @param {Object} [options]
+   * @param {number|null} [options.scheduledAt] - Epoch ms before which the job must not start (debounce)
+   * @returns {Object} The stored job (with `supersededJobIds` when it replaced older jobs)
+   */
+  enqueue(prData, type, { scheduledAt = null } = {}) {
+    const key = this.coalesceEnabled ? coalesceKey({ prData, type }) : null;
+    const pendingIndex = key ? this.pending.findIndex(queued => coalesceKey(queued) === key) : -1;
+    const replaced = pendingIndex === -1 ? null : this.pending[pendingIndex];
+
+    // A replacement never lowers the priority (e.g. a /review superseded by a push)
+    let priority = this.getPriority(prData, type);
+    if (replaced) priority = Math.max(priority, replaced.priority);
+
+    const job = this.store.create({ prData, type, scheduledAt, priority });
+    job.supersededJobIds = [];
+
+    if (!replaced) {
+      this.insertPending(job);
+    } else {
+      if (replaced.priority === priority) {
+        this.pending[pendingIndex] = job;
+      } else {
+        this.pending.splice(pendingIndex, 1);
+        this.insertPending(job);
+      }
+      this.store.markSuperseded(replaced.id, job.id);
+      job.supersededJobIds.push(replaced.id);
+      this.recordSuperseded(replaced, 'pending_replaced');
+      logger.info(
+        `🔁 Queue item #${replaced.id} superseded by #${job.id} (${prData.prUrl} [${type}])`,
+      );
+    }
+
+    if (key && this.cancelRunning) {
+      for (const running of this.running.values()) {
+        if (coalesceKey(running) === key && !isSameCommit(running, job)) {
+          this.cancel(running.id, `Superseded by job #${job.id} for a newer PR event`);
+          job.supersededJobIds.push(running.id);
+          this.recordSuperseded(running, 'running_cancelled');
+        }
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Cancel a job: a pending job is removed from the queue, a running one is aborted
+   * (kills its Claude process). The job is stored as cancelled.
+   * @param {number} id - Job id
+   * @param {string} reason - Why the job was cancelled
+   * @returns {boolean} True if a pending or running job was cancelled
+   */
+  cancel(id, reason) {
+    const pendingIndex = this.pending.findIndex(job => job.id === id);
+    if (pendingIndex !== -1) {
+      this.pending.splice(pendingIndex, 1);
+      this.store.markCancelled(id, reason);
+      logger.warn(`🛑 Removed queue item #${id} from the queue: ${reason}`);
+      this.scheduleWakeUp();
+      return true;
+    }
+
+    const controller = this.controllers.get(id);
+    if (!controller || controller.signal.aborted) return false;
+
+    logger.warn(`🛑 Cancelling queue item #${id}: ${reason}`);
+    controller.abort(reason);
+    return true;
+  }
+
+  /**
+   * Pending and running jobs for a PR and job type
+   * @param {string} prUrl - Pull request URL
+   * @param {string} type - Job type
+   * @returns {Object[]}
+   */
+  findActive(prUrl, type) {
+    return [...this.pending, ...this.running.values()].filter(
+      job => job.prData.prUrl === prUrl && job.type === type,
+    );
+  }
+
+  /**
+   * 1-based position of a pending job in the queue
+   * @param {number} id - Job id
+   * @returns {number|null} Position, or null if the job is not pending
+   */
+  position(id) {
+    const index = this.pending.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Add a job to the pending list after all jobs with the same or a higher priority
+   * @param {Object} job - Queue job
+   */
+  insertPending(job) {
+    const index = this.pending.findIndex(queued => queued.priority < job.priority);
+    if (index === -1) {
+      this.pending.push(job);
+    } else {
+      this.pending.splice(index, 0, job);
+    }
+  }
+
+  /**
+   * Change the priority of a pending job; it moves to the end of its new priority lane
+   * @param {number} id - Job id
+   * @param {number} priority - New priority (higher runs first)
+   * @returns {boolean} False if the job is not pending
+   */
+  setPriority(id, priority) {
+    const index = this.pending.findIndex(job => job.id === id);
+    if (index === -1) return false;
+
+    const [job] = this.pending.splice(index, 1);
+    job.priority = priority;
+    this.store.setPriority(id, priority);
+    this.insertPending(job);
+    logger.info(`⏫ Queue item #${id} priority set to ${priority}`);
+    return true;
+  }
+
+  /**
+   * Highest priority among pending jobs
+   * @returns {number|null} Priority, or null if nothing is pending
+   */
+  topPriority() {
+    return this.pending.length > 0 ? this.pending[0].priority : null;
+  }
+
+  recordSuperseded(job, reason) {
+    metrics.queueJobsSupersededCounter.inc({
+      repository: job.prData.repository,
+      job_type: job.type,
+      reason,
+    });
+  }
+
+  /**
+   * Load pending jobs from the store that are not already queued or running
+   * @returns {Object[]} Jobs added to the pending list
+   */
+  restore() {
+    const known = new Set([...this.pending.map(job => job.id), ...this.running.keys()]);
+    const restored = this.store.listPending().filter(job => !known.has(job.id));
+    restored.forEach(job => this.insertPending(job));
+    return restored;
+  }
+
+  /**
+   * Start as many pending jobs as the concurrency limit and repository locks allow.
+   * Jobs scheduled in the future are skipped and a wake-up is set for the earliest one.
+   * Every start passes the gate first; while it is closed, pending jobs wait for it to reopen.
+   */
+  process() {
+    if (this.stopped) return;
+
+    while (this.running.size < this.concurrency) {
+      const now = Date.now();
+      const index = this.pending.findIndex(
+        job => !(job.scheduledAt > now) && !this.activeKeys.has(this.getLockKey(job)),
+      );
+      if (index === -1) break;
+
+      const pausedUntil = this.gate(this.pending[index]);
+      if (pausedUntil) {
+        if (!this.pausedUntil) {
+          logger.warn(
+            `⏸️  Queue paused until ${new Date(pausedUntil).toISOString()} (${this.pending.length} pending)`,
+          );
+        }
+        this.pausedUntil = pausedUntil;
+        break;
+      }
+      if (this.pausedUntil) this.resume();
+
+      const [job] = this.pending.splice(index, 1);
+      const run = this.start(job);
+      this.runs.set(job.id, run);
+      run.then(() => {
+        if (this.runs.get(job.id) === run) this.runs.delete(job.id);
+      });
+    }
+
+    this.scheduleWakeUp();
+  }
+
+  /**
+   * Clear the pause so it neither delays the next wake-up nor shows in the status
+   */
+  resume() {
+    if (this.pending.length > 0) {
+      logger.info(`▶️  Queue resumed (${this.pending.length} pending)`);
+    }
+    this.pausedUntil = null;
+  }
+
+  /**
+   * Re-run process() when a paused queue may resume, otherwise when the earliest
+   * scheduled pending job becomes due. A pause that expired, or that no pending job
+   * waits for any more, is cleared.
+   */
+  scheduleWakeUp() {
+    if (this.wakeUpTimer) {
+      clearTimeout(this.wakeUpTimer);
+      this.wakeUpTimer = null;
+    }
+    if (this.pausedUntil && (this.pausedUntil <= Date.now() || this.pending.length === 0)) {
+      this.resume();
+    }
+    if (this.pending.length === 0) return;
+
+    const now = Date.now();
+    const nextDue = this.pending
+      .map(job => job.scheduledAt)
+      .filter(scheduledAt => scheduledAt > now)
+      .sort((a, b) => a - b)[0];
+    const wakeAt = this.pausedUntil || nextDue;
+    if (wakeAt === undefined) return;
+
+    this.wakeUpTimer = setTimeout(
+      () => {
+        this.wakeUpTimer = null;
+        this.process();
+      },
+      Math.max(wakeAt - now, 0),
+    );
+    this.wakeUpTimer.unref();
+  }
+
+  /**
+   * Run one job and release its lock when it settles
+   * @param {Object} job - Queue job
+   */
+  async start(job) {
+    const lockKey = this.getLockKey(job);
+    const controller = new AbortController();
+    this.activeKeys.add(lockKey);
+    this.running.set(job.id, job);
+    this.controllers.set(job.id, controller);
+
+    logger.info(
+      `📋 Processing queue item #${job.id}: ${job.prData.title} [${job.type}] (${this.running.size}/${this.concurrency} running, ${this.pending.length} pending)`,
+    );
+
+    try {
+      this.store.markRunning(job.id);
+      job.attempts = (job.attempts || 0) + 1;
+      const result = await this.handler(job, { signal: controller.signal });
+      this.store.markDone(job.id, result);
+    } catch (error) {
+      if (this.checkpointing.has(job.id)) {
+        // Interrupted by shutdown: back to pending so it runs again after the restart
+        logger.info(`💾 Queue item #${job.id} checkpointed back to pending`);
+        this.store.requeue(job.id);
+      } else if (controller.signal.aborted) {
+        logger.info(`Queue item #${job.id} cancelled: ${controller.signal.reason}`);
+        this.store.markCancelled(job.id, String(controller.signal.reason));
+      } else {
+        this.handleFailure(job, error);
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.controllers.delete(job.id);
+      this.activeKeys.delete(lockKey);
+      this.checkpointing.delete(job.id);
+      if (this.onSettled) this.onSettled(job);
+      this.process(); // Fill the freed slot (if any)
+    }
+  }
+
+  /**
+   * Retry delay after the given attempt: backoffMs * 2^(attempt - 1), capped at maxBackoffMs
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempt) {
+    return Math.min(this.retry.backoffMs * 2 ** (attempt - 1), this.retry.maxBackoffMs);
+  }
+
+  /**
+   * Re-queue a failed job with backoff when its error is retryable and attempts are left,
+   * otherwise mark it as failed and move it to the dead-letter store
+   * @param {Object} job - Queue job that failed
+   * @param {Error} error - Error thrown by the handler (may carry prompt, promptFile, stdout, stderr)
+   */
+  handleFailure(job, error) {
+    const errorType = this.classifyError(error);
+    const retryable = this.retry.retryableErrorTypes.includes(errorType);
+
+    if (!retryable || job.attempts >= this.retry.maxAttempts) {
+      logger.error(
+        `Queue item #${job.id} failed (${errorType}, attempt ${job.attempts}/${this.retry.maxAttempts}): ${error.message}`,
+      );
+      this.store.markFailed(job.id, error.message, { errorType, result: error.result });
+      const deadLetter = this.store.addDeadLetter(job, {
+        errorMessage: error.message,
+        errorType,
+        promptFile: error.promptFile,
+        prompt: error.prompt,
+        stdout: error.stdout,
+        stderr: error.stderr,
+      });
+      logger.warn(`📭 Queue item #${job.id} moved to dead letters (#${deadLetter.id})`);
+      return;
+    }
+
+    // A newer event for the same PR is already queued; retrying the old one would duplicate it
+    const key = this.coalesceEnabled ? coalesceKey(job) : null;
+    const newer = key && this.pending.find(queued => coalesceKey(queued) === key);
+    if (newer) {
+      logger.info(`Queue item #${job.id} failed, not retried: superseded by #${newer.id}`);
+      this.store.markSuperseded(job.id, newer.id);
+      return;
+    }
+
+    const delayMs = this.getRetryDelay(job.attempts);
+    job.scheduledAt = Date.now() + delayMs;
+    this.store.markRetrying(job.id, {
+      scheduledAt: job.scheduledAt,
+      errorMessage: error.message,
+      errorType,
+    });
+    metrics.queueJobRetriesCounter.inc({
+      repository: job.prData.repository,
+      job_type: job.type,
+      error_type: errorType,
+    });
+    logger.warn(
+      `🔁 Queue item #${job.id} failed (${errorType}): ${error.message}. Retrying in ${delayMs / 1000}s (attempt ${job.attempts + 1}/${this.retry.maxAttempts})`,
+    );
+    this.insertPending(job);
+  }
+
+  /**
+   * Number of jobs waiting or running
+   * @returns {number}
+   */
+  size() {
+    return this.pending.length + this.running.size;
+  }
+
+  /**
+   * Stop starting jobs and wait up to graceMs for the running ones to finish. Jobs still
+   * running after the grace period are aborted (killing their Claude process) and put back
+   * to pending, so they run again after the restart.
+   * @param {number} graceMs - How long to wait for running jobs
+   * @returns {Promise<number>} Number of checkpointed jobs
+   */
+  async shutdown(graceMs) {
+    this.stopped = true;
+    if (this.wakeUpTimer) {
+      clearTimeout(this.wakeUpTimer);
+      this.wakeUpTimer = null;
+    }
+    if (this.runs.size === 0) return 0;
+
+    logger.info(`⏳ Waiting up to ${graceMs / 1000}s for ${this.runs.size} running job(s)`);
+    let graceTimer;
+    const graceExpired = new Promise(resolve => {
+      graceTimer = setTimeout(resolve, graceMs);
+    });
+    await Promise.race([Promise.allSettled([...this.runs.values()]), graceExpired]);
+    clearTimeout(graceTimer);
+
+    const interrupted = [...this.running.keys()];
+    interrupted.forEach(id => {
+      this.checkpointing.add(id);
+      this.controllers.get(id).abort('shutdown');
+    });
+    await Promise.allSettled([...this.runs.values()]);
+    return interrupted.length;
+  }
+}
+
+module.exports = JobQueue;
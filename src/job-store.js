@@ -0,0 +1,648 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('./logger').default;
+
+const JOB_STATES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  SUPERSEDED: 'superseded',
+  CANCELLED: 'cancelled',
+};
+
+// Characters of Claude stdout/stderr kept with a dead-lettered job
+const OUTPUT_TAIL_CHARS = 4000;
+
+/**
+ * Last `OUTPUT_TAIL_CHARS` characters of a process output
+ * @param {string|undefined} output - Process output
+ * @returns {string|null}
+ */
+function tail(output) {
+  if (!output) return null;
+  return output.length > OUTPUT_TAIL_CHARS ? output.slice(-OUTPUT_TAIL_CHARS) : output;
+}
+
+// Columns added after the first release; created on existing databases by migrate()
+const ADDED_COLUMNS = [
+  ['jobs', 'scheduled_at', 'INTEGER'],
+  ['jobs', 'priority', 'INTEGER NOT NULL DEFAULT 0'],
+  ['jobs', 'attempts', 'INTEGER NOT NULL DEFAULT 0'],
+  ['jobs', 'error_type', 'TEXT'],
+  ['reviewed_commits', 'is_lgtm', 'INTEGER'],
+  ['reviewed_commits', 'issue_count', 'INTEGER'],
+  ['jobs', 'progress', 'TEXT'],
+  ['jobs', 'model_selection', 'TEXT'],
+  ['jobs', 'model_attempts', 'TEXT'],
+  ['dead_letters', 'prompt', 'TEXT'],
+];
+
+/**
+ * SQLite-backed store for queue jobs ({ prData, type }) so pending reviews survive restarts.
+ * When persistence is disabled the same schema lives in an in-memory database.
+ */
+class JobStore {
+  constructor(options = {}) {
+    this.enabled = options.enabled === true;
+    this.storagePath = options.storagePath || path.join(process.cwd(), 'queue-storage');
+    this.db = null;
+
+    this.initialize();
+  }
+
+  /**
+   * Open the database (file-backed when enabled, in-memory otherwise) and create tables
+   */
+  initialize() {
+    if (this.enabled) {
+      try {
+        fs.ensureDirSync(this.storagePath);
+        const dbPath = path.join(this.storagePath, 'queue.db');
+        this.db = new Database(dbPath);
+        this.db.pragma('journal_mode = WAL');
+        logger.info(`✅ Job queue persistence initialized at ${dbPath}`);
+      } catch (error) {
+        logger.error(`Failed to initialize job queue persistence: ${error.message}`);
+        logger.warn('Job queue will continue in memory (jobs will not survive restarts)');
+        this.enabled = false;
+      }
+    }
+
+    if (!this.db) {
+      this.db = new Database(':memory:');
+    }
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        pr_url TEXT,
+        repository TEXT,
+        pr_data TEXT NOT NULL,
+        state TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER,
+        result TEXT,
+        error TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_state ON jobs (state);
+
+      CREATE TABLE IF NOT EXISTS reviewed_commits (
+        pr_url TEXT PRIMARY KEY,
+        commit_hash TEXT NOT NULL,
+        job_id INTEGER,
+        reviewed_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS dead_letters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        pr_url TEXT,
+        repository TEXT,
+        pr_data TEXT NOT NULL,
+        prompt_file TEXT,
+        stdout_tail TEXT,
+        stderr_tail TEXT,
+        error TEXT,
+        error_type TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        replayed_at INTEGER,
+        replay_job_id INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS spend (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id INTEGER,
+        type TEXT NOT NULL,
+        repository TEXT,
+        author TEXT,
+        model TEXT,
+        cost_usd REAL NOT NULL,
+        recorded_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_spend_recorded_at ON spend (recorded_at);
+
+      CREATE TABLE IF NOT EXISTS budget_notices (
+        pr_url TEXT PRIMARY KEY,
+        period_start INTEGER NOT NULL,
+        notified_at INTEGER NOT NULL
+      );
+    `);
+
+    this.migrate();
+  }
+
+  /**
+   * Add columns introduced after the tables were first created
+   */
+  migrate() {
+    for (const [table, name, definition] of ADDED_COLUMNS) {
+      const existing = this.db
+        .prepare(`PRAGMA table_info(${table})`)
+        .all()
+        .map(column => column.name);
+      if (!existing.includes(name)) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      }
+    }
+  }
+
+  /**
+   * Convert a database row to a job object
+   * @param {Object} row - Row from the jobs table
+   * @returns {Object|null} Job with parsed prData and result
+   */
+  toJob(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      type: row.type,
+      prData: JSON.parse(row.pr_data),
+      state: row.state,
+      priority: row.priority,
+      createdAt: row.created_at,
+      scheduledAt: row.scheduled_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error,
+      errorType: row.error_type,
+      attempts: row.attempts,
+      progress: row.progress ? JSON.parse(row.progress) : null,
+      modelSelection: row.model_selection ? JSON.parse(row.model_selection) : null,
+      modelAttempts: row.model_attempts ? JSON.parse(row.model_attempts) : [],
+    };
+  }
+
+  /**
+   * Persist a new pending job
+   * @param {{ prData: Object, type: string, scheduledAt?: number|null, priority?: number }} queueItem - Queue item to persist
+   * @returns {Object} The stored job
+   */
+  create({ prData, type, scheduledAt = null, priority = 0 }) {
+    const info = this.db
+      .prepare(
+        'INSERT INTO jobs (type, pr_url, repository, pr_data, state, created_at, scheduled_at, priority) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      )
+      .run(
+        type,
+        prData.prUrl || null,
+        prData.repository || null,
+        JSON.stringify(prData),
+        JOB_STATES.PENDING,
+        Date.now(),
+        scheduledAt,
+        priority,
+      );
+    return this.get(info.lastInsertRowid);
+  }
+
+  /**
+   * Get a job by id
+   * @param {number} id - Job id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.toJob(this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+  }
+
+  /**
+   * List pending jobs in queue order: highest priority first, FIFO within a priority
+   * @returns {Object[]}
+   */
+  listPending() {
+    return this.db
+      .prepare('SELECT * FROM jobs WHERE state = ? ORDER BY priority DESC, id ASC')
+      .all(JOB_STATES.PENDING)
+      .map(row => this.toJob(row));
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.prUrl] - Only jobs for this pull request
+   * @param {string} [filter.state] - Only jobs in this state
+   * @param {number} [filter.limit=50] - Maximum number of jobs
+   * @returns {Object[]}
+   */
+  list({ prUrl, state, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (prUrl) {
+      conditions.push('pr_url = ?');
+      params.push(prUrl);
+    }
+    if (state) {
+      conditions.push('state = ?');
+      params.push(state);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(row => this.toJob(row));
+  }
+
+  setPriority(id, priority) {
+    this.db.prepare('UPDATE jobs SET priority = ? WHERE id = ?').run(priority, id);
+  }
+
+  /**
+   * Mark a job as running and count the attempt
+   * @param {number} id - Job id
+   */
+  markRunning(id) {
+    this.db
+      .prepare('UPDATE jobs SET state = ?, started_at = ?, attempts = attempts + 1 WHERE id = ?')
+      .run(JOB_STATES.RUNNING, Date.now(), id);
+  }
+
+  /**
+   * Store the progress summary of a running job (see JobProgress)
+   * @param {number} id - Job id
+   * @param {Object} progress - Progress summary
+   */
+  updateProgress(id, progress) {
+    this.db.prepare('UPDATE jobs SET progress = ? WHERE id = ?').run(JSON.stringify(progress), id);
+  }
+
+  /**
+   * Store the model chosen for a review and why (see selectModel)
+   * @param {number} id - Job id
+   * @param {{ model: string, reason: string }} selection - Model selection
+   */
+  updateModelSelection(id, selection) {
+    this.db
+      .prepare('UPDATE jobs SET model_selection = ? WHERE id = ?')
+      .run(JSON.stringify(selection), id);
+  }
+
+  /**
+   * Append a Claude run attempt to the job's model history (kept across queue retries)
+   * @param {number} id - Job id
+   * @param {{ model: string, outcome: string, durationSeconds: number, error: string|null }} attempt - Attempt (see runWithFallback)
+   */
+  addModelAttempt(id, attempt) {
+    this.db
+      .prepare(
+        "UPDATE jobs SET model_attempts = json_insert(COALESCE(model_attempts, '[]'), '$[#]', json(?)) WHERE id = ?",
+      )
+      .run(JSON.stringify(attempt), id);
+  }
+
+  markDone(id, result = null) {
+    this.db
+      .prepare(
+        'UPDATE jobs SET state = ?, finished_at = ?, result = ?, error = NULL, error_type = NULL WHERE id = ?',
+      )
+      .run(JOB_STATES.DONE, Date.now(), result ? JSON.stringify(result) : null, id);
+  }
+
+  /**
+   * Mark a job as permanently failed
+   * @param {number} id - Job id
+   * @param {string} errorMessage - Error message
+   * @param {Object} [details]
+   * @param {string} [details.errorType] - Classified error (timeout, git_error, ...)
+   * @param {Object} [details.result] - Partial result (e.g. review metrics of a failed review)
+   */
+  markFailed(id, errorMessage, { errorType = null, result = null } = {}) {
+    this.db
+      .prepare(
+        'UPDATE jobs SET state = ?, finished_at = ?, error = ?, error_type = ?, result = ? WHERE id = ?',
+      )
+      .run(
+        JOB_STATES.FAILED,
+        Date.now(),
+        errorMessage || null,
+        errorType,
+        result ? JSON.stringify(result) : null,
+        id,
+      );
+  }
+
+  /**
+   * Put a failed job back to pending for another attempt
+   * @param {number} id - Job id
+   * @param {Object} retry
+   * @param {number} retry.scheduledAt - Epoch ms of the next attempt
+   * @param {string} retry.errorMessage - Error of the failed attempt
+   * @param {string} retry.errorType - Classified error of the failed attempt
+   */
+  markRetrying(id, { scheduledAt, errorMessage, errorType }) {
+    this.db
+      .prepare(
+        'UPDATE jobs SET state = ?, started_at = NULL, scheduled_at = ?, error = ?, error_type = ? WHERE id = ?',
+      )
+      .run(JOB_STATES.PENDING, scheduledAt, errorMessage || null, errorType || null, id);
+  }
+
+  /**
+   * Mark a pending job as replaced by a newer job for the same PR and job type
+   * @param {number} id - Superseded job id
+   * @param {number} supersededBy - Id of the newer job
+   */
+  markSuperseded(id, supersededBy) {
+    this.db
+      .prepare('UPDATE jobs SET state = ?, finished_at = ?, error = ? WHERE id = ?')
+      .run(JOB_STATES.SUPERSEDED, Date.now(), `Superseded by job #${supersededBy}`, id);
+  }
+
+  /**
+   * Mark a job as cancelled (e.g. a running review of an outdated commit)
+   * @param {number} id - Job id
+   * @param {string} reason - Why the job was cancelled
+   */
+  markCancelled(id, reason) {
+    this.db
+      .prepare('UPDATE jobs SET state = ?, finished_at = ?, error = ? WHERE id = ?')
+      .run(JOB_STATES.CANCELLED, Date.now(), reason || null, id);
+  }
+
+  /**
+   * Remember the source commit a PR was last reviewed at
+   * @param {string} prUrl - Pull request URL
+   * @param {string} commitHash - Reviewed source commit hash
+   * @param {number|null} jobId - Review job id
+   * @param {{ isLgtm?: boolean, issueCount?: number }} [outcome] - Review outcome, summarized in the next incremental review
+   */
+  recordReviewedCommit(prUrl, commitHash, jobId = null, outcome = {}) {
+    this.db
+      .prepare(
+        `INSERT INTO reviewed_commits (pr_url, commit_hash, job_id, reviewed_at, is_lgtm, issue_count) VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(pr_url) DO UPDATE SET commit_hash = excluded.commit_hash, job_id = excluded.job_id, reviewed_at = excluded.reviewed_at,
+           is_lgtm = excluded.is_lgtm, issue_count = excluded.issue_count`,
+      )
+      .run(
+        prUrl,
+        commitHash,
+        jobId,
+        Date.now(),
+        typeof outcome.isLgtm === 'boolean' ? Number(outcome.isLgtm) : null,
+        typeof outcome.issueCount === 'number' ? outcome.issueCount : null,
+      );
+  }
+
+  /**
+   * Get the last reviewed source commit of a PR
+   * @param {string} prUrl - Pull request URL
+   * @returns {{ prUrl: string, commitHash: string, jobId: number|null, reviewedAt: number, isLgtm: boolean|null, issueCount: number|null }|null}
+   */
+  getLastReviewedCommit(prUrl) {
+    const row = this.db.prepare('SELECT * FROM reviewed_commits WHERE pr_url = ?').get(prUrl);
+    if (!row) return null;
+    return {
+      prUrl: row.pr_url,
+      commitHash: row.commit_hash,
+      jobId: row.job_id,
+      reviewedAt: row.reviewed_at,
+      isLgtm: row.is_lgtm === null ? null : row.is_lgtm === 1,
+      issueCount: row.issue_count,
+    };
+  }
+
+  /**
+   * Keep a permanently failed job for inspection and replay
+   * @param {Object} job - Failed job ({ id, type, prData, attempts })
+   * @param {Object} failure
+   * @param {string} failure.errorMessage - Final error message
+   * @param {string} failure.errorType - Classified error (timeout, git_error, ...)
+   * @param {string|null} [failure.promptFile] - Persisted prompt log of the last attempt
+   * @param {string|null} [failure.prompt] - Prompt of the last attempt (kept whether or not
+   *   prompt logs are enabled; their temporary files are deleted after each attempt)
+   * @param {string} [failure.stdout] - Claude stdout of the last attempt (only the tail is kept)
+   * @param {string} [failure.stderr] - Claude stderr of the last attempt (only the tail is kept)
+   * @returns {Object} The stored dead letter
+   */
+  addDeadLetter(
+    job,
+    { errorMessage, errorType, promptFile = null, prompt = null, stdout, stderr },
+  ) {
+    const info = this.db
+      .prepare(
+        `INSERT INTO dead_letters (job_id, type, pr_url, repository, pr_data, prompt_file, prompt, stdout_tail, stderr_tail, error, error_type, attempts, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      )
+      .run(
+        job.id,
+        job.type,
+        job.prData.prUrl || null,
+        job.prData.repository || null,
+        JSON.stringify(job.prData),
+        promptFile || null,
+        prompt || null,
+        tail(stdout),
+        tail(stderr),
+        errorMessage || null,
+        errorType || null,
+        job.attempts || 0,
+        Date.now(),
+      );
+    return this.getDeadLetter(info.lastInsertRowid);
+  }
+
+  /**
+   * Convert a dead_letters row to a dead letter object
+   * @param {Object} row - Row from the dead_letters table
+   * @returns {Object|null}
+   */
+  toDeadLetter(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      type: row.type,
+      prData: JSON.parse(row.pr_data),
+      promptFile: row.prompt_file,
+      prompt: row.prompt,
+      stdoutTail: row.stdout_tail,
+      stderrTail: row.stderr_tail,
+      error: row.error,
+      errorType: row.error_type,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      replayedAt: row.replayed_at,
+      replayJobId: row.replay_job_id,
+    };
+  }
+
+  /**
+   * Get a dead letter by id
+   * @param {number} id - Dead letter id
+   * @returns {Object|null}
+   */
+  getDeadLetter(id) {
+    return this.toDeadLetter(this.db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id));
+  }
+
+  /**
+   * List dead letters, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.prUrl] - Only dead letters for this pull request
+   * @param {boolean} [filter.includeReplayed=false] - Include dead letters that were already replayed
+   * @param {number} [filter.limit=50] - Maximum number of dead letters
+   * @returns {Object[]}
+   */
+  listDeadLetters({ prUrl, includeReplayed = false, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (prUrl) {
+      conditions.push('pr_url = ?');
+      params.push(prUrl);
+    }
+    if (!includeReplayed) {
+      conditions.push('replayed_at IS NULL');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT * FROM dead_letters ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(row => this.toDeadLetter(row));
+  }
+
+  /**
+   * Record that a dead letter was re-queued
+   * @param {number} id - Dead letter id
+   * @param {number} replayJobId - Id of the new job
+   */
+  markDeadLetterReplayed(id, replayJobId) {
+    this.db
+      .prepare('UPDATE dead_letters SET replayed_at = ?, replay_job_id = ? WHERE id = ?')
+      .run(Date.now(), replayJobId, id);
+  }
+
+  /**
+   * Record the cost of a Claude run (failed runs count too when the CLI reported their usage)
+   * @param {Object} entry
+   * @param {number|null} entry.jobId - Job id
+   * @param {string} entry.type - Job type
+   * @param {string} entry.repository - Repository name
+   * @param {string} entry.author - PR author
+   * @param {string} entry.model - Model of the run
+   * @param {number} entry.costUsd - Cost in USD
+   */
+  recordSpend({ jobId = null, type, repository, author, model, costUsd }) {
+    this.db
+      .prepare(
+        'INSERT INTO spend (job_id, type, repository, author, model, cost_usd, recorded_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      )
+      .run(jobId, type, repository || null, author || null, model || null, costUsd, Date.now());
+  }
+
+  /**
+   * Total spend since a point in time
+   * @param {Object} filter
+   * @param {number} filter.since - Epoch ms
+   * @param {string} [filter.repository] - Only runs for this repository
+   * @param {string} [filter.author] - Only runs for PRs of this author
+   * @returns {number} Cost in USD
+   */
+  getSpend({ since, repository, author }) {
+    const conditions = ['recorded_at >= ?'];
+    const params = [since];
+    if (repository) {
+      conditions.push('repository = ?');
+      params.push(repository);
+    }
+    if (author) {
+      conditions.push('author = ?');
+      params.push(author);
+    }
+    const row = this.db
+      .prepare(
+        `SELECT COALESCE(SUM(cost_usd), 0) AS total FROM spend WHERE ${conditions.join(' AND ')}`,
+      )
+      .get(...params);
+    return row.total;
+  }
+
+  /**
+   * Record that a PR got the budget-exhausted comment for a budget period
+   * @param {string} prUrl - Pull request URL
+   * @param {number} periodStart - Epoch ms at which the budget period started
+   */
+  recordBudgetNotice(prUrl, periodStart) {
+    this.db
+      .prepare(
+        `INSERT INTO budget_notices (pr_url, period_start, notified_at) VALUES (?, ?, ?)
+         ON CONFLICT(pr_url) DO UPDATE SET period_start = excluded.period_start, notified_at = excluded.notified_at`,
+      )
+      .run(prUrl, periodStart, Date.now());
+  }
+
+  /**
+   * Budget period in which a PR last got the budget-exhausted comment
+   * @param {string} prUrl - Pull request URL
+   * @returns {number|null} Epoch ms at which that period started, or null if never notified
+   */
+  getBudgetNoticePeriod(prUrl) {
+    const row = this.db
+      .prepare('SELECT period_start FROM budget_notices WHERE pr_url = ?')
+      .get(prUrl);
+    return row ? row.period_start : null;
+  }
+
+  /**
+   * Put a job interrupted by shutdown back to pending; the interrupted attempt does not count
+   * @param {number} id - Job id
+   */
+  requeue(id) {
+    this.db
+      .prepare(
+        'UPDATE jobs SET state = ?, started_at = NULL, attempts = MAX(attempts - 1, 0) WHERE id = ?',
+      )
+      .run(JOB_STATES.PENDING, id);
+  }
+
+  /**
+   * Move jobs that were running when the process died back to pending
+   * @returns {number} Number of re-queued jobs
+   */
+  requeueInterrupted() {
+    const info = this.db
+      .prepare('UPDATE jobs SET state = ?, started_at = NULL WHERE state = ?')
+      .run(JOB_STATES.PENDING, JOB_STATES.RUNNING);
+    return info.changes;
+  }
+
+  /**
+   * Delete finished (not pending or running) jobs and replayed dead letters older than the retention window
+   * @param {number} retentionDays - Days to keep finished jobs
+   * @returns {number} Number of deleted jobs
+   */
+  pruneFinished(retentionDays) {
+    const days = parseInt(retentionDays, 10);
+    if (Number.isNaN(days) || days <= 0) return 0;
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const info = this.db
+      .prepare('DELETE FROM jobs WHERE state NOT IN (?, ?) AND finished_at < ?')
+      .run(JOB_STATES.PENDING, JOB_STATES.RUNNING, cutoff);
+    // Dead letters are kept until they were replayed
+    this.db.prepare('DELETE FROM dead_letters WHERE replayed_at < ?').run(cutoff);
+    // Spend backs the monthly budgets, so it is kept for at least the current and last month
+    const spendCutoff = Math.min(cutoff, Date.now() - 62 * 24 * 60 * 60 * 1000);
+    this.db.prepare('DELETE FROM spend WHERE recorded_at < ?').run(spendCutoff);
+    this.db.prepare('DELETE FROM budget_notices WHERE notified_at < ?').run(spendCutoff);
+    return info.changes;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = JobStore;
+module.exports.JOB_STATES = JOB_STATES;
@@ -338,6 +338,13 @@ class MetricsPersistence {
       claude_review_success_total: metricObjects.claudeReviewSuccessCounter,
       claude_review_failure_total: metricObjects.claudeReviewFailureCounter,
       claude_review_duration_seconds: metricObjects.claudeReviewDurationHistogram,
+      queue_jobs_superseded_total: metricObjects.queueJobsSupersededCounter,
+      queue_job_retries_total: metricObjects.queueJobRetriesCounter,
+      claude_output_parse_failures_total: metricObjects.claudeOutputParseFailuresCounter,
+      claude_tokens_total: metricObjects.claudeTokensCounter,
+      claude_cost_usd_total: metricObjects.claudeCostCounter,
+      model_fallback_total: metricObjects.modelFallbackCounter,
+      circuit_breaker_transitions_total: metricObjects.circuitBreakerTransitionsCounter,
     };
 
     return metricMap[name];
@@ -95,6 +95,86 @@ const claudeReviewDurationHistogram = new client.Histogram({
   registers: [register],
 });
 
+/**
+ * Counter for queued jobs replaced or cancelled by a newer event for the same PR
+ */
+const queueJobsSupersededCounter = new client.Counter({
+  name: 'queue_jobs_superseded_total',
+  help: 'Total number of queued jobs superseded by a newer event for the same PR',
+  labelNames: ['repository', 'job_type', 'reason'],
+  registers: [register],
+});
+
+/**
+ * Counter for failed jobs re-queued by the retry policy
+ */
+const queueJobRetriesCounter = new client.Counter({
+  name: 'queue_job_retries_total',
+  help: 'Total number of failed jobs re-queued for another attempt',
+  labelNames: ['repository', 'job_type', 'error_type'],
+  registers: [register],
+});
+
+/**
+ * Counter for Claude output that could not be parsed
+ */
+const claudeOutputParseFailuresCounter = new client.Counter({
+  name: 'claude_output_parse_failures_total',
+  help: 'Total number of Claude runs whose output could not be parsed',
+  labelNames: ['repository', 'reason'],
+  registers: [register],
+});
+
+/**
+ * Counter for tokens used by Claude runs (json/stream-json output and http backend)
+ */
+const claudeTokensCounter = new client.Counter({
+  name: 'claude_tokens_total',
+  help: 'Total number of tokens used by Claude runs',
+  labelNames: ['repository', 'model', 'job_type', 'token_type'],
+  registers: [register],
+});
+
+/**
+ * Counter for the estimated cost of Claude runs
+ */
+const claudeCostCounter = new client.Counter({
+  name: 'claude_cost_usd_total',
+  help: 'Total estimated cost of Claude runs in USD',
+  labelNames: ['repository', 'model', 'job_type'],
+  registers: [register],
+});
+
+/**
+ * Counter for Claude runs repeated with the next model of claude.fallbackModels
+ */
+const modelFallbackCounter = new client.Counter({
+  name: 'model_fallback_total',
+  help: 'Total number of Claude runs retried with a fallback model',
+  labelNames: ['repository', 'job_type', 'from_model', 'to_model', 'reason'],
+  registers: [register],
+});
+
+/**
+ * Gauge for circuit breaker state (not persisted; reflects the running process)
+ */
+const circuitBreakerStateGauge = new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state (0 = closed, 1 = half-open, 2 = open)',
+  labelNames: ['breaker'],
+  registers: [register],
+});
+
+/**
+ * Counter for circuit breaker state transitions
+ */
+const circuitBreakerTransitionsCounter = new client.Counter({
+  name: 'circuit_breaker_transitions_total',
+  help: 'Total number of circuit breaker state transitions',
+  labelNames: ['breaker', 'from', 'to'],
+  registers: [register],
+});
+
 // Initialize metrics with 0 to make them visible in /metrics endpoint
 // even before any events occur. This helps with Grafana dashboard setup.
 // Note: Metrics will still show 0 until actual events increment them.
@@ -110,6 +190,26 @@ function initializeMetrics() {
   claudeReviewSuccessCounter.inc({ repository: dummyRepo }, 0);
   claudeReviewFailureCounter.inc({ repository: dummyRepo, error_type: 'none' }, 0);
   claudeReviewDurationHistogram.observe({ repository: dummyRepo, status: 'none' }, 0);
+  queueJobsSupersededCounter.inc({ repository: dummyRepo, job_type: 'none', reason: 'none' }, 0);
+  queueJobRetriesCounter.inc({ repository: dummyRepo, job_type: 'none', error_type: 'none' }, 0);
+  claudeOutputParseFailuresCounter.inc({ repository: dummyRepo, reason: 'none' }, 0);
+  claudeTokensCounter.inc(
+    { repository: dummyRepo, model: 'none', job_type: 'none', token_type: 'none' },
+    0,
+  );
+  claudeCostCounter.inc({ repository: dummyRepo, model: 'none', job_type: 'none' }, 0);
+  modelFallbackCounter.inc(
+    {
+      repository: dummyRepo,
+      job_type: 'none',
+      from_model: 'none',
+      to_model: 'none',
+      reason: 'none',
+    },
+    0,
+  );
+  ['claude', 'git', 'bitbucket'].forEach(breaker => circuitBreakerStateGauge.set({ breaker }, 0));
+  circuitBreakerTransitionsCounter.inc({ breaker: 'none', from: 'none', to: 'none' }, 0);
 }
 
 // Initialize metrics on module load
@@ -132,6 +232,13 @@ if (persistenceEnabled) {
           claudeReviewSuccessCounter,
           claudeReviewFailureCounter,
           claudeReviewDurationHistogram,
+          queueJobsSupersededCounter,
+          queueJobRetriesCounter,
+          claudeOutputParseFailuresCounter,
+          claudeTokensCounter,
+          claudeCostCounter,
+          modelFallbackCounter,
+          circuitBreakerTransitionsCounter,
         });
         logger.info('✅ Loaded persisted metrics from storage');
       }
@@ -153,26 +260,27 @@ if (persistenceEnabled) {
       logger.error(`Failed to save metrics: ${error.message}`);
     }
   }, saveIntervalMs);
+}
 
-  // Save metrics on process exit
-  const saveMetricsOnShutdown = async () => {
-    if (saveInterval) {
-      clearInterval(saveInterval);
-      saveInterval = null;
-    }
-    try {
-      const metricsData = await persistence.extractMetricsData(register);
-      persistence.save(metricsData);
-      persistence.close();
-      logger.info('Metrics saved before shutdown');
-    } catch (error) {
-      logger.error(`Failed to save metrics on shutdown: ${error.message}`);
-    }
-    process.exit(0);
-  };
-
-  process.on('SIGTERM', saveMetricsOnShutdown);
-  process.on('SIGINT', saveMetricsOnShutdown);
+/**
+ * Save metrics one last time and close the persistence backend.
+ * Called by the shutdown handler in index.js.
+ * @returns {Promise<void>}
+ */
+async function flushMetrics() {
+  if (!persistenceEnabled) return;
+  if (saveInterval) {
+    clearInterval(saveInterval);
+    saveInterval = null;
+  }
+  try {
+    const metricsData = await persistence.extractMetricsData(register);
+    persistence.save(metricsData);
+    persistence.close();
+    logger.info('Metrics saved before shutdown');
+  } catch (error) {
+    logger.error(`Failed to save metrics on shutdown: ${error.message}`);
+  }
 }
 
 module.exports = {
@@ -185,6 +293,15 @@ module.exports = {
     claudeReviewSuccessCounter,
     claudeReviewFailureCounter,
     claudeReviewDurationHistogram,
+    queueJobsSupersededCounter,
+    queueJobRetriesCounter,
+    claudeOutputParseFailuresCounter,
+    claudeTokensCounter,
+    claudeCostCounter,
+    modelFallbackCounter,
+    circuitBreakerStateGauge,
+    circuitBreakerTransitionsCounter,
   },
   persistence,
+  flushMetrics,
 };
@@ -0,0 +1,153 @@
+const logger = require('./logger').default;
+
+/**
+ * Convert a path glob to a RegExp: `*` matches within a path segment, `**` across segments
+ * (`**\/` also matches no directory at all) and `?` one character
+ * @param {string} glob - Glob such as `**\/auth/**` or `migrations/**`
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Paths of the files changed in a unified diff (new path; old path of deleted files)
+ * @param {string} diff - Output of git diff
+ * @returns {string[]}
+ */
+function getDiffFiles(diff) {
+  const files = [];
+  for (const line of (diff || '').split('\n')) {
+    const match = /^diff --git a\/(.+?) b\/(.+)$/.exec(line);
+    if (match) files.push(match[2]);
+  }
+  return files;
+}
+
+/**
+ * PR characteristics the routing rules look at, computed before the run
+ * @param {Object} input
+ * @param {Object|null} input.diffResult - Diff of the review (getDiffFromMergeBase or the incremental diff)
+ * @param {string} input.triggerType - 'automatic-webhook' | 'manual-comment'
+ * @returns {{ diffSizeKb: number|null, files: string[], fileCount: number|null, triggerType: string }}
+ *   Size and files are null / empty when the diff is unavailable
+ */
+function getPrCharacteristics({ diffResult, triggerType }) {
+  const hasDiff = Boolean(diffResult && diffResult.success);
+  const files = hasDiff ? getDiffFiles(diffResult.diff) : [];
+  return {
+    diffSizeKb: hasDiff ? diffResult.size / 1024 : null,
+    files,
+    fileCount: hasDiff ? files.length : null,
+    triggerType,
+  };
+}
+
+/**
+ * Why a rule matches, or null when one of its conditions does not
+ * @param {Object} rule - Routing rule
+ * @param {Object} pr - PR characteristics (see getPrCharacteristics)
+ * @returns {string[]|null} Matched conditions
+ */
+function matchRule(rule, pr) {
+  const reasons = [];
+  const sizeKb = pr.diffSizeKb;
+
+  if (rule.minDiffSizeKb !== undefined) {
+    if (sizeKb === null || sizeKb < rule.minDiffSizeKb) return null;
+    reasons.push(`diff ${sizeKb.toFixed(1)} KB >= ${rule.minDiffSizeKb} KB`);
+  }
+  if (rule.maxDiffSizeKb !== undefined) {
+    if (sizeKb === null || sizeKb > rule.maxDiffSizeKb) return null;
+    reasons.push(`diff ${sizeKb.toFixed(1)} KB <= ${rule.maxDiffSizeKb} KB`);
+  }
+  if (rule.minFiles !== undefined) {
+    if (pr.fileCount === null || pr.fileCount < rule.minFiles) return null;
+    reasons.push(`${pr.fileCount} files >= ${rule.minFiles}`);
+  }
+  if (rule.maxFiles !== undefined) {
+    if (pr.fileCount === null || pr.fileCount > rule.maxFiles) return null;
+    reasons.push(`${pr.fileCount} files <= ${rule.maxFiles}`);
+  }
+  if (Array.isArray(rule.sensitivePaths) && rule.sensitivePaths.length > 0) {
+    const globs = rule.sensitivePaths.map(glob => ({ glob, regex: globToRegExp(glob) }));
+    let hit = null;
+    for (const file of pr.files) {
+      const match = globs.find(({ regex }) => regex.test(file));
+      if (match) {
+        hit = { file, glob: match.glob };
+        break;
+      }
+    }
+    if (!hit) return null;
+    reasons.push(`touches ${hit.file} (${hit.glob})`);
+  }
+  if (rule.triggerType !== undefined) {
+    if (pr.triggerType !== rule.triggerType) return null;
+    reasons.push(`trigger ${pr.triggerType}`);
+  }
+  return reasons;
+}
+
+/**
+ * Pick the review model. The first `claude.routing.rules` entry whose conditions all match
+ * decides (`minDiffSizeKb`, `maxDiffSizeKb`, `minFiles`, `maxFiles`, `sensitivePaths`,
+ * `triggerType`; a rule without conditions matches every PR), so risky PRs escalate even in
+ * repositories that pin a model. Without a match the model set for the repository or its
+ * destination branch applies, and without one the configured model.
+ * @param {Object} input
+ * @param {string|null} input.repositoryModel - Model of the repository settings (getRepositoryConfig)
+ * @param {Object} input.pr - PR characteristics (see getPrCharacteristics)
+ * @param {Object} [routing] - `claude.routing` ({ enabled, rules })
+ * @returns {{ model: string|null, reason: string }} `model` is null for the configured default
+ */
+function selectModel({ repositoryModel, pr }, routing = {}) {
+  const fallback = reason =>
+    repositoryModel
+      ? { model: repositoryModel, reason: 'repository config' }
+      : { model: null, reason };
+  if (routing.enabled !== true || !Array.isArray(routing.rules)) {
+    return fallback('default model');
+  }
+
+  for (const [i, rule] of routing.rules.entries()) {
+    if (!rule || !rule.model) {
+      logger.warn(`Model routing: claude.routing.rules[${i}] has no model. Rule ignored.`);
+      continue;
+    }
+    const reasons = matchRule(rule, pr);
+    if (reasons) {
+      return {
+        model: rule.model,
+        reason: `routing rule ${i}${reasons.length > 0 ? `: ${reasons.join(', ')}` : ''}`,
+      };
+    }
+  }
+  return fallback('default model (no routing rule matched)');
+}
+
+module.exports = {
+  globToRegExp,
+  getDiffFiles,
+  getPrCharacteristics,
+  selectModel,
+};
@@ -0,0 +1,81 @@
+const logger = require('./logger').default;
+const { getConfig } = require('./config/loader');
+
+/**
+ * Parse a positive integer setting
+ * @param {*} value - Configured value
+ * @returns {number|null} The number, or null when unset or invalid
+ */
+function toPositiveInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number <= 0 ? null : number;
+}
+
+/**
+ * First branch rule of a repository whose pattern matches the destination branch.
+ * `branches` is keyed by regex pattern (`{ "^release-": { "model": "opus" } }`); rules are
+ * tried in config order and an invalid pattern is skipped.
+ * @param {Object} [branches] - `branches` of the repository entry
+ * @param {string} [destinationBranch] - PR destination branch
+ * @param {string} repository - Repository name (for logging)
+ * @returns {Object} Matching rule, or an empty object
+ */
+function matchBranchRule(branches, destinationBranch, repository) {
+  if (!branches || !destinationBranch) return {};
+  for (const [pattern, rule] of Object.entries(branches)) {
+    let regex;
+    try {
+      regex = new RegExp(pattern);
+    } catch (err) {
+      logger.warn(
+        `Repository config: invalid regex "${pattern}" in repositories.${repository}.branches: ${err.message}. Rule ignored.`,
+      );
+      continue;
+    }
+    if (regex.test(destinationBranch)) return rule || {};
+  }
+  return {};
+}
+
+/**
+ * Resolve the settings of a repository. An entry of `config.repositories` is either a
+ * template name (`"payment-api": "security-focused"`) or an object with per-repository
+ * overrides (`{ "template": "security-focused", "commentStyle": "inline", "model": "haiku" }`).
+ * Its `branches` rules, keyed by destination branch pattern, override the entry for matching
+ * PRs; anything not set falls back to `defaultTemplate`, `prReview` and `claude`.
+ * @param {string} repository - Repository name
+ * @param {Object} [config] - Full config (defaults to getConfig())
+ * @param {Object} [options]
+ * @param {string} [options.destinationBranch] - PR destination branch (selects the branch rule)
+ * @returns {{ template: string, commentMode: string, commentStyle: string, model: string|null, timeoutMinutes: number|null, maxDiffSizeKb: number }}
+ *   `commentMode`: 'mcp' | 'service'; `commentStyle`: 'summary' | 'inline' (inline needs service mode);
+ *   `model` and `timeoutMinutes` are null without an override (the `claude` settings apply)
+ */
+function getRepositoryConfig(repository, config = getConfig(), { destinationBranch } = {}) {
+  const entry = (config.repositories || {})[repository];
+  const repositoryOverrides = typeof entry === 'string' ? { template: entry } : entry || {};
+  const overrides = {
+    ...repositoryOverrides,
+    ...matchBranchRule(repositoryOverrides.branches, destinationBranch, repository),
+  };
+  const prReview = config.prReview || {};
+  const claude = config.claude || {};
+
+  const commentMode =
+    (overrides.commentMode || prReview.commentMode) === 'service' ? 'service' : 'mcp';
+  const commentStyle = overrides.commentStyle || prReview.commentStyle;
+
+  return {
+    template: overrides.template || config.defaultTemplate,
+    commentMode,
+    commentStyle: commentMode === 'service' && commentStyle === 'inline' ? 'inline' : 'summary',
+    model: overrides.model || null,
+    timeoutMinutes: toPositiveInt(overrides.timeoutMinutes),
+    maxDiffSizeKb:
+      toPositiveInt(overrides.maxDiffSizeKb) || toPositiveInt(claude.maxDiffSizeKb) || 200,
+  };
+}
+
+module.exports = {
+  getRepositoryConfig,
+};
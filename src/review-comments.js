@@ -0,0 +1,186 @@
+const logger = require('./logger').default;
+
+// Identifies the bot's inline comments, so a re-review does not post the same finding twice
+const INLINE_MARKER = '<!-- pr-automation:inline -->';
+
+/**
+ * Normalize a path from a diff header or a finding to a repository-relative path
+ * @param {string} filePath
+ * @returns {string}
+ */
+function normalizePath(filePath) {
+  return String(filePath || '')
+    .trim()
+    .replace(/^(\.\/|[ab]\/)/, '');
+}
+
+/**
+ * Lines of the new version of each file that are part of a unified diff (added and context
+ * lines). Only these lines can carry a Bitbucket inline comment.
+ * @param {string} diff - Unified diff (git diff output)
+ * @returns {Map<string, Set<number>>} File path → line numbers
+ */
+function parseDiffLines(diff) {
+  const files = new Map();
+  let lines = null;
+  let inHeader = false;
+  let newLine = 0;
+
+  for (const line of String(diff || '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      inHeader = true;
+      lines = null;
+      continue;
+    }
+    if (inHeader) {
+      // File header (index, mode, ---/+++ lines) up to the first hunk
+      if (line.startsWith('+++ ')) {
+        const target = line.slice(4).trim();
+        lines = target === '/dev/null' ? null : new Set();
+        if (lines) files.set(normalizePath(target), lines);
+      }
+      if (!line.startsWith('@@')) continue;
+      inHeader = false;
+    }
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (hunk) {
+      newLine = parseInt(hunk[1], 10);
+      continue;
+    }
+    if (lines && (line.startsWith('+') || line.startsWith(' '))) {
+      lines.add(newLine);
+      newLine++;
+    }
+  }
+  return files;
+}
+
+/**
+ * Whether a finding can be anchored to a line of the diff
+ * @param {Object} finding - Review finding ({ path, line, ... })
+ * @param {Map<string, Set<number>>} diffLines - See parseDiffLines()
+ * @returns {boolean}
+ */
+function isInDiff(finding, diffLines) {
+  if (!finding.path || !finding.line) return false;
+  const lines = diffLines.get(normalizePath(finding.path));
+  return Boolean(lines && lines.has(finding.line));
+}
+
+/**
+ * Inline comment body of a finding
+ * @param {Object} finding - Review finding
+ * @returns {string}
+ */
+function formatInlineComment(finding) {
+  const severity = finding.severity ? `[${finding.severity}] ` : '';
+  const description = finding.description ? `\n\n${finding.description}` : '';
+  return `**${severity}${finding.title}**${description}\n\n${INLINE_MARKER}`;
+}
+
+/**
+ * Summary section listing the findings that could not be posted inline
+ * @param {Object[]} findings - Review findings
+ * @returns {string}
+ */
+function formatFindingsSection(findings) {
+  const items = findings.map((finding, index) => {
+    const severity = finding.severity ? ` (${finding.severity})` : '';
+    const location = finding.path
+      ? ` - \`${normalizePath(finding.path)}${finding.line ? `:${finding.line}` : ''}\``
+      : '';
+    const description = finding.description ? `\n\n   ${finding.description}` : '';
+    return `${index + 1}. **${finding.title}**${severity}${location}${description}`;
+  });
+  return `## Other Issues\n\n${items.join('\n\n')}`;
+}
+
+/**
+ * Post a review through the Bitbucket client. In `summary` style the review is the bot's
+ * summary comment. In `inline` style every finding on a diff line becomes an inline comment
+ * and the remaining findings are appended to the summary.
+ * @param {Object} client - BitbucketClient
+ * @param {string} prUrl - Pull request URL
+ * @param {Object} review
+ * @param {string} review.body - Summary comment body
+ * @param {Object[]} [review.findings] - Structured findings ({ title, severity, path, line, description })
+ * @param {string} [review.commentStyle='summary'] - 'summary' | 'inline'
+ * @param {string|null} [review.diff] - PR diff; without it every finding goes to the summary
+ * @param {boolean} [review.incremental=false] - Incremental review: its summary is a new comment
+ *   instead of replacing the summary of the full review
+ * @param {AbortSignal} [review.signal] - Job signal; aborts the Bitbucket calls
+ * @returns {Promise<{ commentId: number, updated: boolean, inlineCount: number, summaryFindingCount: number }>}
+ */
+async function postReview(
+  client,
+  prUrl,
+  { body, findings = [], commentStyle = 'summary', diff, incremental = false, signal },
+) {
+  const postSummary = markdown =>
+    incremental
+      ? client.postIncrementalSummaryComment(prUrl, markdown, { signal })
+      : client.upsertSummaryComment(prUrl, markdown, { signal });
+
+  if (commentStyle !== 'inline') {
+    const summary = await postSummary(body);
+    return { ...summary, inlineCount: 0, summaryFindingCount: 0 };
+  }
+
+  const diffLines = parseDiffLines(diff);
+  const previousInline = (await client.listComments(prUrl, { signal })).filter(
+    comment =>
+      comment.inline &&
+      !comment.deleted &&
+      String((comment.content && comment.content.raw) || '').includes(INLINE_MARKER),
+  );
+  const summaryFindings = [];
+  let inlineCount = 0;
+
+  for (const finding of findings) {
+    if (!isInDiff(finding, diffLines)) {
+      summaryFindings.push(finding);
+      continue;
+    }
+
+    const path = normalizePath(finding.path);
+    const markdown = formatInlineComment(finding);
+    const alreadyPosted = previousInline.some(
+      comment =>
+        comment.inline.path === path &&
+        comment.inline.to === finding.line &&
+        comment.content.raw === markdown,
+    );
+    if (alreadyPosted) {
+      logger.debug(`Inline comment on ${path}:${finding.line} already posted, skipping`);
+      continue;
+    }
+
+    try {
+      await client.createComment(prUrl, markdown, {
+        inline: { path, to: finding.line },
+        signal,
+      });
+      inlineCount++;
+    } catch (error) {
+      // Bitbucket rejects anchors it cannot place; keep the finding in the summary
+      if (error.status !== 400) throw error;
+      logger.warn(`⚠️ Could not anchor finding to ${path}:${finding.line}: ${error.message}`);
+      summaryFindings.push(finding);
+    }
+  }
+
+  const summaryBody =
+    summaryFindings.length > 0 ? `${body}\n\n${formatFindingsSection(summaryFindings)}` : body;
+  const summary = await postSummary(summaryBody);
+  logger.info(
+    `💬 Posted ${inlineCount} inline comment(s), ${summaryFindings.length} finding(s) in the summary`,
+  );
+  return { ...summary, inlineCount, summaryFindingCount: summaryFindings.length };
+}
+
+module.exports = {
+  INLINE_MARKER,
+  parseDiffLines,
+  formatInlineComment,
+  postReview,
+};
@@ -4,6 +4,9 @@ const { z } = require('zod');
 // Regex to validate branch names are "safe"
 const safeBranchString = z.string().regex(/^[a-zA-Z0-9_./-]+$/);
 
+// Commit hashes are passed to git, so only accept (abbreviated) hex SHAs
+const commitHashString = z.string().regex(/^[0-9a-fA-F]{7,40}$/);
+
 const pullRequestSchema = z.object({
   title: z.string().min(1),
   description: z.string().optional().nullable(),
@@ -14,6 +17,12 @@ const pullRequestSchema = z.object({
     branch: z.object({
       name: safeBranchString,
     }),
+    commit: z
+      .object({
+        hash: commitHashString,
+      })
+      .optional()
+      .nullable(),
   }),
   destination: z.object({
     branch: z.object({
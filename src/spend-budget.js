@@ -0,0 +1,201 @@
+const logger = require('./logger').default;
+
+// Marks the bot's budget comment so a PR keeps a single one
+const BUDGET_MARKER = '<!-- pr-automation:budget -->';
+
+// Who may run a manual /review once a hard budget is exhausted (`budgets.overrideRole`)
+const OVERRIDE_ROLES = ['anyone', 'override-users', 'none'];
+
+/**
+ * Start of the current calendar month (UTC)
+ * @param {number} [now] - Epoch ms
+ * @returns {number} Epoch ms
+ */
+function startOfMonth(now = Date.now()) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+/**
+ * @param {*} value - Configured threshold
+ * @returns {number|null} Threshold in USD, or null when unset
+ */
+function toThreshold(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Human readable description of a budget ("repository payment-api")
+ * @param {{ scope: string, name: string|null }} budget
+ * @returns {string}
+ */
+function describeBudget({ scope, name }) {
+  return scope === 'global' ? 'global budget' : `budget of ${scope} ${name}`;
+}
+
+/**
+ * Monthly spend budgets (`config.budgets`): a global budget and budgets per repository and
+ * per PR author, each with a soft threshold (warning) and a hard threshold (automatic jobs
+ * are skipped). Spend is the cost of Claude runs recorded in the job store this month (UTC).
+ */
+class SpendBudget {
+  /**
+   * @param {Object} [options]
+   * @param {import('./job-store')} options.store - Job store holding the spend records
+   * @param {Object} [options.config] - `budgets` section of the config
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.config = options.config || {};
+    this.enabled = this.config.enabled === true;
+    this.overrideRole = OVERRIDE_ROLES.includes(this.config.overrideRole)
+      ? this.config.overrideRole
+      : 'anyone';
+    this.overrideUsers = this.config.overrideUsers || [];
+  }
+
+  /**
+   * Record the cost of a Claude run
+   * @param {Object} job - Queue job ({ id, type, prData })
+   * @param {{ model: string, costUsd: number|null }} run - Usage of the run
+   */
+  record(job, { model, costUsd }) {
+    if (typeof costUsd !== 'number') return;
+    this.store.recordSpend({
+      jobId: job.id,
+      type: job.type,
+      repository: job.prData.repository,
+      author: job.prData.author,
+      model,
+      costUsd,
+    });
+  }
+
+  /**
+   * Budgets that apply to a PR with this month's spend
+   * @param {Object} prData - Pull request data ({ repository, author })
+   * @returns {{ scope: string, name: string|null, spentUsd: number, softUsd: number|null, hardUsd: number|null, state: string }[]}
+   */
+  getBudgets({ repository, author }) {
+    const repositories = this.config.repositories || {};
+    const authors = this.config.authors || {};
+    const since = startOfMonth();
+
+    return [
+      { scope: 'global', name: null, limits: this.config.global, filter: {} },
+      {
+        scope: 'repository',
+        name: repository,
+        limits: repositories[repository],
+        filter: { repository },
+      },
+      { scope: 'author', name: author, limits: authors[author], filter: { author } },
+    ]
+      .filter(({ limits }) => limits)
+      .map(({ scope, name, limits, filter }) => {
+        const softUsd = toThreshold(limits.softUsd);
+        const hardUsd = toThreshold(limits.hardUsd);
+        const spentUsd = this.store.getSpend({ since, ...filter });
+        let state = 'ok';
+        if (hardUsd !== null && spentUsd >= hardUsd) {
+          state = 'hard';
+        } else if (softUsd !== null && spentUsd >= softUsd) {
+          state = 'soft';
+        }
+        return { scope, name, spentUsd, softUsd, hardUsd, state };
+      })
+      .filter(budget => budget.softUsd !== null || budget.hardUsd !== null);
+  }
+
+  /**
+   * Check the budgets before enqueueing jobs for a PR. Logs a warning for every budget past
+   * its soft threshold.
+   * @param {Object} prData - Pull request data
+   * @returns {{ exhausted: Object|null, warnings: Object[] }} The first budget past its hard
+   *   threshold (null if none) and the budgets past their soft threshold
+   */
+  check(prData) {
+    if (!this.enabled) return { exhausted: null, warnings: [] };
+
+    const budgets = this.getBudgets(prData);
+    const warnings = budgets.filter(budget => budget.state === 'soft');
+    warnings.forEach(budget => {
+      logger.warn(
+        `💸 Monthly ${describeBudget(budget)} is at $${budget.spentUsd.toFixed(2)} (soft limit $${budget.softUsd})`,
+      );
+    });
+    const exhausted = budgets.find(budget => budget.state === 'hard') || null;
+    if (exhausted) {
+      logger.warn(
+        `🛑 Monthly ${describeBudget(exhausted)} is exhausted: $${exhausted.spentUsd.toFixed(2)} of $${exhausted.hardUsd}`,
+      );
+    }
+    return { exhausted, warnings };
+  }
+
+  /**
+   * Whether the PR has not yet got the budget comment in this budget period
+   * @param {string} prUrl - Pull request URL
+   * @returns {boolean}
+   */
+  needsNotice(prUrl) {
+    return this.store.getBudgetNoticePeriod(prUrl) !== startOfMonth();
+  }
+
+  /**
+   * Remember that the PR got the budget comment in this budget period
+   * @param {string} prUrl - Pull request URL
+   */
+  recordNotice(prUrl) {
+    this.store.recordBudgetNotice(prUrl, startOfMonth());
+  }
+
+  /**
+   * Whether a manual /review by this user may run although a hard budget is exhausted
+   * @param {string|null} user - Display name of the comment author
+   * @returns {boolean}
+   */
+  canOverride(user) {
+    if (this.overrideRole === 'anyone') return true;
+    if (this.overrideRole === 'override-users') {
+      return Boolean(user) && this.overrideUsers.includes(user);
+    }
+    return false;
+  }
+
+  /**
+   * Message for a webhook response and log lines about an exhausted budget
+   * @param {Object} budget - Exhausted budget (see getBudgets)
+   * @returns {string}
+   */
+  describeExhausted(budget) {
+    return `Monthly ${describeBudget(budget)} is exhausted ($${budget.spentUsd.toFixed(2)} of $${budget.hardUsd})`;
+  }
+
+  /**
+   * PR comment explaining that a review was skipped
+   * @param {Object} budget - Exhausted budget (see getBudgets)
+   * @param {Object} [options]
+   * @param {boolean} [options.manual=false] - A manual /review was refused (no override role)
+   * @returns {string} Markdown
+   */
+  formatComment(budget, { manual = false } = {}) {
+    const override = {
+      anyone: 'comment `/review` to run a review anyway',
+      'override-users': `${this.overrideUsers.join(', ') || 'the configured override users'} can comment \`/review\` to run a review anyway`,
+      none: 'manual reviews are paused as well',
+    }[this.overrideRole];
+    return [
+      manual ? '## Review Skipped' : '## Automatic Review Skipped',
+      '',
+      `The ${describeBudget(budget)} for this month is exhausted ($${budget.spentUsd.toFixed(2)} of $${budget.hardUsd}), so this pull request was not reviewed${manual ? '' : ' automatically'}.`,
+      '',
+      `Reviews resume next month or when the budget is raised; ${override}.`,
+    ].join('\n');
+  }
+}
+
+module.exports = SpendBudget;
+module.exports.BUDGET_MARKER = BUDGET_MARKER;
+module.exports.startOfMonth = startOfMonth;
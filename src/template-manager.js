@@ -2,6 +2,27 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('./logger').default;
 const { getConfig } = require('./config/loader');
+const { getRepositoryConfig } = require('./repository-config');
+
+// Appended to custom templates in `service` comment mode, which were written for MCP posting
+const SERVICE_POSTING_INSTRUCTIONS = `
+
+---
+
+## Comment Posting (overrides the instructions above)
+
+Do **not** post comments to the PR yourself: the review service posts your response as the PR summary comment. Start your response with the summary and end it with the metrics JSON block. Add a \`findings\` array to that block with one entry per issue: \`{ "title", "severity" ("critical", "major" or "minor"), "path" (relative to the repository root), "line" (line in the new version of the file), "description" }\`; omit \`path\` and \`line\` when an issue is not tied to a line.
+`;
+
+// Appended in `inline` comment style, where findings on diff lines are posted as inline comments
+const INLINE_COMMENT_INSTRUCTIONS = `
+
+---
+
+## Inline Comments
+
+Every finding whose \`path\` and \`line\` point at a line of the PR diff is posted as an inline comment on that line, so keep the summary short: the status and 1–2 sentences about the PR, without the list of issues. Give each finding a \`path\`, a \`line\` in the new version of the file, a \`severity\` and a \`description\` that can be read on its own. Findings that are not tied to a diff line are listed in the summary by the service.
+`;
 
 /**
  * Template Manager - Handles loading and processing PR review templates
@@ -16,28 +37,36 @@ class TemplateManager {
   /**
    * Get template for a specific repository
    * @param {string} repository - Repository name
+   * @param {string} [destinationBranch] - PR destination branch (branch rules of the repository)
    * @return {string} Template name to use
    */
-  getTemplateForRepository(repository) {
-    return this.config.repositories[repository] || this.config.defaultTemplate;
+  getTemplateForRepository(repository, destinationBranch) {
+    return getRepositoryConfig(repository, this.config, { destinationBranch }).template;
   }
 
   /**
    * Load template file
    * @param {string} templateName - Name of the template (e.g., 'default', 'custom')
+   * @param {Object} [options]
+   * @param {string} [options.commentMode='mcp'] - Comment mode; `service` uses the default template without MCP posting
    * @return {string} Template content
    */
-  loadTemplate(templateName) {
+  loadTemplate(templateName, { commentMode = 'mcp' } = {}) {
     // Try custom template first
     const customPath = path.join(this.templatesDir, 'custom', `${templateName}.md`);
 
     if (fs.existsSync(customPath)) {
       logger.info(`Loading custom template: ${templateName}`);
-      return fs.readFileSync(customPath, 'utf-8');
+      const template = fs.readFileSync(customPath, 'utf-8');
+      return commentMode === 'service' ? template + SERVICE_POSTING_INSTRUCTIONS : template;
     }
 
     // Fall back to default template
-    const defaultPath = path.join(this.templatesDir, 'default', 'prompt.md');
+    const defaultPath = path.join(
+      this.templatesDir,
+      'default',
+      commentMode === 'service' ? 'prompt-service.md' : 'prompt.md',
+    );
     if (fs.existsSync(defaultPath)) {
       logger.info(`Loading default template for: ${templateName}`);
       return fs.readFileSync(defaultPath, 'utf-8');
@@ -131,11 +160,18 @@ class TemplateManager {
    * @param {boolean} options.diffTooLarge - Whether diff is too large to include
    * @param {string} options.sourceBranch - Source branch name
    * @param {string} options.destinationBranch - Destination branch name
+   * @param {Object|null} options.previousReview - Last review of this PR; when set, `diff` only holds the commits pushed since
+   * @param {string} options.previousReview.commitHash - Commit the previous review covered
+   * @param {number} options.previousReview.reviewedAt - When the previous review ran (epoch ms)
+   * @param {boolean|null} options.previousReview.isLgtm - Whether the previous review approved the PR
+   * @param {number|null} options.previousReview.issueCount - Issues reported by the previous review
+   * @param {string} [options.commentMode='mcp'] - 'mcp' | 'service' (see getRepositoryConfig())
+   * @param {string} [options.commentStyle='summary'] - 'summary' | 'inline'
    * @return {string} Processed prompt ready for Claude
    */
   getPromptForPR(prData, options = {}) {
-    const templateName = this.getTemplateForRepository(prData.repository);
-    const template = this.loadTemplate(templateName);
+    const templateName = this.getTemplateForRepository(prData.repository, prData.destinationBranch);
+    const template = this.loadTemplate(templateName, { commentMode: options.commentMode });
 
     // Validate template before processing
     const validation = this.validateTemplate(template);
@@ -165,9 +201,30 @@ class TemplateManager {
     };
 
     let prompt = this.substituteVariables(template, variables);
+    if (options.commentStyle === 'inline') {
+      prompt += INLINE_COMMENT_INSTRUCTIONS;
+    }
 
     // Add diff or instructions based on size
-    if (options.diff && !options.diffTooLarge) {
+    if (options.diff && !options.diffTooLarge && options.previousReview) {
+      // Incremental review: only the commits pushed since the previous review
+      const previous = options.previousReview;
+      const outcome =
+        previous.isLgtm === true
+          ? 'it approved the PR (LGTM)'
+          : typeof previous.issueCount === 'number'
+            ? `it reported ${previous.issueCount} issue(s)`
+            : 'its outcome was not recorded';
+
+      prompt += '\n\n---\n\n## Incremental Review (new commits since the last review)\n\n';
+      prompt += `This PR was already reviewed at commit \`${previous.commitHash}\` on ${new Date(previous.reviewedAt).toISOString()}; ${outcome}. `;
+      prompt +=
+        'The previous review comment is on the PR. Focus on the changes below (the follow-up commits): check whether they address the earlier feedback and review any new code. Do not repeat issues that were already reported and are unchanged.\n\n';
+      prompt += '```diff\n';
+      prompt += options.diff;
+      prompt += '\n```\n';
+      logger.info(`Included incremental diff since ${previous.commitHash} in prompt`);
+    } else if (options.diff && !options.diffTooLarge) {
       // Include diff directly in prompt
       prompt += '\n\n---\n\n## PR Changes (from merge-base)\n\n';
       prompt +=
@@ -0,0 +1,188 @@
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const BitbucketClient = require('../src/bitbucket-client');
+const { SUMMARY_MARKER, INCREMENTAL_MARKER, parsePrUrl } = require('../src/bitbucket-client');
+
+const PR_URL = 'https://bitbucket.org/team/repo/pull-requests/42';
+const COMMENTS_URL =
+  'https://api.bitbucket.org/2.0/repositories/team/repo/pullrequests/42/comments';
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name.toLowerCase()] || null },
+  text: async () => (body === undefined ? '' : JSON.stringify(body)),
+});
+
+describe('BitbucketClient', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should parse pull request URLs', () => {
+    expect(parsePrUrl(PR_URL)).toEqual({ workspace: 'team', repoSlug: 'repo', prId: 42 });
+    expect(() => parsePrUrl('https://example.com/pr/1')).toThrow(
+      'Not a Bitbucket pull request URL',
+    );
+  });
+
+  test('should use Basic auth with a user and Bearer auth without one', () => {
+    expect(new BitbucketClient({ user: 'bot', token: 'secret' }).getAuthorization()).toBe(
+      `Basic ${Buffer.from('bot:secret').toString('base64')}`,
+    );
+    expect(new BitbucketClient({ token: 'secret' }).getAuthorization()).toBe('Bearer secret');
+  });
+
+  test('should fail with config_error without calling the API when no token is set', async () => {
+    global.fetch = jest.fn();
+    const client = new BitbucketClient({ backoffMs: 0 });
+
+    await expect(client.createComment(PR_URL, 'Hello')).rejects.toEqual(
+      expect.objectContaining({ errorType: 'config_error' }),
+    );
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should retry rate limits and server errors', async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(429, { error: 'slow down' }, { 'retry-after': '0' }))
+      .mockResolvedValueOnce(jsonResponse(503, { error: 'unavailable' }))
+      .mockResolvedValueOnce(jsonResponse(200, { id: 5 }));
+    const client = new BitbucketClient({ token: 'secret', backoffMs: 0 });
+
+    await expect(client.updateComment(PR_URL, 5, 'Hello')).resolves.toEqual({ id: 5 });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('should only retry new comments on rate limits', async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(429, { error: 'slow down' }, { 'retry-after': '0' }))
+      .mockResolvedValueOnce(jsonResponse(502, { error: 'bad gateway' }));
+    const client = new BitbucketClient({ token: 'secret', backoffMs: 0 });
+
+    await expect(client.createComment(PR_URL, 'Hello')).rejects.toEqual(
+      expect.objectContaining({ errorType: 'bitbucket_error', status: 502 }),
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    global.fetch = jest.fn().mockRejectedValue(new Error('socket hang up'));
+    await expect(client.createComment(PR_URL, 'Hello')).rejects.toThrow('socket hang up');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  describe('aborting requests', () => {
+    // A request that never answers until its signal aborts
+    const hangingFetch = () =>
+      jest.fn(
+        (url, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+          }),
+      );
+
+    test('should time out and retry requests that hang', async () => {
+      global.fetch = hangingFetch();
+      const client = new BitbucketClient({ token: 'secret', backoffMs: 0, timeoutMs: 10 });
+
+      await expect(client.listComments(PR_URL)).rejects.toEqual(
+        expect.objectContaining({ errorType: 'bitbucket_error' }),
+      );
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('should stop at once when the job is cancelled', async () => {
+      global.fetch = hangingFetch();
+      const client = new BitbucketClient({ token: 'secret', backoffMs: 0 });
+      const controller = new AbortController();
+
+      const upsert = client.upsertSummaryComment(PR_URL, 'Summary', {
+        signal: controller.signal,
+      });
+      controller.abort('superseded');
+
+      await expect(upsert).rejects.toThrow('aborted: superseded');
+      await expect(upsert).rejects.toEqual(expect.objectContaining({ name: 'AbortError' }));
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test('should fail with bitbucket_error without retrying client errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(403, { error: 'forbidden' }));
+    const client = new BitbucketClient({ token: 'secret', backoffMs: 0 });
+
+    await expect(client.createComment(PR_URL, 'Hello')).rejects.toEqual(
+      expect.objectContaining({ errorType: 'bitbucket_error', status: 403 }),
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  describe('upsertSummaryComment', () => {
+    test('should post a new summary comment with the marker', async () => {
+      global.fetch = jest
+        .fn()
+        .mockResolvedValueOnce(jsonResponse(200, { values: [{ id: 1, content: { raw: 'Nice' } }] }))
+        .mockResolvedValueOnce(jsonResponse(201, { id: 2 }));
+      const client = new BitbucketClient({ token: 'secret' });
+
+      const result = await client.upsertSummaryComment(PR_URL, '# PR Review Summary\n');
+
+      expect(result).toEqual({ commentId: 2, updated: false });
+      const [url, request] = global.fetch.mock.calls[1];
+      expect(url).toBe(COMMENTS_URL);
+      expect(request.method).toBe('POST');
+      expect(JSON.parse(request.body)).toEqual({
+        content: { raw: `# PR Review Summary\n\n${SUMMARY_MARKER}` },
+      });
+    });
+
+    test('should update the previous summary comment, following pagination', async () => {
+      global.fetch = jest
+        .fn()
+        .mockResolvedValueOnce(
+          jsonResponse(200, {
+            values: [{ id: 1, content: { raw: 'Nice' } }],
+            next: `${COMMENTS_URL}?page=2`,
+          }),
+        )
+        .mockResolvedValueOnce(
+          jsonResponse(200, { values: [{ id: 9, content: { raw: `Old\n\n${SUMMARY_MARKER}` } }] }),
+        )
+        .mockResolvedValueOnce(jsonResponse(200, { id: 9 }));
+      const client = new BitbucketClient({ token: 'secret' });
+
+      const result = await client.upsertSummaryComment(PR_URL, 'New');
+
+      expect(result).toEqual({ commentId: 9, updated: true });
+      expect(global.fetch.mock.calls[1][0]).toBe(`${COMMENTS_URL}?page=2`);
+      const [url, request] = global.fetch.mock.calls[2];
+      expect(url).toBe(`${COMMENTS_URL}/9`);
+      expect(request.method).toBe('PUT');
+    });
+  });
+
+  test('should post incremental review summaries as new comments', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(201, { id: 4 }));
+    const client = new BitbucketClient({ token: 'secret' });
+
+    const result = await client.postIncrementalSummaryComment(PR_URL, '# Incremental Review\n');
+
+    expect(result).toEqual({ commentId: 4, updated: false });
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe(COMMENTS_URL);
+    expect(request.method).toBe('POST');
+    expect(JSON.parse(request.body)).toEqual({
+      content: { raw: `# Incremental Review\n\n${INCREMENTAL_MARKER}` },
+    });
+  });
+});
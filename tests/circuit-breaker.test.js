@@ -0,0 +1,79 @@
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const CircuitBreaker = require('../src/circuit-breaker');
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let transitions;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    breaker = new CircuitBreaker('claude', {
+      failureThreshold: 2,
+      resetTimeout: 1000,
+      halfOpenMaxProbes: 1,
+    });
+    transitions = [];
+    breaker.on('stateChange', change => transitions.push(change));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should open after the failure threshold and report when it retries', () => {
+    breaker.recordFailure();
+    expect(breaker.state).toBe('CLOSED');
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('OPEN');
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.getRetryAt()).toBe(Date.now() + 1000);
+    expect(transitions).toEqual([{ name: 'claude', from: 'CLOSED', to: 'OPEN' }]);
+  });
+
+  test('should let a limited number of probes through while half-open', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe('HALF_OPEN');
+    expect(breaker.tryAcquire()).toBe(false);
+
+    breaker.release();
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  test('should close on a successful probe and reopen on a failed one', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+    breaker.tryAcquire();
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('OPEN');
+
+    jest.advanceTimersByTime(1000);
+    breaker.tryAcquire();
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('CLOSED');
+    expect(breaker.failureCount).toBe(0);
+    expect(transitions.map(({ to }) => to)).toEqual([
+      'OPEN',
+      'HALF_OPEN',
+      'OPEN',
+      'HALF_OPEN',
+      'CLOSED',
+    ]);
+  });
+});
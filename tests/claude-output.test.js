@@ -0,0 +1,118 @@
+const {
+  parseCliJsonOutput,
+  parseReviewMetrics,
+  parseReviewMetricsLenient,
+  extractReviewBody,
+} = require('../src/claude-output');
+
+describe('claude-output', () => {
+  describe('parseCliJsonOutput', () => {
+    const cliResult = overrides =>
+      JSON.stringify({
+        type: 'result',
+        subtype: 'success',
+        is_error: false,
+        result: 'The review',
+        session_id: 'abc',
+        total_cost_usd: 0.12,
+        ...overrides,
+      });
+
+    test('should return the validated result message', () => {
+      expect(parseCliJsonOutput(cliResult())).toEqual(
+        expect.objectContaining({ result: 'The review', total_cost_usd: 0.12 }),
+      );
+    });
+
+    test.each([
+      ['not json', 'invalid_json'],
+      [JSON.stringify({ type: 'assistant' }), 'invalid_result'],
+      [cliResult({ is_error: true, subtype: 'error_max_turns' }), 'error_result'],
+    ])('should classify %s as %s', (stdout, parseFailure) => {
+      expect(() => parseCliJsonOutput(stdout)).toThrow(
+        expect.objectContaining({ errorType: 'output_parse_error', parseFailure }),
+      );
+    });
+  });
+
+  describe('parseReviewMetricsLenient', () => {
+    test('should keep valid fields and default the rest like text mode always did', () => {
+      const finding = { title: 'Bug', path: 'src/a.js', line: 3 };
+      const text = [
+        '```json',
+        JSON.stringify({
+          isLgtm: true,
+          issueCount: '3',
+          isReviewFailed: 'no',
+          findings: [finding, { path: 'missing title' }],
+        }),
+        '```',
+      ].join('\n');
+
+      expect(parseReviewMetricsLenient(text)).toEqual({
+        isLgtm: true,
+        issueCount: 0,
+        isReviewFailed: false,
+        failedReviewReason: null,
+        findings: [finding],
+      });
+      expect(parseReviewMetricsLenient('```json\n{ broken\n```').isLgtm).toBe(false);
+    });
+  });
+
+  describe('parseReviewMetrics', () => {
+    test('should use the last metrics block and fill in optional fields', () => {
+      const text = [
+        'Example:',
+        '```json',
+        '{ "isLgtm": false, "issueCount": 9 }',
+        '```',
+        'Result:',
+        '```json',
+        '{ "isLgtm": true, "issueCount": 0 }',
+        '```',
+      ].join('\n');
+
+      expect(parseReviewMetrics(text)).toEqual({
+        isLgtm: true,
+        issueCount: 0,
+        isReviewFailed: false,
+        failedReviewReason: null,
+        findings: [],
+      });
+    });
+
+    test('should validate structured findings', () => {
+      const finding = { title: 'Unchecked null', severity: 'major', path: 'src/a.js', line: 12 };
+      const text = `\`\`\`json\n${JSON.stringify({ isLgtm: false, issueCount: 1, findings: [finding] })}\n\`\`\``;
+
+      expect(parseReviewMetrics(text).findings).toEqual([finding]);
+      expect(() => parseReviewMetrics(text.replace('"line":12', '"line":0'))).toThrow(
+        expect.objectContaining({ parseFailure: 'invalid_metrics' }),
+      );
+    });
+
+    test.each([
+      ['No metrics here', 'missing_metrics'],
+      ['```json\n{ isLgtm: true }\n```', 'invalid_metrics_json'],
+      ['```json\n{ "isLgtm": true, "issueCount": -1 }\n```', 'invalid_metrics'],
+    ])('should classify %j as %s', (text, parseFailure) => {
+      expect(() => parseReviewMetrics(text)).toThrow(expect.objectContaining({ parseFailure }));
+    });
+  });
+
+  describe('extractReviewBody', () => {
+    test('should return the text before the metrics block', () => {
+      const text =
+        '# PR Review Summary\n\nLGTM\n\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n';
+
+      expect(extractReviewBody(text)).toBe('# PR Review Summary\n\nLGTM');
+    });
+
+    test('should reject a response with only the metrics block', () => {
+      expect(() => extractReviewBody('```json\n{ "isLgtm": true, "issueCount": 0 }\n```')).toThrow(
+        expect.objectContaining({ parseFailure: 'missing_review' }),
+      );
+    });
+  });
+});
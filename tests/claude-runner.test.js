@@ -0,0 +1,262 @@
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const ClaudeRunner = require('../src/claude-runner');
+const { CliBackend, HttpBackend, getFallbackReason } = require('../src/claude-runner');
+
+describe('ClaudeRunner', () => {
+  let stdoutWrite;
+  let stderrWrite;
+
+  beforeEach(() => {
+    // The CLI backend echoes the process output
+    stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    stderrWrite = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    stdoutWrite.mockRestore();
+    stderrWrite.mockRestore();
+  });
+
+  describe('resolveOptions', () => {
+    const runner = new ClaudeRunner(
+      {
+        model: 'sonnet',
+        timeoutMinutes: 10,
+        env: { MAX_MCP_OUTPUT_TOKENS: '50000' },
+        jobs: { 'create-release-note': { model: 'haiku', timeoutMinutes: 5 } },
+      },
+      { backend: { name: 'fake', run: jest.fn() } },
+    );
+
+    test('should use the claude defaults for jobs without overrides', () => {
+      const options = runner.resolveOptions({ type: 'review' });
+
+      expect(options).toEqual(expect.objectContaining({ model: 'sonnet', timeoutMinutes: 10 }));
+      expect(options.env).toEqual(
+        expect.objectContaining({ HOME: '/home/node', MAX_MCP_OUTPUT_TOKENS: '50000' }),
+      );
+    });
+
+    test('should prefer job type config and explicit overrides', () => {
+      expect(runner.resolveOptions({ type: 'create-release-note' })).toEqual(
+        expect.objectContaining({ model: 'haiku', timeoutMinutes: 5 }),
+      );
+      expect(
+        runner.resolveOptions({ type: 'create-release-note', model: 'opus', env: { A: '1' } }),
+      ).toEqual(
+        expect.objectContaining({ model: 'opus', env: expect.objectContaining({ A: '1' }) }),
+      );
+    });
+  });
+
+  describe('stub backend', () => {
+    const stubRunner = () => new ClaudeRunner({ backend: 'stub', model: 'sonnet' });
+
+    test('should return the canned review', async () => {
+      const result = await stubRunner().run({ prompt: 'Review this', type: 'review' });
+
+      expect(result.model).toBe('sonnet');
+      expect(result.stdout).toContain('"isLgtm": true');
+      expect(result.duration).toEqual(expect.any(String));
+    });
+
+    test('should parse JSON output', async () => {
+      const runner = new ClaudeRunner({ backend: 'stub', outputFormat: 'json' });
+
+      const result = await runner.run({ prompt: 'Review this', type: 'review' });
+
+      expect(result.text).toContain('"isLgtm": true');
+      expect(result.result).toEqual(expect.objectContaining({ type: 'result', is_error: false }));
+    });
+
+    test('should report token usage and estimate the cost from the price table', async () => {
+      const prices = { sonnet: { inputPerMTok: 3, outputPerMTok: 15 } };
+      const runner = new ClaudeRunner({ backend: 'stub', outputFormat: 'json', prices });
+
+      const result = await runner.run({ prompt: 'Review this', type: 'review' });
+
+      expect(result.usage).toEqual({
+        inputTokens: 1200,
+        outputTokens: 80,
+        cacheReadTokens: 0,
+        cacheCreationTokens: 0,
+      });
+      expect(result.costUsd).toBeCloseTo(0.0048);
+    });
+
+    test('should report the usage of a failed run that printed a result', async () => {
+      const prices = { sonnet: { inputPerMTok: 3, outputPerMTok: 15 } };
+      const failure = Object.assign(new Error('Claude CLI exited with code 1'), {
+        cliResult: { type: 'result', is_error: true, usage: { input_tokens: 1000 } },
+      });
+      const runner = new ClaudeRunner(
+        { model: 'sonnet', prices },
+        { backend: { name: 'fake', run: jest.fn().mockRejectedValue(failure) } },
+      );
+
+      const error = await runner.run({ prompt: 'Review this', type: 'review' }).catch(err => err);
+
+      expect(error.model).toBe('sonnet');
+      expect(error.usage).toEqual(expect.objectContaining({ inputTokens: 1000 }));
+      expect(error.costUsd).toBeCloseTo(0.003);
+    });
+
+    test('should report progress events with stream-json output', async () => {
+      const onProgress = jest.fn();
+      const runner = new ClaudeRunner({ backend: 'stub', outputFormat: 'stream-json' });
+
+      const result = await runner.run({ prompt: 'Review this', type: 'review', onProgress });
+
+      expect(result.text).toContain('"isLgtm": true');
+      expect(onProgress).toHaveBeenCalledWith({ type: 'file_read', path: 'README.md' });
+      expect(onProgress).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: 'result', inputTokens: 1200 }),
+      );
+    });
+
+    test('should reject with the process output when the executable fails', async () => {
+      const run = stubRunner().run({
+        prompt: 'Review this',
+        type: 'review',
+        env: { CLAUDE_STUB_EXIT_CODE: '2' },
+      });
+
+      await expect(run).rejects.toThrow('Claude CLI exited with code 2');
+      await expect(run).rejects.toEqual(
+        expect.objectContaining({ stderr: expect.stringContaining('claude-stub') }),
+      );
+    });
+
+    test('should reject with AbortError when the job is cancelled', async () => {
+      const controller = new AbortController();
+      const run = stubRunner().run({
+        prompt: 'Review this',
+        type: 'review',
+        signal: controller.signal,
+        env: { CLAUDE_STUB_DELAY_MS: '5000' },
+      });
+      controller.abort('superseded');
+
+      await expect(run).rejects.toEqual(expect.objectContaining({ name: 'AbortError' }));
+    });
+  });
+
+  describe('http backend', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('should post the prompt to the Messages API and return the text', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        text: async () => JSON.stringify({ content: [{ type: 'text', text: 'LGTM' }] }),
+      });
+      const runner = new ClaudeRunner(
+        { backend: 'http', model: 'claude-sonnet-4-5', http: { baseUrl: 'https://llm.test/' } },
+        { secrets: { anthropicApiKey: 'key' } },
+      );
+
+      const result = await runner.run({ prompt: 'Review this', type: 'review' });
+
+      expect(result.stdout).toBe('LGTM');
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://llm.test/v1/messages');
+      expect(request.headers['x-api-key']).toBe('key');
+      expect(JSON.parse(request.body)).toEqual(
+        expect.objectContaining({
+          model: 'claude-sonnet-4-5',
+          messages: [{ role: 'user', content: 'Review this' }],
+        }),
+      );
+    });
+
+    test('should reject with the response body on API errors', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 529,
+        text: async () => 'overloaded',
+      });
+      const backend = new HttpBackend({ apiKey: 'key' });
+
+      await expect(backend.run({ prompt: 'x', model: 'm' })).rejects.toThrow(
+        'Claude API responded with 529: overloaded',
+      );
+    });
+
+    test('should attach the status and error type of http backend errors', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 429,
+        text: async () =>
+          '{"type":"error","error":{"type":"rate_limit_error","message":"slow down"}}',
+      });
+
+      const error = await new HttpBackend({ apiKey: 'key' })
+        .run({ prompt: 'x', model: 'm' })
+        .catch(err => err);
+
+      expect(error).toEqual(
+        expect.objectContaining({ apiErrorStatus: 429, apiErrorType: 'rate_limit_error' }),
+      );
+      expect(getFallbackReason(error)).toBe('rate_limit');
+    });
+  });
+
+  test('should only fall back to another model on timeouts, rate limits and overload', () => {
+    const cliError = (fields = {}) =>
+      Object.assign(new Error('Claude CLI exited with code 1'), fields);
+    const aborted = Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+    expect(getFallbackReason(cliError({ errorType: 'timeout' }))).toBe('timeout');
+    expect(getFallbackReason(cliError({ apiErrorStatus: 429 }))).toBe('rate_limit');
+    expect(getFallbackReason(cliError({ apiErrorType: 'overloaded_error' }))).toBe('overloaded');
+    expect(getFallbackReason(cliError({ stderr: '{"type":"rate_limit_error"}' }))).toBe(
+      'rate_limit',
+    );
+    expect(getFallbackReason(cliError({ stderr: 'Invalid API key' }))).toBeNull();
+    expect(getFallbackReason(aborted)).toBeNull();
+  });
+
+  test('should not classify the review text of a failed run as an API error', () => {
+    const error = Object.assign(
+      new Error(
+        'Claude CLI exited with code 1: line 429 - add rate limiting; HTTP 529 as overloaded',
+      ),
+      { stdout: 'line 429 - add rate limiting; HTTP 529 as overloaded', stderr: '' },
+    );
+
+    expect(getFallbackReason(error)).toBeNull();
+    expect(getFallbackReason(new Error('Claude review timed out after 10 minutes'))).toBeNull();
+  });
+
+  test('should read the API error of a failed CLI run from its JSON result', async () => {
+    const backend = new CliBackend();
+    const failure = Object.assign(new Error('Claude CLI exited with code 1'), {
+      stdout: JSON.stringify({
+        type: 'result',
+        subtype: 'success',
+        is_error: true,
+        result: 'API Error',
+        api_error_status: 529,
+      }),
+      stderr: '',
+    });
+    jest.spyOn(backend, 'spawn').mockRejectedValue(failure);
+
+    const error = await backend.run({ prompt: 'x', outputFormat: 'json' }).catch(err => err);
+
+    expect(error.apiErrorStatus).toBe(529);
+    expect(getFallbackReason(error)).toBe('overloaded');
+  });
+});
@@ -0,0 +1,49 @@
+const { StreamJsonParser } = require('../src/claude-stream');
+
+const line = message => `${JSON.stringify(message)}\n`;
+
+describe('StreamJsonParser', () => {
+  test('should turn stream messages into progress events across chunk boundaries', () => {
+    const events = [];
+    const parser = new StreamJsonParser(event => events.push(event));
+    const usage = { input_tokens: 100, output_tokens: 10, cache_read_input_tokens: 50 };
+    const toolUse = {
+      type: 'assistant',
+      message: {
+        id: 'msg_1',
+        content: [{ type: 'tool_use', name: 'Read', input: { file_path: 'src/app.js' } }],
+        usage,
+      },
+    };
+    // The CLI repeats the message for its next content block, with the same usage
+    const text = {
+      type: 'assistant',
+      message: { id: 'msg_1', content: [{ type: 'text' }], usage },
+    };
+    const result = { type: 'result', subtype: 'success', is_error: false, result: 'Done', usage };
+    const output = [
+      line({ type: 'system', subtype: 'init', model: 'sonnet', session_id: 's1' }),
+      line(toolUse),
+      'warning: not json\n',
+      line(text),
+      JSON.stringify(result),
+    ].join('');
+
+    parser.push(output.slice(0, 50));
+    parser.push(output.slice(50));
+    parser.end();
+
+    expect(events.map(event => event.type)).toEqual([
+      'started',
+      'tool_call',
+      'file_read',
+      'tokens',
+      'result',
+    ]);
+    expect(events[1]).toEqual({ type: 'tool_call', tool: 'Read', target: 'src/app.js' });
+    expect(events[3]).toEqual(
+      expect.objectContaining({ inputTokens: 100, outputTokens: 10, cacheReadTokens: 50 }),
+    );
+    expect(parser.result).toEqual(result);
+  });
+});
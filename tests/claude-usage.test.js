@@ -0,0 +1,41 @@
+const { findModelPrice, estimateCost, getRunUsage } = require('../src/claude-usage');
+
+describe('claude-usage', () => {
+  const prices = {
+    sonnet: { inputPerMTok: 3, outputPerMTok: 15, cacheReadPerMTok: 0.3, cacheWritePerMTok: 3.75 },
+    'claude-sonnet-4-5': { inputPerMTok: 4, outputPerMTok: 20 },
+  };
+
+  test('should match a price by model alias or by the longest key in the model id', () => {
+    expect(findModelPrice('sonnet', prices)).toBe(prices.sonnet);
+    expect(findModelPrice('claude-sonnet-4-5-20250929', prices)).toBe(prices['claude-sonnet-4-5']);
+    expect(findModelPrice('claude-sonnet-4-0', prices)).toBe(prices.sonnet);
+    expect(findModelPrice('haiku', prices)).toBeNull();
+  });
+
+  test('should price every token type per million tokens', () => {
+    const usage = {
+      inputTokens: 1000000,
+      outputTokens: 100000,
+      cacheReadTokens: 1000000,
+      cacheCreationTokens: 100000,
+    };
+
+    expect(estimateCost(usage, prices.sonnet)).toBeCloseTo(3 + 1.5 + 0.3 + 0.375);
+    expect(estimateCost(usage, null)).toBeNull();
+  });
+
+  test('should fall back to the cost reported by the CLI', () => {
+    const result = { usage: { input_tokens: 10, output_tokens: 5 }, total_cost_usd: 0.02 };
+
+    expect(getRunUsage(result, 'haiku', prices)).toEqual({
+      usage: { inputTokens: 10, outputTokens: 5, cacheReadTokens: 0, cacheCreationTokens: 0 },
+      costUsd: 0.02,
+    });
+    expect(getRunUsage(result, 'sonnet', prices).costUsd).toBeCloseTo(0.000105);
+  });
+
+  test('should report no usage without a structured result', () => {
+    expect(getRunUsage(null, 'sonnet', prices)).toEqual({ usage: null, costUsd: null });
+  });
+});
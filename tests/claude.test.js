@@ -1,5 +1,8 @@
 jest.mock('../src/git', () => ({
   ensureProjectExists: jest.fn(),
+  releaseProject: jest.fn(),
+  getDiffFromMergeBase: jest.fn(),
+  getDiffBetweenCommits: jest.fn(),
 }));
 
 jest.mock('../src/metrics', () => ({
@@ -12,6 +15,10 @@ jest.mock('../src/metrics', () => ({
     claudeReviewSuccessCounter: { inc: jest.fn() },
     claudeReviewFailureCounter: { inc: jest.fn() },
     claudeReviewDurationHistogram: { observe: jest.fn() },
+    claudeOutputParseFailuresCounter: { inc: jest.fn() },
+    claudeTokensCounter: { inc: jest.fn() },
+    claudeCostCounter: { inc: jest.fn() },
+    modelFallbackCounter: { inc: jest.fn() },
   },
 }));
 
@@ -40,14 +47,44 @@ jest.mock('fs', () => ({
   copyFileSync: jest.fn(),
 }));
 
+const mockRun = jest.fn();
+jest.mock('../src/claude-runner', () => {
+  const { withProcessOutput, getFallbackReason } = jest.requireActual('../src/claude-runner');
+  const ClaudeRunner = jest.fn(() => ({
+    run: mockRun,
+    resolveOptions: ({ model }) => ({ model: model || 'sonnet' }),
+  }));
+  ClaudeRunner.withProcessOutput = withProcessOutput;
+  ClaudeRunner.getFallbackReason = getFallbackReason;
+  return ClaudeRunner;
+});
+
+jest.mock('../src/repository-config', () => ({
+  getRepositoryConfig: jest.fn(),
+}));
+
+const mockUpsertSummaryComment = jest.fn();
+const mockPostIncrementalSummaryComment = jest.fn();
+jest.mock('../src/bitbucket-client', () => ({
+  createBitbucketClient: jest.fn(() => ({
+    upsertSummaryComment: mockUpsertSummaryComment,
+    postIncrementalSummaryComment: mockPostIncrementalSummaryComment,
+  })),
+}));
+
 jest.mock('child_process', () => ({
   spawn: jest.fn(),
   exec: jest.fn(),
 }));
 
 const claude = require('../src/claude');
-const { ensureProjectExists } = require('../src/git');
+const { ensureProjectExists, getDiffFromMergeBase, getDiffBetweenCommits } = require('../src/git');
 const fs = require('fs');
+const { metrics } = require('../src/metrics');
+const TemplateManager = require('../src/template-manager');
+const ClaudeRunner = require('../src/claude-runner');
+const { createBitbucketClient } = require('../src/bitbucket-client');
+const { getRepositoryConfig } = require('../src/repository-config');
 
 describe('Claude.js Unit Tests', () => {
   beforeEach(() => {
@@ -57,6 +94,14 @@ describe('Claude.js Unit Tests', () => {
       success: true,
       path: '/tmp/test-repo',
     });
+    getRepositoryConfig.mockReturnValue({
+      template: 'default',
+      commentMode: 'mcp',
+      commentStyle: 'summary',
+      model: null,
+      timeoutMinutes: null,
+      maxDiffSizeKb: 200,
+    });
 
     fs.readFileSync.mockReturnValue('Test content');
     fs.existsSync.mockReturnValue(true);
@@ -84,4 +129,439 @@ describe('Claude.js Unit Tests', () => {
       'Failed to ensure project exists',
     );
   });
+
+  describe('review metrics', () => {
+    let commentMode;
+    let model;
+    let timeoutMinutes;
+
+    beforeEach(() => {
+      commentMode = 'mcp';
+      model = null;
+      timeoutMinutes = null;
+      // resetMocks clears the factory implementations before each test
+      TemplateManager.mockImplementation(() => ({ getPromptForPR: () => 'Mocked PR prompt' }));
+      getRepositoryConfig.mockImplementation(() => ({
+        template: 'default',
+        commentMode,
+        commentStyle: 'summary',
+        model,
+        timeoutMinutes,
+        maxDiffSizeKb: 200,
+      }));
+      ClaudeRunner.mockImplementation(() => ({
+        run: mockRun,
+        resolveOptions: ({ model: requested }) => ({ model: requested || 'sonnet' }),
+      }));
+      createBitbucketClient.mockImplementation(() => ({
+        upsertSummaryComment: mockUpsertSummaryComment,
+        postIncrementalSummaryComment: mockPostIncrementalSummaryComment,
+      }));
+      getDiffFromMergeBase.mockResolvedValue({ success: true, diff: 'diff', size: 4 });
+    });
+
+    const runResult = (text, outputFormat = 'text') => ({
+      stdout: text,
+      stderr: '',
+      text,
+      result: null,
+      model: 'sonnet',
+      outputFormat,
+      duration: '1.00',
+      usage: null,
+      costUsd: null,
+    });
+
+    test('should return the metrics of the review', async () => {
+      mockRun.mockResolvedValue(
+        runResult('Looks good\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n'),
+      );
+
+      const result = await claude.processPullRequest(mockPrData);
+
+      expect(result).toEqual(
+        expect.objectContaining({ isLgtm: true, issueCount: 0, isReviewFailed: false }),
+      );
+      expect(metrics.claudeOutputParseFailuresCounter.inc).not.toHaveBeenCalled();
+    });
+
+    test('should count the tokens and cost of the run and report them to onUsage', async () => {
+      const usage = {
+        inputTokens: 1000,
+        outputTokens: 200,
+        cacheReadTokens: 500,
+        cacheCreationTokens: 0,
+      };
+      mockRun.mockResolvedValue({
+        ...runResult('Looks good\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n', 'json'),
+        usage,
+        costUsd: 0.00615,
+      });
+
+      const onUsage = jest.fn();
+      const result = await claude.processPullRequest({
+        type: 'review',
+        prData: mockPrData,
+        onUsage,
+      });
+
+      const labels = { repository: mockPrData.repository, model: 'sonnet', job_type: 'review' };
+      expect(metrics.claudeTokensCounter.inc).toHaveBeenCalledWith(
+        { ...labels, token_type: 'input' },
+        1000,
+      );
+      expect(metrics.claudeTokensCounter.inc).toHaveBeenCalledWith(
+        { ...labels, token_type: 'cache_read' },
+        500,
+      );
+      expect(metrics.claudeCostCounter.inc).toHaveBeenCalledWith(labels, 0.00615);
+      expect(onUsage).toHaveBeenCalledWith({ model: 'sonnet', usage, costUsd: 0.00615 });
+      expect(result).toEqual(expect.objectContaining({ model: 'sonnet', usage, costUsd: 0.00615 }));
+    });
+
+    test('should run the review with the model of the repository settings', async () => {
+      model = 'opus';
+      mockRun.mockResolvedValue(
+        runResult('Looks good\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n'),
+      );
+
+      const onModelSelected = jest.fn();
+      await claude.processPullRequest({ type: 'review', prData: mockPrData, onModelSelected });
+
+      expect(onModelSelected).toHaveBeenCalledWith({ model: 'opus', reason: 'repository config' });
+      expect(getRepositoryConfig).toHaveBeenCalledWith(mockPrData.repository, expect.any(Object), {
+        destinationBranch: mockPrData.destinationBranch,
+      });
+      expect(mockRun).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'review', model: 'opus', timeoutMinutes: null }),
+      );
+    });
+
+    test('should report the configured model when no routing rule applies', async () => {
+      mockRun.mockResolvedValue(
+        runResult('Looks good\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n'),
+      );
+
+      const onModelSelected = jest.fn();
+      await claude.processPullRequest({ type: 'review', prData: mockPrData, onModelSelected });
+
+      expect(onModelSelected).toHaveBeenCalledWith({ model: 'sonnet', reason: 'default model' });
+      expect(mockRun).toHaveBeenCalledWith(expect.objectContaining({ model: 'sonnet' }));
+    });
+
+    describe('model fallback', () => {
+      const claudeConfig = require('../src/config/loader').getConfig().claude;
+
+      beforeEach(() => {
+        claudeConfig.fallbackModels = ['opus', 'haiku'];
+      });
+
+      afterEach(() => {
+        claudeConfig.fallbackModels = [];
+      });
+
+      test('should retry with the next model when the run is rate limited or times out', async () => {
+        mockRun
+          .mockRejectedValueOnce(
+            Object.assign(new Error('Claude CLI reported an error'), {
+              apiErrorStatus: 429,
+              model: 'sonnet',
+              usage: {
+                inputTokens: 10,
+                outputTokens: 0,
+                cacheReadTokens: 0,
+                cacheCreationTokens: 0,
+              },
+              costUsd: 0.00003,
+            }),
+          )
+          .mockRejectedValueOnce(
+            Object.assign(new Error('Claude review timed out after 10 minutes'), {
+              errorType: 'timeout',
+            }),
+          )
+          .mockResolvedValueOnce({
+            ...runResult('Looks good\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n'),
+            model: 'haiku',
+          });
+
+        const onModelAttempt = jest.fn();
+        const onUsage = jest.fn();
+        const result = await claude.processPullRequest({
+          type: 'review',
+          prData: mockPrData,
+          onModelAttempt,
+          onUsage,
+        });
+
+        expect(mockRun.mock.calls.map(([request]) => request.model)).toEqual([
+          'sonnet',
+          'opus',
+          'haiku',
+        ]);
+        expect(onModelAttempt.mock.calls.map(([attempt]) => attempt.outcome)).toEqual([
+          'rate_limit',
+          'timeout',
+          'success',
+        ]);
+        expect(onModelAttempt).toHaveBeenCalledWith(
+          expect.objectContaining({ model: 'sonnet', error: 'Claude CLI reported an error' }),
+        );
+        // The failed attempt reported its usage, so its cost counts
+        expect(onUsage).toHaveBeenCalledWith(
+          expect.objectContaining({ model: 'sonnet', costUsd: 0.00003 }),
+        );
+        expect(metrics.modelFallbackCounter.inc).toHaveBeenCalledWith({
+          repository: mockPrData.repository,
+          job_type: 'review',
+          from_model: 'sonnet',
+          to_model: 'opus',
+          reason: 'rate_limit',
+        });
+        expect(result).toEqual(expect.objectContaining({ success: true, model: 'haiku' }));
+      });
+
+      test('should not fall back on other errors or after the last model', async () => {
+        mockRun.mockRejectedValueOnce(
+          new Error('Claude CLI exited with code 1: line 429 - add rate limiting'),
+        );
+
+        await expect(claude.processPullRequest(mockPrData)).rejects.toThrow('rate limiting');
+        expect(mockRun).toHaveBeenCalledTimes(1);
+
+        mockRun.mockReset();
+        mockRun.mockRejectedValue(
+          Object.assign(new Error('Claude CLI exited with code 1'), {
+            stderr: 'API Error: 529 {"type":"error","error":{"type":"overloaded_error"}}',
+          }),
+        );
+
+        const error = await claude.processPullRequest(mockPrData).catch(err => err);
+        expect(mockRun).toHaveBeenCalledTimes(3);
+        expect(error).toEqual(
+          expect.objectContaining({
+            errorType: 'fallback_exhausted',
+            fallbackReason: 'overloaded',
+          }),
+        );
+        expect(metrics.modelFallbackCounter.inc).toHaveBeenCalledTimes(2);
+      });
+
+      test('should keep the error type of a timeout without fallback models', async () => {
+        claudeConfig.fallbackModels = [];
+        mockRun.mockRejectedValue(
+          Object.assign(new Error('Claude review timed out after 10 minutes'), {
+            errorType: 'timeout',
+          }),
+        );
+
+        const error = await claude.processPullRequest(mockPrData).catch(err => err);
+
+        expect(mockRun).toHaveBeenCalledTimes(1);
+        expect(error.errorType).toBe('timeout');
+      });
+    });
+
+    test('should count a missing metrics block in text mode and keep the defaults', async () => {
+      mockRun.mockResolvedValue(runResult('Review without metrics'));
+
+      const result = await claude.processPullRequest(mockPrData);
+
+      expect(result).toEqual(expect.objectContaining({ isLgtm: false, issueCount: 0 }));
+      expect(metrics.claudeOutputParseFailuresCounter.inc).toHaveBeenCalledWith({
+        repository: 'test-repo',
+        reason: 'missing_metrics',
+      });
+    });
+
+    test('should fail the review when the metrics block is missing in JSON mode', async () => {
+      mockRun.mockResolvedValue(runResult('Review without metrics', 'json'));
+
+      await expect(claude.processPullRequest(mockPrData)).rejects.toEqual(
+        expect.objectContaining({
+          errorType: 'output_parse_error',
+          parseFailure: 'missing_metrics',
+          stdout: 'Review without metrics',
+        }),
+      );
+      expect(metrics.claudeReviewFailureCounter.inc).toHaveBeenCalledWith({
+        repository: 'test-repo',
+        error_type: 'output_parse_error',
+      });
+    });
+
+    test('should read invalid metrics leniently in text mode', async () => {
+      mockRun.mockResolvedValue(
+        runResult('Review\n```json\n{ "isLgtm": true, "issueCount": "3" }\n```\n'),
+      );
+
+      const result = await claude.processPullRequest(mockPrData);
+
+      expect(result).toEqual(
+        expect.objectContaining({ success: true, isLgtm: true, issueCount: 0 }),
+      );
+      expect(metrics.claudeOutputParseFailuresCounter.inc).toHaveBeenCalledWith({
+        repository: 'test-repo',
+        reason: 'invalid_metrics',
+      });
+      expect(metrics.claudeReviewFailureCounter.inc).not.toHaveBeenCalled();
+    });
+
+    test('should fail the review when the metrics do not match the schema in JSON mode', async () => {
+      mockRun.mockResolvedValue(
+        runResult('```json\n{ "isLgtm": "yes", "issueCount": 2 }\n```\n', 'json'),
+      );
+
+      await expect(claude.processPullRequest(mockPrData)).rejects.toEqual(
+        expect.objectContaining({ parseFailure: 'invalid_metrics' }),
+      );
+      expect(metrics.claudeOutputParseFailuresCounter.inc).toHaveBeenCalledWith({
+        repository: 'test-repo',
+        reason: 'invalid_metrics',
+      });
+    });
+
+    test('should post the review from the service in service comment mode', async () => {
+      commentMode = 'service';
+      mockUpsertSummaryComment.mockResolvedValue({ commentId: 7, updated: false });
+      mockRun.mockResolvedValue(
+        runResult(
+          '# PR Review Summary\n\nLGTM\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n',
+        ),
+      );
+
+      const result = await claude.processPullRequest({ ...mockPrData, prUrl: 'https://pr' });
+
+      expect(mockUpsertSummaryComment).toHaveBeenCalledWith(
+        'https://pr',
+        '# PR Review Summary\n\nLGTM',
+        { signal: undefined },
+      );
+      expect(result).toEqual(expect.objectContaining({ isLgtm: true, findings: [] }));
+    });
+
+    test('should post an incremental review next to the summary of the full review', async () => {
+      commentMode = 'service';
+      getDiffBetweenCommits.mockResolvedValue({ success: true, diff: 'new diff', size: 8 });
+      mockPostIncrementalSummaryComment.mockResolvedValue({ commentId: 8, updated: false });
+      mockRun.mockResolvedValue(
+        runResult(
+          '# Incremental Review\n\nLGTM\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n',
+        ),
+      );
+
+      const { signal } = new AbortController();
+
+      await claude.processPullRequest({
+        type: 'review',
+        prData: { ...mockPrData, prUrl: 'https://pr' },
+        previousReview: { commitHash: 'abc1234' },
+        signal,
+      });
+
+      expect(mockPostIncrementalSummaryComment).toHaveBeenCalledWith(
+        'https://pr',
+        '# Incremental Review\n\nLGTM',
+        { signal },
+      );
+      expect(mockUpsertSummaryComment).not.toHaveBeenCalled();
+    });
+
+    test('should name prompt files after the job so concurrent jobs do not collide', async () => {
+      mockRun.mockResolvedValue(
+        runResult('Review\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n'),
+      );
+
+      await claude.processPullRequest({ type: 'review', id: 7, prData: mockPrData });
+      await claude.processPullRequest(mockPrData);
+      await claude.processPullRequest(mockPrData);
+
+      const [jobFile, firstFile, secondFile] = fs.writeFileSync.mock.calls.map(([file]) => file);
+      expect(jobFile).toMatch(/^\/tmp\/pr-review-\d+-job-7\.txt$/);
+      expect(firstFile).toMatch(/^\/tmp\/pr-review-\d+-[0-9a-f-]{36}\.txt$/);
+      expect(secondFile).not.toBe(firstFile);
+    });
+
+    test('should run release notes with the repository and branch model and timeout', async () => {
+      model = 'opus';
+      timeoutMinutes = 20;
+      TemplateManager.mockImplementation(() => ({ getReleaseNotePrompt: () => 'Release prompt' }));
+      mockRun.mockResolvedValue(runResult('Release note'));
+
+      await claude.processPullRequest({
+        type: 'create-release-note',
+        prData: { ...mockPrData, destinationBranch: 'release-1' },
+      });
+
+      expect(getRepositoryConfig).toHaveBeenCalledWith('test-repo', expect.any(Object), {
+        destinationBranch: 'release-1',
+      });
+      expect(mockRun).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'create-release-note',
+          model: 'opus',
+          timeoutMinutes: 20,
+        }),
+      );
+    });
+
+    test('should not post in MCP comment mode or when Claude reports a failed review', async () => {
+      mockRun.mockResolvedValue(
+        runResult('Review\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n'),
+      );
+      await claude.processPullRequest(mockPrData);
+
+      commentMode = 'service';
+      mockRun.mockResolvedValue(
+        runResult(
+          'Failed\n```json\n{ "isLgtm": false, "issueCount": 0, "isReviewFailed": true, "failedReviewReason": "x" }\n```\n',
+        ),
+      );
+      await claude.processPullRequest(mockPrData);
+
+      expect(mockUpsertSummaryComment).not.toHaveBeenCalled();
+    });
+
+    test('should fail the review with bitbucket_error when posting fails', async () => {
+      commentMode = 'service';
+      mockUpsertSummaryComment.mockRejectedValue(
+        Object.assign(new Error('Bitbucket POST failed'), { errorType: 'bitbucket_error' }),
+      );
+      mockRun.mockResolvedValue(
+        runResult('Review\n```json\n{ "isLgtm": true, "issueCount": 0 }\n```\n'),
+      );
+
+      await expect(claude.processPullRequest(mockPrData)).rejects.toEqual(
+        expect.objectContaining({ errorType: 'bitbucket_error' }),
+      );
+      expect(metrics.claudeReviewSuccessCounter.inc).not.toHaveBeenCalled();
+      expect(metrics.claudeReviewFailureCounter.inc).toHaveBeenCalledWith({
+        repository: 'test-repo',
+        error_type: 'bitbucket_error',
+      });
+    });
+
+    test('should keep the prompt of a failed run when prompt logs are disabled', async () => {
+      mockRun.mockRejectedValue(new Error('Claude CLI exited with code 1'));
+
+      const error = await claude.processPullRequest(mockPrData).catch(err => err);
+
+      expect(error.promptFile).toBeNull();
+      expect(error.prompt).toBe('Mocked PR prompt');
+      // The temporary prompt file is still removed
+      expect(fs.unlinkSync).toHaveBeenCalledWith(fs.writeFileSync.mock.calls[0][0]);
+    });
+
+    test('should not count a cancelled review as a failure', async () => {
+      mockRun.mockRejectedValue(
+        Object.assign(new Error('Claude process killed'), { name: 'AbortError' }),
+      );
+
+      await expect(claude.processPullRequest(mockPrData)).rejects.toEqual(
+        expect.objectContaining({ errorType: 'cancelled' }),
+      );
+      expect(metrics.claudeReviewFailureCounter.inc).not.toHaveBeenCalled();
+      expect(metrics.claudeReviewDurationHistogram.observe).not.toHaveBeenCalled();
+    });
+  });
 });
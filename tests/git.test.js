@@ -21,11 +21,13 @@ jest.mock('../src/logger', () => ({
 }));
 
 const {
-  projectExists,
-  cloneRepository,
-  updateRepository,
   ensureProjectExists,
+  releaseProject,
+  cleanupStaleWorktrees,
+  getDiffFromMergeBase,
+  getDiffBetweenCommits,
 } = require('../src/git');
+const { getCircuitBreaker } = require('../src/circuit-breakers');
 
 const PROJECTS_DIR = '/app/projects';
 
@@ -34,151 +36,264 @@ describe('git.js Unit Tests', () => {
     jest.clearAllMocks();
   });
 
-  describe('projectExists', () => {
-    test('should return true if project directory exists', () => {
-      const projectName = 'test-project';
-      const expectedPath = path.join(PROJECTS_DIR, projectName);
+  describe('ensureProjectExists', () => {
+    const mirrorPath = path.join(PROJECTS_DIR, '.mirrors', 'test-repo.git');
+    const worktreePath = path.join(PROJECTS_DIR, '.worktrees', 'test-repo', 'job-42');
+    const repoData = {
+      name: 'test-repo',
+      cloneUrl: 'https://test.git',
+      sourceBranch: 'main',
+      jobId: 42,
+    };
+
+    test('should fetch existing mirror and create a job worktree', async () => {
+      fs.existsSync.mockImplementation(p => p === mirrorPath);
+      mockExecAsync.mockResolvedValue({ stdout: '', stderr: '' });
 
-      fs.existsSync.mockReturnValue(true);
-      const result = projectExists(projectName);
+      const result = await ensureProjectExists(repoData);
 
-      expect(result).toBe(true);
-      expect(fs.existsSync).toHaveBeenCalledWith(expectedPath);
+      expect(result).toEqual({
+        success: true,
+        path: worktreePath,
+        headCommit: null,
+        mirrorPath,
+        projectName: 'test-repo',
+        wasCloned: false,
+        message: 'Project exists and updated',
+      });
+      expect(mockExecAsync).toHaveBeenCalledWith(
+        `git --git-dir="${mirrorPath}" worktree add --detach "${worktreePath}" origin/main`,
+      );
     });
 
-    test('should return false if project directory does not exist', () => {
-      const projectName = 'nonexistent-project';
-      const expectedPath = path.join(PROJECTS_DIR, projectName);
+    test('should check out the PR head commit when it is known', async () => {
+      fs.existsSync.mockImplementation(p => p === mirrorPath);
+      mockExecAsync.mockResolvedValue({ stdout: '', stderr: '' });
+
+      mockExecAsync.mockImplementation(async command => ({
+        stdout: command.includes('rev-parse') ? 'abc123def456'.padEnd(40, '0') + '\n' : '',
+        stderr: '',
+      }));
 
-      fs.existsSync.mockReturnValue(false);
-      const result = projectExists(projectName);
+      const result = await ensureProjectExists({ ...repoData, sourceCommit: 'abc123def456' });
 
-      expect(result).toBe(false);
-      expect(fs.existsSync).toHaveBeenCalledWith(expectedPath);
+      expect(result.success).toBe(true);
+      expect(result.headCommit).toBe('abc123def456'.padEnd(40, '0'));
+      expect(mockExecAsync).toHaveBeenCalledWith(
+        `git --git-dir="${mirrorPath}" cat-file -e abc123def456^{commit}`,
+      );
+      expect(mockExecAsync).toHaveBeenCalledWith(
+        `git --git-dir="${mirrorPath}" worktree add --detach "${worktreePath}" abc123def456`,
+      );
     });
-  });
-
-  describe('cloneRepository', () => {
-    test('should clone repository successfully', async () => {
-      const projectName = 'test-repo';
-      const cloneUrl = 'https://bitbucket.org/test/repo.git';
 
-      fs.existsSync.mockReturnValue(true);
-      fs.mkdirSync.mockImplementation(() => {});
-      mockExecAsync.mockResolvedValue({
-        stdout: 'Cloning into test-repo...',
-        stderr: 'Cloning into test-repo...',
+    test('should fail instead of reviewing the branch tip when the head commit is missing', async () => {
+      fs.existsSync.mockImplementation(p => p === mirrorPath);
+      mockExecAsync.mockImplementation(async command => {
+        if (command.includes('fetch')) throw new Error('Could not resolve host');
+        if (command.includes('cat-file')) throw new Error('fatal: Not a valid object name');
+        return { stdout: '', stderr: '' };
       });
 
-      const result = await cloneRepository(projectName, cloneUrl);
+      const result = await ensureProjectExists({ ...repoData, sourceCommit: 'abc123def456' });
 
-      expect(result.message).toBe('Repository cloned successfully');
-      expect(result.success).toBe(true);
+      expect(result.success).toBe(false);
+      expect(result.message).toBe(
+        'PR head commit abc123def456 is not in the mirror (fetch failed or skipped)',
+      );
+      expect(mockExecAsync).not.toHaveBeenCalledWith(expect.stringContaining('worktree add'));
     });
 
-    test('should handle clone failure', async () => {
-      const projectName = 'test-repo';
-      const cloneUrl = 'https://bitbucket.org/test/repo.git';
+    test('should reject source commits that are not commit hashes', async () => {
+      fs.existsSync.mockImplementation(p => p === mirrorPath);
+      mockExecAsync.mockResolvedValue({ stdout: '', stderr: '' });
 
-      fs.existsSync.mockReturnValue(true);
-      mockExecAsync.mockRejectedValue(new Error('Repository not found'));
+      const result = await ensureProjectExists({ ...repoData, sourceCommit: 'HEAD; rm -rf /' });
 
-      await expect(cloneRepository(projectName, cloneUrl)).rejects.toThrow(
-        'Failed to clone repository: Repository not found',
-      );
+      expect(result.success).toBe(false);
+      expect(mockExecAsync).not.toHaveBeenCalledWith(expect.stringContaining('cat-file'));
     });
-  });
-  describe('updateRepository', () => {
-    test('should throw error when project directory does not exist', async () => {
-      const projectName = 'test-project';
-      const branch = 'main';
-      const expectedPath = path.join(PROJECTS_DIR, projectName);
 
+    test('should clone new project as a bare mirror', async () => {
       fs.existsSync.mockReturnValue(false);
+      mockExecAsync.mockResolvedValue({ stdout: '', stderr: '' });
+
+      const result = await ensureProjectExists({ ...repoData, name: 'new-repo' });
+
+      expect(result.wasCloned).toBe(true);
+      expect(result.success).toBe(true);
+      expect(mockExecAsync).toHaveBeenCalledWith(
+        `git init --bare "${path.join(PROJECTS_DIR, '.mirrors', 'new-repo.git')}"`,
+      );
+    });
 
-      await expect(updateRepository(projectName, branch)).rejects.toThrow(
-        `Project ${projectName} does not exist at ${expectedPath}`,
+    test('should continue with existing refs when fetch fails', async () => {
+      fs.existsSync.mockImplementation(p => p === mirrorPath);
+      mockExecAsync
+        .mockRejectedValueOnce(new Error('Update failed'))
+        .mockResolvedValue({ stdout: '', stderr: '' });
+
+      const result = await ensureProjectExists(repoData);
+
+      expect(result).toEqual(
+        expect.objectContaining({
+          success: true,
+          path: worktreePath,
+          wasCloned: false,
+          message: 'Project exists (update failed but continuing)',
+        }),
       );
+    });
+
+    test('should fail when the worktree cannot be created', async () => {
+      fs.existsSync.mockImplementation(p => p === mirrorPath);
+      mockExecAsync
+        .mockResolvedValueOnce({ stdout: '', stderr: '' })
+        .mockRejectedValueOnce(new Error('invalid reference: origin/main'));
 
-      expect(fs.existsSync).toHaveBeenCalledWith(expectedPath);
+      const result = await ensureProjectExists(repoData);
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('invalid reference');
     });
 
-    test('should update repository successfully when directory exists', async () => {
-      const projectName = 'test-project';
-      const branch = 'main';
-      const expectedPath = path.join(PROJECTS_DIR, projectName);
+    describe('with the git circuit breaker open', () => {
+      const gitBreaker = getCircuitBreaker('git');
 
-      fs.existsSync.mockReturnValue(true);
-      mockExecAsync.mockResolvedValue({
-        stdout: 'Already up to date.',
-        stderr: '',
+      beforeEach(() => {
+        for (let i = 0; i < gitBreaker.failureThreshold; i++) {
+          gitBreaker.recordFailure();
+        }
       });
 
-      const result = await updateRepository(projectName, branch);
+      afterEach(() => {
+        gitBreaker.recordSuccess();
+      });
 
-      expect(result).toEqual({
-        success: true,
-        path: expectedPath,
-        message: 'Repository updated successfully',
+      test('should review cached mirrors without contacting the remote', async () => {
+        fs.existsSync.mockImplementation(p => p === mirrorPath);
+        mockExecAsync.mockResolvedValue({ stdout: '', stderr: '' });
+
+        const result = await ensureProjectExists(repoData);
+
+        expect(result).toEqual(
+          expect.objectContaining({
+            success: true,
+            message: 'Project exists (update failed but continuing)',
+          }),
+        );
+        expect(mockExecAsync).not.toHaveBeenCalledWith(
+          expect.stringContaining('fetch'),
+          expect.anything(),
+        );
+      });
+
+      test('should not clone new projects', async () => {
+        fs.existsSync.mockReturnValue(false);
+
+        await expect(ensureProjectExists({ ...repoData, name: 'new-repo' })).rejects.toThrow(
+          'git circuit breaker is open',
+        );
+        expect(mockExecAsync).not.toHaveBeenCalled();
       });
     });
   });
 
-  describe('ensureProjectExists', () => {
-    test('should update existing project', async () => {
-      const repoData = {
-        name: 'test-repo',
-        cloneUrl: 'https://test.git',
-        sourceBranch: 'main',
-      };
-
-      fs.existsSync.mockReturnValue(true);
+  describe('releaseProject', () => {
+    test('should remove the job worktree', async () => {
       mockExecAsync.mockResolvedValue({ stdout: '', stderr: '' });
 
-      const result = await ensureProjectExists(repoData);
+      await releaseProject({ success: true, projectName: 'test-repo', path: '/wt/job-1' });
 
-      expect(result).toEqual({
-        success: true,
-        path: path.join(PROJECTS_DIR, 'test-repo'),
-        wasCloned: false,
-        message: 'Project exists and updated',
+      expect(mockExecAsync).toHaveBeenCalledWith(
+        `git --git-dir="${path.join(PROJECTS_DIR, '.mirrors', 'test-repo.git')}" worktree remove --force "/wt/job-1"`,
+      );
+    });
+
+    test('should ignore failed project results', async () => {
+      await releaseProject({ success: false });
+      await releaseProject(null);
+
+      expect(mockExecAsync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDiffFromMergeBase', () => {
+    test('should diff the PR head against the merge-base without fetching', async () => {
+      mockExecAsync
+        .mockResolvedValueOnce({ stdout: 'base123\n', stderr: '' }) // merge-base
+        .mockResolvedValueOnce({ stdout: '+change\n', stderr: '' });
+
+      const result = await getDiffFromMergeBase('/wt/job-2', 'feature', 'main');
+
+      expect(mockExecAsync).toHaveBeenCalledTimes(2);
+      expect(mockExecAsync).toHaveBeenCalledWith('git -C "/wt/job-2" merge-base origin/main HEAD');
+      expect(mockExecAsync).toHaveBeenCalledWith('git -C "/wt/job-2" diff base123..HEAD', {
+        maxBuffer: 1024 * 1024 * 50,
       });
+      expect(mockExecAsync.mock.calls.some(([command]) => command.includes('fetch'))).toBe(false);
+      expect(result).toEqual({ success: true, diff: '+change\n', size: 8, mergeBase: 'base123' });
     });
+  });
 
-    test('should clone new project', async () => {
-      const repoData = {
-        name: 'new-repo',
-        cloneUrl: 'https://test.git',
-        sourceBranch: 'main',
-      };
+  describe('getDiffBetweenCommits', () => {
+    test('should return the diff since the previously reviewed commit', async () => {
+      mockExecAsync
+        .mockResolvedValueOnce({ stdout: '', stderr: '' }) // merge-base --is-ancestor
+        .mockResolvedValueOnce({ stdout: '', stderr: '' }) // rev-list --merges
+        .mockResolvedValueOnce({ stdout: '+fix\n', stderr: '' });
 
-      fs.existsSync.mockReturnValueOnce(false).mockReturnValue(true);
-      mockExecAsync.mockResolvedValue({ stdout: '', stderr: '' });
+      const result = await getDiffBetweenCommits('/wt/job-2', 'abc1234');
 
-      const result = await ensureProjectExists(repoData);
+      expect(mockExecAsync).toHaveBeenCalledWith(
+        'git -C "/wt/job-2" merge-base --is-ancestor abc1234 HEAD',
+      );
+      expect(mockExecAsync).toHaveBeenCalledWith('git -C "/wt/job-2" diff abc1234..HEAD', {
+        maxBuffer: 1024 * 1024 * 50,
+      });
+      expect(result).toEqual({ success: true, diff: '+fix\n', size: 5, baseCommit: 'abc1234' });
+    });
 
-      expect(result.wasCloned).toBe(true);
-      expect(result.success).toBe(true);
+    test('should not diff when the destination branch was merged in since', async () => {
+      mockExecAsync
+        .mockResolvedValueOnce({ stdout: '', stderr: '' }) // merge-base --is-ancestor
+        .mockResolvedValueOnce({ stdout: 'def5678\n', stderr: '' }); // rev-list --merges
+
+      const result = await getDiffBetweenCommits('/wt/job-2', 'abc1234');
+
+      expect(mockExecAsync).toHaveBeenCalledWith(
+        'git -C "/wt/job-2" rev-list --merges abc1234..HEAD',
+      );
+      expect(result).toEqual({ success: false, message: 'New commits include a merge' });
+      expect(mockExecAsync).toHaveBeenCalledTimes(2);
     });
 
-    test('should continue when update fails', async () => {
-      const repoData = {
-        name: 'test-repo',
-        cloneUrl: 'https://test.git',
-        sourceBranch: 'main',
-      };
+    test('should not diff when the previous commit was rewritten away', async () => {
+      mockExecAsync.mockRejectedValueOnce(new Error('exit code 1'));
+
+      const result = await getDiffBetweenCommits('/wt/job-2', 'abc1234');
 
+      expect(result.success).toBe(false);
+      expect(mockExecAsync).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('cleanupStaleWorktrees', () => {
+    test('should remove old worktrees except excluded ones', async () => {
       fs.existsSync.mockReturnValue(true);
-      mockExecAsync.mockRejectedValue(new Error('Update failed'));
+      fs.readdirSync.mockImplementation(dir =>
+        dir.endsWith('.worktrees') ? ['test-repo'] : ['job-1', 'job-2', 'job-3'],
+      );
+      fs.statSync.mockImplementation(p => ({
+        mtimeMs: p.endsWith('job-3') ? Date.now() : 0,
+      }));
+      mockExecAsync.mockResolvedValue({ stdout: '', stderr: '' });
 
-      const result = await ensureProjectExists(repoData);
+      const removed = await cleanupStaleWorktrees({ maxAgeMs: 60000, exclude: ['job-2'] });
 
-      expect(result).toEqual({
-        success: true,
-        path: path.join(PROJECTS_DIR, 'test-repo'),
-        wasCloned: false,
-        message: 'Project exists (update failed but continuing)',
-      });
+      expect(removed).toBe(1);
+      expect(mockExecAsync).toHaveBeenCalledTimes(1);
+      expect(mockExecAsync.mock.calls[0][0]).toContain('job-1');
     });
   });
 });
@@ -0,0 +1,554 @@
+const request = require('supertest');
+
+const prData = (prNumber, overrides = {}) => ({
+  prUrl: `https://bitbucket.org/team/repo/pull/${prNumber}`,
+  title: `PR ${prNumber}`,
+  author: 'PR Author',
+  repository: 'repo',
+  sourceBranch: 'feature/new-thing',
+  destinationBranch: 'main',
+  ...overrides,
+});
+
+const auth = { Authorization: 'Bearer admin-secret' };
+
+function loadApp(envOverrides = {}) {
+  jest.resetModules();
+  process.env = {
+    ...process.env,
+    QUEUE_PERSISTENCE_ENABLED: 'false',
+    ADMIN_API_TOKEN: 'admin-secret',
+    ...envOverrides,
+  };
+
+  jest.doMock('../src/claude', () => ({
+    processPullRequest: jest.fn().mockResolvedValue({
+      success: true,
+      duration: '1.00',
+      isLgtm: false,
+      issueCount: 3,
+      isReviewFailed: false,
+      failedReviewReason: null,
+      model: 'sonnet',
+      usage: { inputTokens: 1000, outputTokens: 200, cacheReadTokens: 0, cacheCreationTokens: 0 },
+      costUsd: 0.006,
+    }),
+  }));
+
+  return require('../src/index');
+}
+
+describe('job status endpoints', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.resetModules();
+    jest.dontMock('../src/claude');
+  });
+
+  it('lists jobs newest first with queue positions', async () => {
+    const { app, _internal } = loadApp();
+    const first = _internal.jobQueue.enqueue(prData(1), 'review');
+    const second = _internal.jobQueue.enqueue(prData(2), 'create-release-note');
+
+    const res = await request(app).get('/jobs').set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.pending).toBe(2);
+    expect(res.body.jobs.map(job => job.id)).toEqual([second.id, first.id]);
+    expect(res.body.jobs[1]).toEqual(
+      expect.objectContaining({
+        type: 'review',
+        state: 'pending',
+        queuePosition: 1,
+        triggerType: 'automatic-webhook',
+        isLgtm: null,
+        error: null,
+      }),
+    );
+  });
+
+  it('filters jobs by PR URL', async () => {
+    const { app, _internal } = loadApp();
+    _internal.jobQueue.enqueue(prData(1), 'review');
+    const target = _internal.jobQueue.enqueue(
+      prData(2, { triggerType: 'manual-comment', triggeredBy: 'Reviewer' }),
+      'review',
+    );
+
+    const res = await request(app)
+      .get('/jobs')
+      .set(auth)
+      .query({ pr: prData(2).prUrl });
+
+    expect(res.body.jobs).toHaveLength(1);
+    expect(res.body.jobs[0]).toEqual(
+      expect.objectContaining({
+        id: target.id,
+        triggerType: 'manual-comment',
+        triggeredBy: 'Reviewer',
+      }),
+    );
+  });
+
+  it('requires the admin token', async () => {
+    const { app, _internal } = loadApp();
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+
+    expect((await request(app).get('/jobs')).status).toBe(401);
+    expect((await request(app).get(`/jobs/${job.id}`)).status).toBe(401);
+    expect((await request(app).get(`/jobs/${job.id}/stream`)).status).toBe(401);
+  });
+
+  it('returns at least one job for a non-positive limit', async () => {
+    const { app, _internal } = loadApp();
+    _internal.jobQueue.enqueue(prData(1), 'review');
+    const newest = _internal.jobQueue.enqueue(prData(2), 'review');
+
+    const res = await request(app).get('/jobs').set(auth).query({ limit: -5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.jobs.map(job => job.id)).toEqual([newest.id]);
+  });
+
+  it('rejects unknown states', async () => {
+    const { app } = loadApp();
+
+    const res = await request(app).get('/jobs').set(auth).query({ state: 'exploded' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('returns review metrics, usage and timings of a finished job', async () => {
+    const { app, _internal } = loadApp();
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).get(`/jobs/${job.id}`).set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        id: job.id,
+        state: 'done',
+        queuePosition: null,
+        isLgtm: false,
+        issueCount: 3,
+        failedReviewReason: null,
+        model: 'sonnet',
+        usage: expect.objectContaining({ inputTokens: 1000, outputTokens: 200 }),
+        costUsd: 0.006,
+      }),
+    );
+    expect(res.body.timings.startedAt).toEqual(expect.any(String));
+    expect(res.body.timings.runSeconds).toEqual(expect.any(Number));
+  });
+
+  it('returns the model selection and model attempts of a review', async () => {
+    const { app, _internal } = loadApp();
+    require('../src/claude').processPullRequest.mockImplementation(
+      async ({ onModelSelected, onModelAttempt }) => {
+        onModelSelected({ model: 'opus', reason: 'routing rule 1: diff 150.0 KB >= 100 KB' });
+        onModelAttempt({ model: 'opus', outcome: 'rate_limit', durationSeconds: 1, error: '429' });
+        onModelAttempt({ model: 'sonnet', outcome: 'success', durationSeconds: 30, error: null });
+        return { success: true, duration: '1.00', isLgtm: true, issueCount: 0, model: 'sonnet' };
+      },
+    );
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).get(`/jobs/${job.id}`).set(auth);
+
+    expect(res.body.modelSelection).toEqual({
+      model: 'opus',
+      reason: 'routing rule 1: diff 150.0 KB >= 100 KB',
+    });
+    expect(res.body.model).toBe('sonnet');
+    expect(res.body.modelAttempts.map(attempt => attempt.outcome)).toEqual([
+      'rate_limit',
+      'success',
+    ]);
+  });
+
+  it('returns the error of a failed job', async () => {
+    const { app, _internal } = loadApp();
+    require('../src/claude').processPullRequest.mockRejectedValue(new Error('Claude exploded'));
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).get(`/jobs/${job.id}`).set(auth);
+
+    expect(res.body).toEqual(
+      expect.objectContaining({ state: 'failed', error: 'Claude exploded' }),
+    );
+  });
+
+  it('fails a review Claude reported as failed once retries are exhausted', async () => {
+    const { app, _internal } = loadApp({ QUEUE_RETRY_MAX_ATTEMPTS: '1' });
+    require('../src/claude').processPullRequest.mockResolvedValue({
+      success: true,
+      isLgtm: false,
+      issueCount: 0,
+      isReviewFailed: true,
+      failedReviewReason: 'MCP connection lost',
+    });
+    const job = _internal.jobQueue.enqueue(prData(1, { sourceCommit: 'abc1234' }), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).get(`/jobs/${job.id}`).set(auth);
+
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        state: 'failed',
+        attempts: 1,
+        maxAttempts: 1,
+        errorType: 'claude_reported',
+        failedReviewReason: 'MCP connection lost',
+      }),
+    );
+    expect(_internal.jobStore.getLastReviewedCommit(prData(1).prUrl)).toBeNull();
+  });
+
+  it('re-queues a retryable failure', async () => {
+    const { app, _internal } = loadApp();
+    require('../src/claude').processPullRequest.mockRejectedValue(
+      Object.assign(new Error('Claude analysis timed out after 10 minutes'), {
+        errorType: 'timeout',
+      }),
+    );
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).get(`/jobs/${job.id}`).set(auth);
+
+    expect(res.body).toEqual(
+      expect.objectContaining({
+        state: 'pending',
+        attempts: 1,
+        maxAttempts: 3,
+        errorType: 'timeout',
+        queuePosition: 1,
+      }),
+    );
+    expect(res.body.timings.scheduledAt).toEqual(expect.any(String));
+  });
+
+  it('returns 404 for unknown jobs', async () => {
+    const { app } = loadApp();
+
+    const res = await request(app).get('/jobs/999').set(auth);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('keeps jobs pending while the Claude circuit breaker is open', async () => {
+    const { app, _internal } = loadApp({
+      CB_FAILURE_THRESHOLD: '1',
+      QUEUE_RETRY_MAX_ATTEMPTS: '1',
+    });
+    require('../src/claude').processPullRequest.mockRejectedValue(new Error('Claude exploded'));
+    _internal.jobQueue.enqueue(prData(1), 'review');
+    const waiting = _internal.jobQueue.enqueue(prData(2), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).get('/health');
+
+    expect(res.body.status).toBe('ok');
+    expect(res.body.circuitBreakers.claude).toEqual({
+      state: 'OPEN',
+      failureCount: 1,
+      retryAt: expect.any(String),
+    });
+    expect(res.body.circuitBreakers.git.state).toBe('CLOSED');
+    expect(res.body.queue).toEqual({
+      pending: 1,
+      running: 0,
+      pausedUntil: res.body.circuitBreakers.claude.retryAt,
+    });
+    expect(_internal.jobStore.get(waiting.id).state).toBe('pending');
+  });
+
+  it('does not count git failures against the Claude circuit breaker', async () => {
+    const { app, _internal } = loadApp({
+      CB_FAILURE_THRESHOLD: '1',
+      QUEUE_RETRY_MAX_ATTEMPTS: '1',
+    });
+    require('../src/claude').processPullRequest.mockRejectedValue(
+      Object.assign(new Error('Failed to clone repository'), { errorType: 'git_error' }),
+    );
+    _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).get('/health');
+
+    expect(res.body.circuitBreakers.claude.state).toBe('CLOSED');
+    expect(res.body.queue.pausedUntil).toBeNull();
+  });
+
+  it('does not count a missing Bitbucket token against either circuit breaker', async () => {
+    const { app, _internal } = loadApp({
+      CB_FAILURE_THRESHOLD: '1',
+      QUEUE_RETRY_MAX_ATTEMPTS: '1',
+    });
+    require('../src/claude').processPullRequest.mockRejectedValue(
+      Object.assign(new Error('Bitbucket token is not configured (BITBUCKET_TOKEN)'), {
+        errorType: 'config_error',
+      }),
+    );
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).get('/health');
+
+    expect(_internal.jobStore.get(job.id).state).toBe('failed');
+    expect(res.body.circuitBreakers.claude.state).toBe('CLOSED');
+    expect(res.body.circuitBreakers.bitbucket.state).toBe('CLOSED');
+  });
+});
+
+describe('job event stream', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.resetModules();
+    jest.dontMock('../src/claude');
+  });
+
+  // Collect the raw event stream until the server ends it
+  const readStream = req =>
+    req.buffer(true).parse((res, callback) => {
+      let body = '';
+      res.on('data', chunk => (body += chunk));
+      res.on('end', () => callback(null, body));
+    });
+
+  it('streams the progress of a running job until it finishes', async () => {
+    const { app, _internal } = loadApp();
+    let finishReview;
+    require('../src/claude').processPullRequest.mockImplementation(async ({ onProgress }) => {
+      await new Promise(resolve => (finishReview = resolve));
+      onProgress({ type: 'tool_call', tool: 'Read', target: 'src/app.js' });
+      onProgress({ type: 'file_read', path: 'src/app.js' });
+      return { success: true, duration: '1.00', isLgtm: true, issueCount: 0 };
+    });
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+
+    const streamed = readStream(request(app).get(`/jobs/${job.id}/stream`).set(auth)).then(
+      res => res,
+    );
+    await new Promise(resolve => setTimeout(resolve, 50));
+    finishReview();
+    const res = await streamed;
+
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    const events = res.body.match(/^event: \w+/gm);
+    expect(events).toEqual(['event: status', 'event: progress', 'event: progress', 'event: end']);
+    expect(res.body).toContain('"tool":"Read"');
+    expect(res.body).toContain('"state":"done"');
+
+    const status = await request(app).get(`/jobs/${job.id}`).set(auth);
+    expect(status.body.progress).toEqual(
+      expect.objectContaining({ toolCalls: 1, filesRead: ['src/app.js'] }),
+    );
+  });
+
+  it('ends the stream right away for a finished job', async () => {
+    const { app, _internal } = loadApp();
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await readStream(request(app).get(`/jobs/${job.id}/stream`).set(auth));
+
+    expect(res.body.match(/^event: \w+/gm)).toEqual(['event: end']);
+  });
+});
+
+describe('admin job endpoints', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.resetModules();
+    jest.dontMock('../src/claude');
+  });
+
+  it('are disabled without ADMIN_API_TOKEN', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: '' });
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+
+    const res = await request(app).post(`/jobs/${job.id}/cancel`).set(auth);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('reject an invalid token', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+
+    const res = await request(app)
+      .post(`/jobs/${job.id}/cancel`)
+      .set({ Authorization: 'Bearer wrong' });
+
+    expect(res.status).toBe(401);
+    expect(_internal.jobQueue.position(job.id)).toBe(1);
+  });
+
+  it('cancels a pending job', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+
+    const res = await request(app).post(`/jobs/${job.id}/cancel`).set(auth);
+
+    expect(res.status).toBe(200);
+    expect(_internal.jobQueue.pending).toHaveLength(0);
+    expect(_internal.jobStore.get(job.id).state).toBe('cancelled');
+  });
+
+  it('kills a running job', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+    require('../src/claude').processPullRequest.mockImplementation(
+      ({ signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }),
+    );
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+
+    const res = await request(app).post(`/jobs/${job.id}/cancel`).set(auth);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(res.status).toBe(200);
+    expect(res.body.previousState).toBe('running');
+    expect(_internal.jobStore.get(job.id)).toEqual(
+      expect.objectContaining({ state: 'cancelled', error: 'Cancelled by admin' }),
+    );
+  });
+
+  it('refuses to cancel a finished job', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).post(`/jobs/${job.id}/cancel`).set(auth);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('retries a failed job as a new job', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+    const { processPullRequest } = require('../src/claude');
+    processPullRequest.mockRejectedValueOnce(new Error('Claude exploded'));
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const res = await request(app).post(`/jobs/${job.id}/retry`).set(auth);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(res.status).toBe(201);
+    expect(res.body.job.id).not.toBe(job.id);
+    expect(processPullRequest).toHaveBeenCalledTimes(2);
+    expect(_internal.jobStore.get(res.body.job.id).state).toBe('done');
+  });
+
+  it('bumps a pending job to the front of the queue', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+    _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.enqueue(prData(2), 'review');
+    const hotfix = _internal.jobQueue.enqueue(prData(3), 'review');
+    // Occupy the repository lock so the moved job stays pending
+    _internal.jobQueue.activeKeys.add('repo');
+
+    const res = await request(app).post(`/jobs/${hotfix.id}/priority`).set(auth).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.queuePosition).toBe(1);
+    expect(_internal.jobQueue.pending[0].id).toBe(hotfix.id);
+  });
+
+  it('sets an explicit priority', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.activeKeys.add('repo');
+
+    const res = await request(app).post(`/jobs/${job.id}/priority`).set(auth).send({ priority: 7 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.priority).toBe(7);
+    expect(_internal.jobStore.get(job.id).priority).toBe(7);
+  });
+
+  it('rejects an invalid priority', async () => {
+    const { app, _internal } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+
+    const res = await request(app)
+      .post(`/jobs/${job.id}/priority`)
+      .set(auth)
+      .send({ priority: 'urgent' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('lists and replays dead letters', async () => {
+    const { app, _internal } = loadApp({
+      ADMIN_API_TOKEN: 'admin-secret',
+      QUEUE_RETRY_MAX_ATTEMPTS: '1',
+    });
+    const { processPullRequest } = require('../src/claude');
+    processPullRequest.mockRejectedValueOnce(
+      Object.assign(new Error('Claude CLI exited with code 1'), {
+        errorType: 'unknown',
+        stderr: 'MCP server crashed',
+      }),
+    );
+    const job = _internal.jobQueue.enqueue(prData(1), 'review');
+    _internal.jobQueue.process();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const list = await request(app).get('/dead-letters').set(auth);
+
+    expect(list.status).toBe(200);
+    expect(list.body.deadLetters).toEqual([
+      expect.objectContaining({
+        jobId: job.id,
+        errorType: 'unknown',
+        stderrTail: 'MCP server crashed',
+        prData: expect.objectContaining({ prUrl: prData(1).prUrl }),
+      }),
+    ]);
+
+    const deadLetterId = list.body.deadLetters[0].id;
+    const replay = await request(app).post(`/dead-letters/${deadLetterId}/replay`).set(auth);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(replay.status).toBe(201);
+    expect(_internal.jobStore.get(replay.body.job.id).state).toBe('done');
+    expect((await request(app).get('/dead-letters').set(auth)).body.deadLetters).toEqual([]);
+
+    const again = await request(app).post(`/dead-letters/${deadLetterId}/replay`).set(auth);
+    expect(again.status).toBe(409);
+  });
+
+  it('requires the admin token for dead letters', async () => {
+    const { app } = loadApp({ ADMIN_API_TOKEN: 'admin-secret' });
+
+    const res = await request(app).get('/dead-letters');
+
+    expect(res.status).toBe(401);
+  });
+});
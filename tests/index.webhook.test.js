@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 
 const basePrPayload = () => ({
@@ -32,7 +35,7 @@ const commentPayload = (overrides = {}) => ({
 
 function loadAppWithEnv(envOverrides = {}) {
   jest.resetModules();
-  process.env = { ...process.env, ...envOverrides };
+  process.env = { ...process.env, QUEUE_PERSISTENCE_ENABLED: 'false', ...envOverrides };
 
   jest.doMock('../src/claude', () => ({
     processPullRequest: jest.fn().mockResolvedValue({ success: true }),
@@ -43,6 +46,12 @@ function loadAppWithEnv(envOverrides = {}) {
     shouldCreateReleaseNote: jest.fn(() => false),
   }));
 
+  jest.doMock('../src/bitbucket-client', () => ({
+    createBitbucketClient: jest.fn(() => ({
+      upsertMarkedComment: jest.fn().mockResolvedValue({ commentId: 1, updated: false }),
+    })),
+  }));
+
   return require('../src/index');
 }
 
@@ -55,6 +64,7 @@ describe('webhook endpoint', () => {
     jest.clearAllMocks();
     jest.dontMock('../src/claude');
     jest.dontMock('../src/branch-matcher');
+    jest.dontMock('../src/bitbucket-client');
   });
 
   it('enqueues review for /review prefix command', async () => {
@@ -202,4 +212,361 @@ describe('webhook endpoint', () => {
     expect(res.status).toBe(200);
     expect(res.body.enqueued).toEqual(['review']);
   });
+
+  it('debounces pullrequest:updated events and reports scheduledAt', async () => {
+    const { app } = loadAppWithEnv({ UPDATE_DEBOUNCE_SECONDS: '30' });
+    const { processPullRequest } = require('../src/claude');
+    const before = Date.now();
+
+    const res = await request(app)
+      .post('/webhook/bitbucket/pr')
+      .set('x-event-key', 'pullrequest:updated')
+      .send(basePrPayload());
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(res.status).toBe(200);
+    expect(res.body.enqueued).toEqual(['review']);
+    expect(Date.parse(res.body.scheduledAt)).toBeGreaterThanOrEqual(before + 30000);
+    expect(processPullRequest).not.toHaveBeenCalled();
+  });
+
+  it('skips automatic review when the head commit was already reviewed', async () => {
+    const { app, _internal } = loadAppWithEnv();
+    const payload = basePrPayload();
+    payload.pullrequest.source.commit = { hash: 'abc1234' };
+    _internal.jobStore.recordReviewedCommit(payload.pullrequest.links.html.href, 'abc1234', 1);
+
+    const res = await request(app)
+      .post('/webhook/bitbucket/pr')
+      .set('x-event-key', 'pullrequest:updated')
+      .send(payload);
+
+    expect(res.status).toBe(200);
+    expect(res.body.enqueued).toEqual([]);
+    expect(res.body.skipped).toEqual([{ type: 'review', reason: 'head-commit-unchanged' }]);
+
+    const manualRes = await request(app)
+      .post('/webhook/bitbucket/pr')
+      .set('x-event-key', 'pullrequest:comment_created')
+      .send({
+        ...commentPayload({ comment: { id: 1006, content: { raw: '/review' } } }),
+        ...payload,
+      });
+
+    expect(manualRes.body.enqueued).toEqual(['review']);
+  });
+
+  describe('spend budgets', () => {
+    const budgetEnv = overrides => ({
+      BUDGETS_ENABLED: 'true',
+      BUDGET_GLOBAL_SOFT_USD: '5',
+      BUDGET_GLOBAL_HARD_USD: '10',
+      ...overrides,
+    });
+
+    const spend = (internal, costUsd) =>
+      internal.jobStore.recordSpend({
+        type: 'review',
+        repository: 'repo',
+        author: 'PR Author',
+        model: 'sonnet',
+        costUsd,
+      });
+
+    it('warns when budgets are enabled with an output format that reports no cost', () => {
+      const { _internal } = loadAppWithEnv(budgetEnv());
+      const budgets = { enabled: true };
+
+      expect(_internal.getConfigWarnings({ budgets, claude: { outputFormat: 'text' } })).toEqual([
+        expect.stringContaining('review and create-release-note jobs use the text output format'),
+      ]);
+      expect(
+        _internal.getConfigWarnings({
+          budgets,
+          claude: {
+            outputFormat: 'json',
+            jobs: { 'create-release-note': { outputFormat: 'text' } },
+          },
+        }),
+      ).toEqual([expect.stringContaining('create-release-note jobs use the text output format')]);
+      expect(
+        _internal.getConfigWarnings({ budgets, claude: { outputFormat: 'stream-json' } }),
+      ).toEqual([]);
+      expect(_internal.getConfigWarnings({ budgets: { enabled: false }, claude: {} })).toEqual([]);
+    });
+
+    it('skips automatic jobs and comments on the PR when the hard budget is exhausted', async () => {
+      const { app, _internal } = loadAppWithEnv(budgetEnv());
+      const { createBitbucketClient } = require('../src/bitbucket-client');
+      spend(_internal, 12.5);
+
+      const res = await request(app)
+        .post('/webhook/bitbucket/pr')
+        .set('x-event-key', 'pullrequest:created')
+        .send(basePrPayload());
+
+      expect(res.status).toBe(200);
+      expect(res.body.enqueued).toEqual([]);
+      expect(res.body.skipped).toEqual([
+        {
+          type: 'review',
+          reason: 'budget-exhausted',
+          message: 'Monthly global budget is exhausted ($12.50 of $10)',
+        },
+      ]);
+      const client = createBitbucketClient.mock.results[0].value;
+      expect(client.upsertMarkedComment).toHaveBeenCalledWith(
+        'https://bitbucket.org/team/repo/pull/1',
+        expect.stringContaining('## Automatic Review Skipped'),
+        '<!-- pr-automation:budget -->',
+      );
+    });
+
+    it('posts the budget comment once per PR in a budget period', async () => {
+      const { app, _internal } = loadAppWithEnv(budgetEnv());
+      const { createBitbucketClient } = require('../src/bitbucket-client');
+      spend(_internal, 12.5);
+
+      for (const eventKey of ['pullrequest:created', 'pullrequest:updated']) {
+        const res = await request(app)
+          .post('/webhook/bitbucket/pr')
+          .set('x-event-key', eventKey)
+          .send(basePrPayload());
+        expect(res.body.skipped).toEqual([expect.objectContaining({ reason: 'budget-exhausted' })]);
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+
+      const upserts = createBitbucketClient.mock.results.flatMap(
+        ({ value }) => value.upsertMarkedComment.mock.calls,
+      );
+      expect(upserts).toHaveLength(1);
+      expect(_internal.spendBudget.needsNotice('https://bitbucket.org/team/repo/pull/1')).toBe(
+        false,
+      );
+    });
+
+    it('still enqueues automatic jobs past the soft limit', async () => {
+      const { app, _internal } = loadAppWithEnv(budgetEnv());
+      spend(_internal, 7);
+
+      const res = await request(app)
+        .post('/webhook/bitbucket/pr')
+        .set('x-event-key', 'pullrequest:created')
+        .send(basePrPayload());
+
+      expect(res.body.enqueued).toEqual(['review']);
+    });
+
+    it('lets a manual /review override the exhausted budget only with the override role', async () => {
+      const { app, _internal } = loadAppWithEnv(
+        budgetEnv({ BUDGET_OVERRIDE_ROLE: 'override-users' }),
+      );
+      spend(_internal, 12.5);
+
+      const refused = await request(app)
+        .post('/webhook/bitbucket/pr')
+        .set('x-event-key', 'pullrequest:comment_created')
+        .send(commentPayload({ comment: { id: 1010, content: { raw: '/review' } } }));
+
+      expect(refused.status).toBe(200);
+      expect(refused.body).toEqual(
+        expect.objectContaining({
+          message: 'Manual review refused (spend budget exhausted)',
+          author: 'Comment User',
+        }),
+      );
+      expect(refused.body.enqueued).toBeUndefined();
+
+      _internal.spendBudget.overrideUsers = ['Comment User'];
+      const allowed = await request(app)
+        .post('/webhook/bitbucket/pr')
+        .set('x-event-key', 'pullrequest:comment_created')
+        .send(commentPayload({ comment: { id: 1011, content: { raw: '/review' } } }));
+
+      expect(allowed.body.enqueued).toEqual(['review']);
+    });
+  });
+
+  it('records the commit the review ran at after a successful review', async () => {
+    const { app, _internal } = loadAppWithEnv();
+    const fullHash = 'def5678'.padEnd(40, '0');
+    require('../src/claude').processPullRequest.mockResolvedValue({
+      success: true,
+      commitHash: fullHash,
+    });
+    const payload = basePrPayload();
+    const prUrl = payload.pullrequest.links.html.href;
+    payload.pullrequest.source.commit = { hash: 'def5678' };
+
+    await request(app)
+      .post('/webhook/bitbucket/pr')
+      .set('x-event-key', 'pullrequest:created')
+      .send(payload);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(_internal.jobStore.getLastReviewedCommit(prUrl)).toEqual(
+      expect.objectContaining({ commitHash: fullHash }),
+    );
+
+    // The abbreviated webhook hash matches the recorded full hash
+    const res = await request(app)
+      .post('/webhook/bitbucket/pr')
+      .set('x-event-key', 'pullrequest:updated')
+      .send(payload);
+    expect(res.body.skipped).toEqual([
+      expect.objectContaining({ reason: 'head-commit-unchanged' }),
+    ]);
+  });
+
+  it('does not record a reviewed commit when the review did not report one', async () => {
+    const { app, _internal } = loadAppWithEnv();
+    const payload = basePrPayload();
+    payload.pullrequest.source.commit = { hash: 'def5678' };
+
+    await request(app)
+      .post('/webhook/bitbucket/pr')
+      .set('x-event-key', 'pullrequest:created')
+      .send(payload);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(
+      _internal.jobStore.getLastReviewedCommit(payload.pullrequest.links.html.href),
+    ).toBeNull();
+  });
+
+  it('passes the previous review to incremental automatic reviews', async () => {
+    const { app, _internal } = loadAppWithEnv({ INCREMENTAL_REVIEW_ENABLED: 'true' });
+    const { processPullRequest } = require('../src/claude');
+    const payload = basePrPayload();
+    const prUrl = payload.pullrequest.links.html.href;
+    payload.pullrequest.source.commit = { hash: 'bbbbbbb' };
+    _internal.jobStore.recordReviewedCommit(prUrl, 'aaaaaaa', 1, { isLgtm: false, issueCount: 2 });
+
+    await request(app)
+      .post('/webhook/bitbucket/pr')
+      .set('x-event-key', 'pullrequest:updated')
+      .send(payload);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(processPullRequest).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'review',
+        previousReview: expect.objectContaining({ commitHash: 'aaaaaaa', issueCount: 2 }),
+      }),
+    );
+  });
+
+  it('re-queues jobs interrupted by a restart', async () => {
+    const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-storage-'));
+    const env = { QUEUE_PERSISTENCE_ENABLED: 'true', QUEUE_PERSISTENCE_PATH: storagePath };
+
+    try {
+      const first = loadAppWithEnv(env);
+      require('../src/claude').processPullRequest.mockReturnValue(new Promise(() => {}));
+
+      const res = await request(first.app)
+        .post('/webhook/bitbucket/pr')
+        .set('x-event-key', 'pullrequest:created')
+        .send(basePrPayload());
+
+      expect(res.status).toBe(200);
+      expect(first._internal.jobStore.get(1).state).toBe('running');
+      first._internal.jobStore.close();
+
+      // Simulate a restart while the job is still running
+      const second = loadAppWithEnv(env);
+      const { processPullRequest } = require('../src/claude');
+      second.resumeQueue();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(processPullRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 1, type: 'review' }),
+      );
+      second._internal.jobStore.close();
+    } finally {
+      fs.rmSync(storagePath, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects webhooks and checkpoints running jobs on shutdown', async () => {
+    const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-storage-'));
+    const env = {
+      QUEUE_PERSISTENCE_ENABLED: 'true',
+      QUEUE_PERSISTENCE_PATH: storagePath,
+      SHUTDOWN_GRACE_SECONDS: '1',
+    };
+
+    try {
+      const first = loadAppWithEnv(env);
+      require('../src/claude').processPullRequest.mockImplementation(
+        ({ signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('Claude process killed')));
+          }),
+      );
+      await request(first.app)
+        .post('/webhook/bitbucket/pr')
+        .set('x-event-key', 'pullrequest:created')
+        .send(basePrPayload());
+
+      const shutdown = first.shutdown('SIGTERM');
+      const res = await request(first.app)
+        .post('/webhook/bitbucket/pr')
+        .set('x-event-key', 'pullrequest:created')
+        .send(basePrPayload());
+      expect(res.status).toBe(503);
+      await shutdown;
+
+      const second = loadAppWithEnv(env);
+      expect(second._internal.jobStore.get(1)).toEqual(
+        expect.objectContaining({ state: 'pending', attempts: 0 }),
+      );
+      second._internal.jobStore.close();
+    } finally {
+      fs.rmSync(storagePath, { recursive: true, force: true });
+    }
+  });
+
+  it('stops the HTTP server before closing the job store on shutdown', async () => {
+    const { shutdown, _internal } = loadAppWithEnv({ SHUTDOWN_GRACE_SECONDS: '1' });
+    const server = { close: jest.fn(callback => callback()), closeAllConnections: jest.fn() };
+    const closeStore = jest.spyOn(_internal.jobStore, 'close');
+
+    await shutdown('SIGTERM', server);
+
+    expect(server.closeAllConnections).toHaveBeenCalled();
+    expect(server.close.mock.invocationCallOrder[0]).toBeLessThan(
+      closeStore.mock.invocationCallOrder[0],
+    );
+  });
+
+  it('warns when the http backend is asked to post through the Bitbucket MCP', () => {
+    const { _internal } = loadAppWithEnv();
+    const claude = { backend: 'http' };
+
+    expect(
+      _internal.getConfigWarnings({
+        claude,
+        prReview: { commentMode: 'service' },
+        repositories: {
+          'docs-site': 'quick-review',
+          'core-api': { commentMode: 'mcp', branches: { '^release-': { commentMode: 'mcp' } } },
+        },
+        releaseNote: { enabled: true },
+      }),
+    ).toEqual([
+      expect.stringContaining(
+        'reviews in mcp comment mode are not posted (repositories.core-api.commentMode, repositories.core-api.branches["^release-"].commentMode)',
+      ),
+      expect.stringContaining('Release notes are enabled'),
+    ]);
+    expect(_internal.getConfigWarnings({ claude, prReview: {} })).toEqual([
+      expect.stringContaining('(prReview.commentMode)'),
+    ]);
+    expect(_internal.getConfigWarnings({ claude, prReview: { commentMode: 'service' } })).toEqual(
+      [],
+    );
+    expect(_internal.getConfigWarnings({ claude: {}, prReview: {} })).toEqual([]);
+  });
 });
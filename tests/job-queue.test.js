@@ -0,0 +1,464 @@
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const JobStore = require('../src/job-store');
+const JobQueue = require('../src/job-queue');
+
+const prDataFor = (repository, title = 'Test PR', prNumber = 1) => ({
+  title,
+  repository,
+  prUrl: `https://bitbucket.org/team/${repository}/pull-requests/${prNumber}`,
+});
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('JobQueue', () => {
+  let store;
+  let runs;
+  let queue;
+
+  beforeEach(() => {
+    store = new JobStore();
+    runs = new Map();
+    queue = new JobQueue({
+      store,
+      concurrency: 2,
+      handler: jest.fn(job => {
+        const run = deferred();
+        runs.set(job.id, run);
+        return run.promise;
+      }),
+    });
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test('should run different repositories in parallel', () => {
+    const a = queue.enqueue(prDataFor('repo-a'), 'review');
+    const b = queue.enqueue(prDataFor('repo-b'), 'review');
+
+    queue.process();
+
+    expect(queue.handler).toHaveBeenCalledTimes(2);
+    expect([...queue.running.keys()]).toEqual([a.id, b.id]);
+    expect(store.get(a.id).state).toBe('running');
+  });
+
+  test('should serialize jobs of the same repository', async () => {
+    const first = queue.enqueue(prDataFor('repo-a', 'first', 1), 'review');
+    const second = queue.enqueue(prDataFor('repo-a', 'second', 2), 'review');
+    const other = queue.enqueue(prDataFor('repo-b'), 'review');
+
+    queue.process();
+    expect([...queue.running.keys()]).toEqual([first.id, other.id]);
+    expect(queue.pending.map(job => job.id)).toEqual([second.id]);
+
+    runs.get(first.id).resolve({ duration: '1.00' });
+    await flush();
+
+    expect(store.get(first.id).state).toBe('done');
+    expect([...queue.running.keys()]).toEqual([other.id, second.id]);
+  });
+
+  test('should respect the global concurrency limit', async () => {
+    const jobs = ['repo-a', 'repo-b', 'repo-c'].map(repo =>
+      queue.enqueue(prDataFor(repo), 'review'),
+    );
+
+    queue.process();
+    expect(queue.running.size).toBe(2);
+    expect(queue.pending.map(job => job.id)).toEqual([jobs[2].id]);
+
+    runs.get(jobs[0].id).reject(new Error('Claude failed'));
+    await flush();
+
+    expect(store.get(jobs[0].id)).toEqual(
+      expect.objectContaining({ state: 'failed', error: 'Claude failed' }),
+    );
+    expect(queue.running.has(jobs[2].id)).toBe(true);
+  });
+
+  test('should restore pending jobs from the store without duplicates', () => {
+    const queued = queue.enqueue(prDataFor('repo-a'), 'review');
+    const stored = store.create({ prData: prDataFor('repo-b'), type: 'review' });
+
+    const restored = queue.restore();
+
+    expect(restored.map(job => job.id)).toEqual([stored.id]);
+    expect(queue.pending.map(job => job.id)).toEqual([queued.id, stored.id]);
+  });
+
+  describe('coalescing', () => {
+    test('should replace a pending job for the same PR and type in place', () => {
+      const blocker = queue.enqueue(prDataFor('repo-a', 'blocker'), 'review');
+      queue.concurrency = 1;
+      queue.process();
+
+      const older = queue.enqueue(prDataFor('repo-b', 'v1'), 'review');
+      const other = queue.enqueue(prDataFor('repo-c'), 'review');
+      const newer = queue.enqueue(prDataFor('repo-b', 'v2'), 'review');
+
+      expect(queue.pending.map(job => job.id)).toEqual([newer.id, other.id]);
+      expect(newer.supersededJobIds).toEqual([older.id]);
+      expect(store.get(older.id)).toEqual(
+        expect.objectContaining({ state: 'superseded', error: `Superseded by job #${newer.id}` }),
+      );
+      expect(queue.running.has(blocker.id)).toBe(true);
+    });
+
+    test('should keep jobs of different types for the same PR', () => {
+      queue.concurrency = 0;
+      queue.enqueue(prDataFor('repo-a'), 'review');
+      queue.enqueue(prDataFor('repo-a'), 'create-release-note');
+
+      expect(queue.pending).toHaveLength(2);
+    });
+
+    test('should not cancel running jobs unless enabled', () => {
+      const running = queue.enqueue(prDataFor('repo-a', 'v1'), 'review');
+      queue.process();
+
+      queue.enqueue(prDataFor('repo-a', 'v2'), 'review');
+
+      expect(queue.controllers.get(running.id).signal.aborted).toBe(false);
+    });
+
+    test('should cancel a running job for the same PR when enabled', async () => {
+      queue.cancelRunning = true;
+      queue.handler.mockImplementation(
+        (job, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+          }),
+      );
+      const running = queue.enqueue(prDataFor('repo-a', 'v1'), 'review');
+      queue.process();
+
+      const newer = queue.enqueue(prDataFor('repo-a', 'v2'), 'review');
+      await flush();
+
+      expect(newer.supersededJobIds).toEqual([running.id]);
+      expect(store.get(running.id)).toEqual(
+        expect.objectContaining({
+          state: 'cancelled',
+          error: `Superseded by job #${newer.id} for a newer PR event`,
+        }),
+      );
+      expect(queue.running.has(newer.id)).toBe(true);
+    });
+  });
+
+  describe('priority', () => {
+    beforeEach(() => {
+      queue.getPriority = (prData, type) => (type === 'create-release-note' ? 5 : 0);
+    });
+
+    test('should order pending jobs by priority, FIFO within a priority', () => {
+      const low1 = queue.enqueue(prDataFor('repo-a', 'low 1', 1), 'review');
+      const high1 = queue.enqueue(prDataFor('repo-a', 'high 1', 2), 'create-release-note');
+      const low2 = queue.enqueue(prDataFor('repo-a', 'low 2', 3), 'review');
+      const high2 = queue.enqueue(prDataFor('repo-a', 'high 2', 4), 'create-release-note');
+
+      expect(queue.pending.map(job => job.id)).toEqual([high1.id, high2.id, low1.id, low2.id]);
+    });
+
+    test('should keep the higher priority when a pending job is replaced', () => {
+      queue.getPriority = prData => (prData.triggerType === 'manual-comment' ? 10 : 0);
+      queue.enqueue(prDataFor('repo-a', 'other', 2), 'review');
+      const manual = queue.enqueue(
+        { ...prDataFor('repo-a'), triggerType: 'manual-comment' },
+        'review',
+      );
+      const update = queue.enqueue(prDataFor('repo-a'), 'review');
+
+      expect(update.priority).toBe(10);
+      expect(update.supersededJobIds).toEqual([manual.id]);
+      expect(queue.pending[0].id).toBe(update.id);
+    });
+
+    test('should move a job when its priority changes', () => {
+      const first = queue.enqueue(prDataFor('repo-a', 'first', 1), 'review');
+      const second = queue.enqueue(prDataFor('repo-a', 'second', 2), 'review');
+
+      expect(queue.setPriority(second.id, 1)).toBe(true);
+
+      expect(queue.pending.map(job => job.id)).toEqual([second.id, first.id]);
+      expect(store.get(second.id).priority).toBe(1);
+    });
+
+    test('should restore pending jobs in priority order', () => {
+      const low = queue.enqueue(prDataFor('repo-a', 'low', 1), 'review');
+      const high = queue.enqueue(prDataFor('repo-a', 'high', 2), 'create-release-note');
+      const restoredQueue = new JobQueue({ store, handler: queue.handler });
+
+      restoredQueue.restore();
+
+      expect(restoredQueue.pending.map(job => job.id)).toEqual([high.id, low.id]);
+    });
+  });
+
+  describe('scheduling', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should not start a job before its scheduled time', () => {
+      jest.useFakeTimers();
+      const job = queue.enqueue(prDataFor('repo-a'), 'review', {
+        scheduledAt: Date.now() + 30000,
+      });
+
+      queue.process();
+      expect(queue.handler).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(30000);
+      expect(queue.handler).toHaveBeenCalledWith(
+        expect.objectContaining({ id: job.id }),
+        expect.any(Object),
+      );
+    });
+
+    test('should push back the schedule when a newer event replaces the pending job', () => {
+      jest.useFakeTimers();
+      queue.enqueue(prDataFor('repo-a', 'v1'), 'review', { scheduledAt: Date.now() + 30000 });
+      queue.process();
+
+      jest.advanceTimersByTime(20000);
+      const newer = queue.enqueue(prDataFor('repo-a', 'v2'), 'review', {
+        scheduledAt: Date.now() + 30000,
+      });
+      queue.process();
+
+      jest.advanceTimersByTime(20000);
+      expect(queue.handler).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(10000);
+      expect(queue.handler).toHaveBeenCalledTimes(1);
+      expect(queue.handler.mock.calls[0][0].id).toBe(newer.id);
+    });
+
+    test('should keep jobs pending while the gate is closed and resume when it reopens', () => {
+      jest.useFakeTimers();
+      let pausedUntil = Date.now() + 30000;
+      queue.gate = jest.fn(() => pausedUntil);
+      const job = queue.enqueue(prDataFor('repo-a'), 'review');
+
+      queue.process();
+      expect(queue.handler).not.toHaveBeenCalled();
+      expect(queue.pausedUntil).toBe(pausedUntil);
+      expect(store.get(job.id).state).toBe('pending');
+
+      pausedUntil = null;
+      jest.advanceTimersByTime(30000);
+      expect(queue.handler).toHaveBeenCalledWith(
+        expect.objectContaining({ id: job.id }),
+        expect.any(Object),
+      );
+      expect(queue.pausedUntil).toBeNull();
+    });
+
+    test('should clear the pause once the queue drained', () => {
+      jest.useFakeTimers();
+      queue.gate = jest.fn(() => Date.now() + 30000);
+      const job = queue.enqueue(prDataFor('repo-a'), 'review');
+      queue.process();
+      expect(queue.pausedUntil).not.toBeNull();
+
+      queue.cancel(job.id, 'manual');
+      expect(queue.pausedUntil).toBeNull();
+
+      // The next job is debounced: it starts when due, not at the old deadline
+      queue.gate = jest.fn(() => null);
+      const next = queue.enqueue(prDataFor('repo-a', 'v2'), 'review', {
+        scheduledAt: Date.now() + 5000,
+      });
+      queue.process();
+      jest.advanceTimersByTime(5000);
+      expect(queue.handler).toHaveBeenCalledWith(
+        expect.objectContaining({ id: next.id }),
+        expect.any(Object),
+      );
+    });
+
+    test('should clear an expired pause when no pending job can start', () => {
+      jest.useFakeTimers();
+      queue.gate = jest.fn(() => Date.now() + 30000);
+      const due = queue.enqueue(prDataFor('repo-a'), 'review');
+      const later = queue.enqueue(prDataFor('repo-b'), 'review', {
+        scheduledAt: Date.now() + 60000,
+      });
+      queue.process();
+      queue.cancel(due.id, 'manual');
+      expect(queue.pausedUntil).not.toBeNull();
+
+      queue.gate = jest.fn(() => null);
+      jest.advanceTimersByTime(30000);
+      expect(queue.pausedUntil).toBeNull();
+      expect(queue.handler).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(30000);
+      expect(queue.handler).toHaveBeenCalledWith(
+        expect.objectContaining({ id: later.id }),
+        expect.any(Object),
+      );
+    });
+  });
+
+  describe('shutdown', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should wait for running jobs and start no new ones', async () => {
+      const a = queue.enqueue(prDataFor('repo-a'), 'review');
+      const b = queue.enqueue(prDataFor('repo-a', 'Second PR', 2), 'review');
+      queue.process();
+
+      const shutdown = queue.shutdown(30000);
+      runs.get(a.id).resolve({ duration: '1.00' });
+
+      await expect(shutdown).resolves.toBe(0);
+      expect(store.get(a.id).state).toBe('done');
+      expect(store.get(b.id).state).toBe('pending');
+      expect(queue.handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should checkpoint jobs still running after the grace period', async () => {
+      jest.useFakeTimers();
+      queue.handler.mockImplementation(
+        (job, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('killed')));
+          }),
+      );
+      const job = queue.enqueue(prDataFor('repo-a'), 'review');
+      queue.process();
+
+      const shutdown = queue.shutdown(30000);
+      await jest.advanceTimersByTimeAsync(30000);
+
+      await expect(shutdown).resolves.toBe(1);
+      expect(store.get(job.id)).toEqual(
+        expect.objectContaining({ state: 'pending', attempts: 0, startedAt: null }),
+      );
+    });
+  });
+
+  describe('retry', () => {
+    const failWith = (errorType, message = 'boom') =>
+      Object.assign(new Error(message), { errorType });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      queue.retry = {
+        maxAttempts: 3,
+        backoffMs: 1000,
+        maxBackoffMs: 1500,
+        retryableErrorTypes: ['timeout'],
+      };
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should retry retryable failures with exponential backoff', async () => {
+      const job = queue.enqueue(prDataFor('repo-a'), 'review');
+      queue.process();
+
+      runs.get(job.id).reject(failWith('timeout'));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(store.get(job.id)).toEqual(
+        expect.objectContaining({ state: 'pending', attempts: 1, errorType: 'timeout' }),
+      );
+      await jest.advanceTimersByTimeAsync(999);
+      expect(queue.handler).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(queue.handler).toHaveBeenCalledTimes(2);
+
+      runs.get(job.id).reject(failWith('timeout'));
+      await jest.advanceTimersByTimeAsync(0);
+      // 2000ms is capped by maxBackoffMs
+      await jest.advanceTimersByTimeAsync(1500);
+      expect(queue.handler).toHaveBeenCalledTimes(3);
+
+      runs.get(job.id).resolve({ duration: '1.00' });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(store.get(job.id)).toEqual(
+        expect.objectContaining({ state: 'done', attempts: 3, error: null }),
+      );
+    });
+
+    test('should fail after the last attempt', async () => {
+      queue.retry.maxAttempts = 2;
+      const job = queue.enqueue(prDataFor('repo-a'), 'review');
+      queue.process();
+
+      runs.get(job.id).reject(failWith('timeout'));
+      await jest.advanceTimersByTimeAsync(1000);
+      runs
+        .get(job.id)
+        .reject(Object.assign(failWith('timeout', 'still slow'), { prompt: 'Review this PR' }));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(store.get(job.id)).toEqual(
+        expect.objectContaining({ state: 'failed', attempts: 2, error: 'still slow' }),
+      );
+      expect(queue.pending).toHaveLength(0);
+      expect(store.listDeadLetters()).toEqual([
+        expect.objectContaining({
+          jobId: job.id,
+          attempts: 2,
+          errorType: 'timeout',
+          prompt: 'Review this PR',
+        }),
+      ]);
+    });
+
+    test('should not retry non-retryable errors', async () => {
+      const job = queue.enqueue(prDataFor('repo-a'), 'review');
+      queue.process();
+
+      runs.get(job.id).reject(failWith('unknown'));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(store.get(job.id)).toEqual(
+        expect.objectContaining({ state: 'failed', attempts: 1, errorType: 'unknown' }),
+      );
+    });
+
+    test('should not retry a job superseded while it ran', async () => {
+      const job = queue.enqueue(prDataFor('repo-a', 'v1'), 'review');
+      queue.process();
+      const newer = queue.enqueue(prDataFor('repo-a', 'v2'), 'review');
+
+      runs.get(job.id).reject(failWith('timeout'));
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(store.get(job.id).state).toBe('superseded');
+      expect(queue.handler).toHaveBeenLastCalledWith(
+        expect.objectContaining({ id: newer.id }),
+        expect.any(Object),
+      );
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const JobStore = require('../src/job-store');
+
+const prData = {
+  title: 'Test PR',
+  prUrl: 'https://bitbucket.org/team/repo/pull-requests/1',
+  repository: 'repo',
+  sourceBranch: 'feature/test',
+  destinationBranch: 'main',
+};
+
+describe('JobStore', () => {
+  let store;
+
+  afterEach(() => {
+    if (store) store.close();
+    store = null;
+  });
+
+  test('should create pending jobs with parsed prData', () => {
+    store = new JobStore();
+    const job = store.create({ prData, type: 'review' });
+
+    expect(job.id).toBeDefined();
+    expect(job.state).toBe('pending');
+    expect(job.type).toBe('review');
+    expect(job.prData).toEqual(prData);
+  });
+
+  test('should track running, done and failed states', () => {
+    store = new JobStore();
+    const first = store.create({ prData, type: 'review' });
+    const second = store.create({ prData, type: 'create-release-note' });
+
+    store.markRunning(first.id);
+    expect(store.get(first.id).state).toBe('running');
+    expect(store.get(first.id).startedAt).toEqual(expect.any(Number));
+
+    store.markDone(first.id, { duration: '1.00' });
+    expect(store.get(first.id).state).toBe('done');
+    expect(store.get(first.id).result).toEqual({ duration: '1.00' });
+
+    store.markFailed(second.id, 'boom');
+    expect(store.get(second.id).state).toBe('failed');
+    expect(store.get(second.id).error).toBe('boom');
+    expect(store.listPending()).toEqual([]);
+  });
+
+  test('should re-queue jobs that were running when the process died', () => {
+    store = new JobStore();
+    const running = store.create({ prData, type: 'review' });
+    store.create({ prData, type: 'review' });
+    store.markRunning(running.id);
+
+    expect(store.requeueInterrupted()).toBe(1);
+    expect(store.listPending().map(job => job.id)).toEqual([running.id, running.id + 1]);
+  });
+
+  test('should persist jobs across instances when enabled', () => {
+    const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    try {
+      store = new JobStore({ enabled: true, storagePath });
+      const job = store.create({ prData, type: 'review' });
+      store.close();
+
+      store = new JobStore({ enabled: true, storagePath });
+      expect(store.listPending()).toEqual([expect.objectContaining({ id: job.id, prData })]);
+    } finally {
+      if (store) store.close();
+      store = null;
+      fs.rmSync(storagePath, { recursive: true, force: true });
+    }
+  });
+
+  test('should prune finished jobs older than the retention window', () => {
+    store = new JobStore();
+    const job = store.create({ prData, type: 'review' });
+    store.markDone(job.id);
+    store.db.prepare('UPDATE jobs SET finished_at = ? WHERE id = ?').run(0, job.id);
+
+    expect(store.pruneFinished(14)).toBe(1);
+    expect(store.get(job.id)).toBeNull();
+  });
+
+  test('should add missing columns to an existing database', () => {
+    const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+    try {
+      const Database = require('better-sqlite3');
+      const legacy = new Database(path.join(storagePath, 'queue.db'));
+      legacy.exec(
+        'CREATE TABLE jobs (id INTEGER PRIMARY KEY AUTOINCREMENT, type TEXT NOT NULL, pr_url TEXT, repository TEXT, pr_data TEXT NOT NULL, state TEXT NOT NULL, created_at INTEGER NOT NULL, started_at INTEGER, finished_at INTEGER, result TEXT, error TEXT)',
+      );
+      legacy.close();
+
+      store = new JobStore({ enabled: true, storagePath });
+      const job = store.create({ prData, type: 'review', scheduledAt: 1234 });
+
+      expect(job.scheduledAt).toBe(1234);
+    } finally {
+      if (store) store.close();
+      store = null;
+      fs.rmSync(storagePath, { recursive: true, force: true });
+    }
+  });
+
+  test('should record the last reviewed commit per PR', () => {
+    store = new JobStore();
+    expect(store.getLastReviewedCommit(prData.prUrl)).toBeNull();
+
+    store.recordReviewedCommit(prData.prUrl, 'aaaaaaa', 1);
+    store.recordReviewedCommit(prData.prUrl, 'bbbbbbb', 2);
+
+    expect(store.getLastReviewedCommit(prData.prUrl)).toEqual(
+      expect.objectContaining({ commitHash: 'bbbbbbb', jobId: 2, isLgtm: null, issueCount: null }),
+    );
+
+    store.recordReviewedCommit(prData.prUrl, 'ccccccc', 3, { isLgtm: false, issueCount: 4 });
+    expect(store.getLastReviewedCommit(prData.prUrl)).toEqual(
+      expect.objectContaining({ commitHash: 'ccccccc', isLgtm: false, issueCount: 4 }),
+    );
+  });
+
+  test('should sum recorded spend by repository and author', () => {
+    store = new JobStore();
+    const entry = { type: 'review', model: 'sonnet' };
+    store.recordSpend({ ...entry, repository: 'repo', author: 'Jane', costUsd: 1.5 });
+    store.recordSpend({ ...entry, repository: 'repo', author: 'John', costUsd: 0.25 });
+    store.recordSpend({ ...entry, repository: 'other', author: 'Jane', costUsd: 2 });
+
+    expect(store.getSpend({ since: 0 })).toBeCloseTo(3.75);
+    expect(store.getSpend({ since: 0, repository: 'repo' })).toBeCloseTo(1.75);
+    expect(store.getSpend({ since: 0, author: 'Jane' })).toBeCloseTo(3.5);
+    expect(store.getSpend({ since: Date.now() + 1000 })).toBe(0);
+  });
+
+  test('should append model attempts to the job', () => {
+    store = new JobStore();
+    const job = store.create({ prData, type: 'review' });
+    expect(store.get(job.id).modelAttempts).toEqual([]);
+
+    const failed = {
+      model: 'opus',
+      outcome: 'overloaded',
+      durationSeconds: 2.5,
+      error: 'overloaded',
+    };
+    const succeeded = { model: 'sonnet', outcome: 'success', durationSeconds: 40, error: null };
+    store.addModelAttempt(job.id, failed);
+    store.addModelAttempt(job.id, succeeded);
+
+    expect(store.get(job.id).modelAttempts).toEqual([failed, succeeded]);
+  });
+
+  test('should keep dead letters with output tails until replayed', () => {
+    store = new JobStore();
+    const job = store.create({ prData, type: 'review' });
+    store.markRunning(job.id);
+
+    const deadLetter = store.addDeadLetter(store.get(job.id), {
+      errorMessage: 'Claude CLI exited with code 1',
+      errorType: 'unknown',
+      promptFile: '/app/prompt-logs/pr-review-1.txt',
+      prompt: 'Review this PR',
+      stdout: `${'x'.repeat(5000)}END`,
+      stderr: 'boom',
+    });
+
+    expect(deadLetter).toEqual(
+      expect.objectContaining({
+        jobId: job.id,
+        prData,
+        attempts: 1,
+        errorType: 'unknown',
+        promptFile: '/app/prompt-logs/pr-review-1.txt',
+        prompt: 'Review this PR',
+        stderrTail: 'boom',
+        replayedAt: null,
+      }),
+    );
+    expect(deadLetter.stdoutTail).toHaveLength(4000);
+    expect(deadLetter.stdoutTail.endsWith('END')).toBe(true);
+
+    store.markDeadLetterReplayed(deadLetter.id, 99);
+
+    expect(store.listDeadLetters()).toEqual([]);
+    expect(store.listDeadLetters({ includeReplayed: true })).toEqual([
+      expect.objectContaining({ id: deadLetter.id, replayJobId: 99 }),
+    ]);
+  });
+});
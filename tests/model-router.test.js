@@ -0,0 +1,135 @@
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const {
+  globToRegExp,
+  getDiffFiles,
+  getPrCharacteristics,
+  selectModel,
+} = require('../src/model-router');
+
+const DIFF = [
+  'diff --git a/src/auth/login.js b/src/auth/login.js',
+  '--- a/src/auth/login.js',
+  '+++ b/src/auth/login.js',
+  '@@ -1 +1 @@',
+  '-old',
+  '+new',
+  'diff --git a/README.md b/README.md',
+  '--- a/README.md',
+  '+++ b/README.md',
+].join('\n');
+
+const ROUTING = {
+  enabled: true,
+  rules: [
+    { model: 'opus', sensitivePaths: ['**/auth/**', 'migrations/**'] },
+    { model: 'opus', minDiffSizeKb: 100 },
+    { model: 'opus', minFiles: 25 },
+    { model: 'haiku', maxDiffSizeKb: 5, maxFiles: 3, triggerType: 'automatic-webhook' },
+  ],
+};
+
+const pr = overrides => ({
+  diffSizeKb: 20,
+  files: ['src/app.js'],
+  fileCount: 1,
+  triggerType: 'automatic-webhook',
+  ...overrides,
+});
+
+describe('model-router', () => {
+  test('should match globs within and across path segments', () => {
+    expect(globToRegExp('**/auth/**').test('auth/token.js')).toBe(true);
+    expect(globToRegExp('**/auth/**').test('src/auth/session/token.js')).toBe(true);
+    expect(globToRegExp('**/auth/**').test('src/oauth.js')).toBe(false);
+    expect(globToRegExp('migrations/**').test('migrations/001_init.sql')).toBe(true);
+    expect(globToRegExp('migrations/**').test('db/migrations/001_init.sql')).toBe(false);
+    expect(globToRegExp('src/*.js').test('src/app.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/app.js')).toBe(false);
+  });
+
+  test('should compute the characteristics of a diff', () => {
+    expect(getDiffFiles(DIFF)).toEqual(['src/auth/login.js', 'README.md']);
+    expect(
+      getPrCharacteristics({
+        diffResult: { success: true, diff: DIFF, size: 2048 },
+        triggerType: 'manual-comment',
+      }),
+    ).toEqual({
+      diffSizeKb: 2,
+      files: ['src/auth/login.js', 'README.md'],
+      fileCount: 2,
+      triggerType: 'manual-comment',
+    });
+    expect(getPrCharacteristics({ diffResult: null, triggerType: 'manual-comment' })).toEqual(
+      expect.objectContaining({ diffSizeKb: null, fileCount: null }),
+    );
+  });
+
+  test('should escalate on sensitive paths, large diffs and many files', () => {
+    expect(
+      selectModel({ repositoryModel: null, pr: pr({ files: ['src/auth/login.js'] }) }, ROUTING),
+    ).toEqual({ model: 'opus', reason: 'routing rule 0: touches src/auth/login.js (**/auth/**)' });
+    expect(selectModel({ repositoryModel: null, pr: pr({ diffSizeKb: 150 }) }, ROUTING)).toEqual({
+      model: 'opus',
+      reason: 'routing rule 1: diff 150.0 KB >= 100 KB',
+    });
+    expect(selectModel({ repositoryModel: null, pr: pr({ fileCount: 40 }) }, ROUTING).reason).toBe(
+      'routing rule 2: 40 files >= 25',
+    );
+  });
+
+  test('should only downgrade small automatic reviews', () => {
+    const small = pr({ diffSizeKb: 1 });
+
+    expect(selectModel({ repositoryModel: null, pr: small }, ROUTING).model).toBe('haiku');
+    expect(
+      selectModel(
+        { repositoryModel: null, pr: { ...small, triggerType: 'manual-comment' } },
+        ROUTING,
+      ),
+    ).toEqual({ model: null, reason: 'default model (no routing rule matched)' });
+    expect(
+      selectModel(
+        { repositoryModel: null, pr: { ...small, diffSizeKb: null, fileCount: null } },
+        ROUTING,
+      ).model,
+    ).toBeNull();
+  });
+
+  test('should escalate repositories that pin a model and keep it otherwise', () => {
+    const risky = pr({ files: ['migrations/002.sql'] });
+
+    expect(selectModel({ repositoryModel: 'haiku', pr: risky }, ROUTING)).toEqual({
+      model: 'opus',
+      reason: 'routing rule 0: touches migrations/002.sql (migrations/**)',
+    });
+    expect(
+      selectModel(
+        { repositoryModel: 'haiku', pr: pr({ diffSizeKb: 20, triggerType: 'manual-comment' }) },
+        ROUTING,
+      ),
+    ).toEqual({ model: 'haiku', reason: 'repository config' });
+    expect(
+      selectModel({ repositoryModel: 'haiku', pr: risky }, { ...ROUTING, enabled: false }),
+    ).toEqual({ model: 'haiku', reason: 'repository config' });
+  });
+
+  test('should ignore disabled routing', () => {
+    const risky = pr({ files: ['migrations/002.sql'] });
+
+    expect(
+      selectModel({ repositoryModel: null, pr: risky }, { ...ROUTING, enabled: false }),
+    ).toEqual({
+      model: null,
+      reason: 'default model',
+    });
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { getRepositoryConfig } = require('../src/repository-config');
+
+describe('getRepositoryConfig', () => {
+  const config = {
+    defaultTemplate: 'default',
+    prReview: { commentMode: 'service', commentStyle: 'summary' },
+    claude: { model: 'sonnet', maxDiffSizeKb: 200 },
+    repositories: {
+      'payment-api': 'security-focused',
+      'core-api': {
+        template: 'quick-review',
+        commentStyle: 'inline',
+        branches: {
+          '^release-': { model: 'opus', timeoutMinutes: 20, template: 'security-focused' },
+          '[': { model: 'haiku' },
+          '^main$': { maxDiffSizeKb: 400 },
+        },
+      },
+      docs: { model: 'haiku', timeoutMinutes: '5', maxDiffSizeKb: 50 },
+      legacy: { commentMode: 'mcp', commentStyle: 'inline' },
+    },
+  };
+
+  test('should fall back to defaultTemplate, prReview and claude', () => {
+    expect(getRepositoryConfig('other', config)).toEqual({
+      template: 'default',
+      commentMode: 'service',
+      commentStyle: 'summary',
+      model: null,
+      timeoutMinutes: null,
+      maxDiffSizeKb: 200,
+    });
+  });
+
+  test('should accept a template name or an object entry', () => {
+    expect(getRepositoryConfig('payment-api', config).template).toBe('security-focused');
+    expect(getRepositoryConfig('core-api', config)).toEqual({
+      template: 'quick-review',
+      commentMode: 'service',
+      commentStyle: 'inline',
+      model: null,
+      timeoutMinutes: null,
+      maxDiffSizeKb: 200,
+    });
+  });
+
+  test('should apply model, timeout and diff size overrides of the repository', () => {
+    expect(getRepositoryConfig('docs', config)).toEqual(
+      expect.objectContaining({ model: 'haiku', timeoutMinutes: 5, maxDiffSizeKb: 50 }),
+    );
+  });
+
+  test('should apply the first branch rule matching the destination branch', () => {
+    expect(getRepositoryConfig('core-api', config, { destinationBranch: 'release-2.0' })).toEqual({
+      template: 'security-focused',
+      commentMode: 'service',
+      commentStyle: 'inline',
+      model: 'opus',
+      timeoutMinutes: 20,
+      maxDiffSizeKb: 200,
+    });
+    expect(getRepositoryConfig('core-api', config, { destinationBranch: 'main' })).toEqual(
+      expect.objectContaining({ template: 'quick-review', model: null, maxDiffSizeKb: 400 }),
+    );
+    expect(getRepositoryConfig('core-api', config, { destinationBranch: 'develop' }).model).toBe(
+      null,
+    );
+  });
+
+  test('should only use inline comments in service mode', () => {
+    expect(getRepositoryConfig('legacy', config)).toEqual(
+      expect.objectContaining({ commentMode: 'mcp', commentStyle: 'summary' }),
+    );
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const {
+  INLINE_MARKER,
+  parseDiffLines,
+  formatInlineComment,
+  postReview,
+} = require('../src/review-comments');
+
+const DIFF = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -10,3 +10,4 @@ function start() {',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+++counter;',
+  ' return a + b;',
+  'diff --git a/old.js b/old.js',
+  'deleted file mode 100644',
+  '--- a/old.js',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-gone',
+].join('\n');
+
+const PR_URL = 'https://bitbucket.org/team/repo/pull-requests/42';
+
+describe('review-comments', () => {
+  test('should index the new-file lines of each hunk', () => {
+    const lines = parseDiffLines(DIFF);
+
+    expect([...lines.keys()]).toEqual(['src/app.js']);
+    expect([...lines.get('src/app.js')]).toEqual([10, 11, 12, 13]);
+  });
+
+  describe('postReview', () => {
+    const client = () => ({
+      listComments: jest.fn().mockResolvedValue([]),
+      createComment: jest.fn().mockResolvedValue({ id: 1 }),
+      upsertSummaryComment: jest.fn().mockResolvedValue({ commentId: 5, updated: false }),
+      postIncrementalSummaryComment: jest.fn().mockResolvedValue({ commentId: 6, updated: false }),
+    });
+
+    const inDiff = { title: 'Off by one', severity: 'major', path: 'src/app.js', line: 12 };
+    const outsideDiff = { title: 'Missing docs', path: 'README.md', line: 3 };
+
+    test('should only post the summary in summary style', async () => {
+      const bitbucket = client();
+
+      const result = await postReview(bitbucket, PR_URL, {
+        body: 'Summary',
+        findings: [inDiff],
+        commentStyle: 'summary',
+        diff: DIFF,
+      });
+
+      expect(bitbucket.createComment).not.toHaveBeenCalled();
+      expect(bitbucket.upsertSummaryComment).toHaveBeenCalledWith(PR_URL, 'Summary', {
+        signal: undefined,
+      });
+      expect(result).toEqual(expect.objectContaining({ commentId: 5, inlineCount: 0 }));
+    });
+
+    test('should post the summary of an incremental review as a new comment', async () => {
+      const bitbucket = client();
+      const { signal } = new AbortController();
+
+      const result = await postReview(bitbucket, PR_URL, {
+        body: 'Summary',
+        findings: [inDiff],
+        commentStyle: 'inline',
+        diff: DIFF,
+        incremental: true,
+        signal,
+      });
+
+      expect(bitbucket.upsertSummaryComment).not.toHaveBeenCalled();
+      expect(bitbucket.listComments).toHaveBeenCalledWith(PR_URL, { signal });
+      expect(bitbucket.createComment).toHaveBeenCalledWith(PR_URL, formatInlineComment(inDiff), {
+        inline: { path: 'src/app.js', to: 12 },
+        signal,
+      });
+      expect(bitbucket.postIncrementalSummaryComment).toHaveBeenCalledWith(PR_URL, 'Summary', {
+        signal,
+      });
+      expect(result).toEqual(expect.objectContaining({ commentId: 6, inlineCount: 1 }));
+    });
+
+    test('should anchor findings on diff lines and list the others in the summary', async () => {
+      const bitbucket = client();
+
+      const result = await postReview(bitbucket, PR_URL, {
+        body: 'Summary',
+        findings: [inDiff, outsideDiff],
+        commentStyle: 'inline',
+        diff: DIFF,
+      });
+
+      expect(bitbucket.createComment).toHaveBeenCalledTimes(1);
+      expect(bitbucket.createComment).toHaveBeenCalledWith(PR_URL, formatInlineComment(inDiff), {
+        inline: { path: 'src/app.js', to: 12 },
+      });
+      const summary = bitbucket.upsertSummaryComment.mock.calls[0][1];
+      expect(summary).toContain('## Other Issues');
+      expect(summary).toContain('**Missing docs** - `README.md:3`');
+      expect(summary).not.toContain('Off by one');
+      expect(result).toEqual(expect.objectContaining({ inlineCount: 1, summaryFindingCount: 1 }));
+    });
+
+    test('should skip inline comments posted by a previous review', async () => {
+      const bitbucket = client();
+      bitbucket.listComments.mockResolvedValue([
+        {
+          id: 3,
+          inline: { path: 'src/app.js', to: 12 },
+          content: { raw: formatInlineComment(inDiff) },
+        },
+      ]);
+
+      await postReview(bitbucket, PR_URL, {
+        body: 'Summary',
+        findings: [inDiff],
+        commentStyle: 'inline',
+        diff: DIFF,
+      });
+
+      expect(formatInlineComment(inDiff)).toContain(INLINE_MARKER);
+      expect(bitbucket.createComment).not.toHaveBeenCalled();
+      expect(bitbucket.upsertSummaryComment).toHaveBeenCalledWith(PR_URL, 'Summary', {
+        signal: undefined,
+      });
+    });
+
+    test('should fall back to the summary when Bitbucket rejects the anchor', async () => {
+      const bitbucket = client();
+      bitbucket.createComment.mockRejectedValue(
+        Object.assign(new Error('Bad anchor'), { errorType: 'bitbucket_error', status: 400 }),
+      );
+
+      const result = await postReview(bitbucket, PR_URL, {
+        body: 'Summary',
+        findings: [inDiff],
+        commentStyle: 'inline',
+        diff: DIFF,
+      });
+
+      expect(bitbucket.upsertSummaryComment.mock.calls[0][1]).toContain('Off by one');
+      expect(result).toEqual(expect.objectContaining({ inlineCount: 0, summaryFindingCount: 1 }));
+    });
+  });
+});
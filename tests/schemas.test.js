@@ -67,6 +67,19 @@ describe('BitbucketPayloadSchema', () => {
     payload.repository.links.clone[0].href = 'not-a-url'; // Invalid URL
     expect(() => BitbucketPayloadSchema.parse(payload)).toThrow();
   });
+
+  it('should keep the source commit hash', () => {
+    const payload = createValidPayload();
+    payload.pullrequest.source.commit = { hash: 'a1b2c3d4e5f6' };
+    const parsed = BitbucketPayloadSchema.parse(payload);
+    expect(parsed.pullrequest.source.commit.hash).toBe('a1b2c3d4e5f6');
+  });
+
+  it('should fail validation for a non-hex source commit hash', () => {
+    const payload = createValidPayload();
+    payload.pullrequest.source.commit = { hash: 'HEAD; rm -rf /' };
+    expect(() => BitbucketPayloadSchema.parse(payload)).toThrow();
+  });
 });
 
 describe('BitbucketCommentPayloadSchema', () => {
@@ -0,0 +1,119 @@
+jest.mock('../src/logger', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const JobStore = require('../src/job-store');
+const SpendBudget = require('../src/spend-budget');
+const { startOfMonth } = require('../src/spend-budget');
+
+const prData = { repository: 'payment-api', author: 'Jane Doe' };
+
+describe('SpendBudget', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new JobStore();
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  const budget = config =>
+    new SpendBudget({
+      store,
+      config: {
+        enabled: true,
+        global: { softUsd: 100, hardUsd: 200 },
+        repositories: { 'payment-api': { softUsd: 5, hardUsd: 10 } },
+        authors: { 'Jane Doe': { hardUsd: 3 } },
+        ...config,
+      },
+    });
+
+  const job = (repository, author) => ({ id: 1, type: 'review', prData: { repository, author } });
+
+  test('should start the budget period at the beginning of the UTC month', () => {
+    expect(startOfMonth(Date.parse('2025-03-17T12:30:00Z'))).toBe(
+      Date.parse('2025-03-01T00:00:00Z'),
+    );
+  });
+
+  test('should only record runs with a known cost', () => {
+    const budgets = budget();
+    budgets.record(job('payment-api', 'John'), { model: 'sonnet', costUsd: 6 });
+    budgets.record(job('payment-api', 'John'), { model: 'sonnet', costUsd: null });
+
+    expect(store.getSpend({ since: 0 })).toBe(6);
+  });
+
+  test('should report soft warnings and the exhausted budget', () => {
+    const budgets = budget();
+    budgets.record(job('payment-api', 'John'), { model: 'sonnet', costUsd: 6 });
+
+    expect(budgets.check(prData)).toEqual({
+      exhausted: null,
+      warnings: [
+        expect.objectContaining({ scope: 'repository', name: 'payment-api', spentUsd: 6 }),
+      ],
+    });
+
+    budgets.record(job('other', 'Jane Doe'), { model: 'sonnet', costUsd: 4 });
+
+    expect(budgets.check(prData).exhausted).toEqual(
+      expect.objectContaining({ scope: 'author', name: 'Jane Doe', spentUsd: 4, hardUsd: 3 }),
+    );
+    expect(budgets.check({ repository: 'other', author: 'John' }).exhausted).toBeNull();
+  });
+
+  test('should not check anything while disabled', () => {
+    const budgets = budget({ enabled: false });
+    budgets.record(job('payment-api', 'Jane Doe'), { model: 'sonnet', costUsd: 50 });
+
+    expect(budgets.check(prData)).toEqual({ exhausted: null, warnings: [] });
+  });
+
+  test('should allow manual overrides by role', () => {
+    expect(budget().canOverride('Anyone')).toBe(true);
+    expect(budget({ overrideRole: 'none' }).canOverride('Team Lead')).toBe(false);
+
+    const listed = budget({ overrideRole: 'override-users', overrideUsers: ['Team Lead'] });
+    expect(listed.canOverride('Team Lead')).toBe(true);
+    expect(listed.canOverride('Jane Doe')).toBe(false);
+    expect(listed.canOverride(null)).toBe(false);
+  });
+
+  test('should need the budget comment once per PR and budget period', () => {
+    const budgets = budget();
+    const prUrl = 'https://bitbucket.org/team/repo/pull/1';
+    expect(budgets.needsNotice(prUrl)).toBe(true);
+
+    budgets.recordNotice(prUrl);
+    expect(budgets.needsNotice(prUrl)).toBe(false);
+    expect(budgets.needsNotice('https://bitbucket.org/team/repo/pull/2')).toBe(true);
+
+    // Notified in the previous month
+    store.recordBudgetNotice(prUrl, startOfMonth() - 1);
+    expect(budgets.needsNotice(prUrl)).toBe(true);
+  });
+
+  test('should explain the skipped review in the PR comment', () => {
+    const exhausted = { scope: 'repository', name: 'payment-api', spentUsd: 10.5, hardUsd: 10 };
+
+    const comment = budget({
+      overrideRole: 'override-users',
+      overrideUsers: ['Team Lead'],
+    }).formatComment(exhausted);
+
+    expect(comment).toContain('## Automatic Review Skipped');
+    expect(comment).toContain(
+      'budget of repository payment-api for this month is exhausted ($10.50 of $10)',
+    );
+    expect(comment).toContain('Team Lead can comment `/review`');
+  });
+});